@@ -45,6 +45,25 @@ import {
   Code2,
   FolderPlus,
   FilePlus,
+  SlidersHorizontal,
+  Package,
+  Pause,
+  Power,
+  Cpu,
+  MemoryStick,
+  Server,
+  Globe,
+  Plug,
+  Wrench,
+  LoaderCircle,
+  Braces,
+  Brain,
+  AlertTriangle,
+  Layers,
+  GitBranch,
+  Trophy,
+  Paperclip,
+  ArrowRight,
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import ReactMarkdown from "react-markdown";
@@ -66,10 +85,16 @@ const APP_CONFIG = Object.freeze({
     MAX_INPUT_LENGTH: 400000,
     MAX_MESSAGES: 1000,
     MAX_IMAGE_SIZE: 10 * 1024 * 1024,
+    MAX_IMAGES_PER_MESSAGE: 8,
+    MAX_DOCUMENT_SIZE: 20 * 1024 * 1024,
+    MAX_DOCUMENTS_PER_MESSAGE: 10,
+    MAX_DOCUMENT_CHARS: 60000,
     MAX_ARTIFACTS_PER_MESSAGE: 50,
     MAX_EDIT_LINES: 1000,
     MAX_STORAGE_BYTES: 5 * 1024 * 1024,
     MAX_BACKUPS: 5,
+    MAX_TOOL_ROUNDS: 8,
+    RENDERED_MESSAGES: 30,
   },
   PARSING: {
     REGEX_PATTERNS: {
@@ -85,1324 +110,6195 @@ const APP_CONFIG = Object.freeze({
     SETTINGS: 'ollama-settings',
     BACKUP_PREFIX: 'ollama-backup-',
     MIGRATION_VERSION: 'ollama-storage-version',
-    SHOW_ARTIFACTS: 'ollama-show-artifacts'
+    SHOW_ARTIFACTS: 'ollama-show-artifacts',
+    KEEP_ALIVE: 'ollama-keep-alive',
+    WARMUP_ON_SELECT: 'ollama-warmup-on-select',
+    SERVER_PROFILES: 'ollama-server-profiles',
+    ACTIVE_SERVER_PROFILE: 'ollama-active-server-profile',
+    TOOLS_ENABLED: 'ollama-tools-enabled',
+    THINK_ENABLED: 'ollama-think-enabled',
+    CONTEXT_SETTINGS: 'ollama-context-settings',
+    ARENA_TALLY: 'ollama-arena-tally',
+    SEARCH_SETTINGS: 'ollama-search-settings',
+    IMAGE_SETTINGS: 'ollama-image-settings',
+    PARSER_SETTINGS: 'ollama-parser-settings'
   }
 });
 
-// 🎯 UTILITY FUNCTIONS
-const generateSafeId = (base = '') => {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substr(2, 12);
-  const performanceMark = performance.now().toString(36).replace('.', '');
-  return `${base}-${timestamp}-${performanceMark}-${random}`;
+// 🎯 GENERATION OPTIONS
+// null means "leave it to the model / Modelfile default" and is never sent.
+const DEFAULT_GENERATION_OPTIONS = Object.freeze({
+  temperature: 0.7,
+  top_p: 0.9,
+  top_k: null,
+  min_p: null,
+  repeat_penalty: null,
+  num_ctx: null,
+  num_predict: null,
+  seed: null,
+  stop: [],
+  mirostat: 0,
+  mirostat_tau: null,
+  mirostat_eta: null,
+});
+
+const GENERATION_OPTION_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.05, hint: 'Higher is more creative, lower is more deterministic' },
+  { key: 'top_p', label: 'Top P', min: 0, max: 1, step: 0.05, hint: 'Nucleus sampling cutoff' },
+  { key: 'top_k', label: 'Top K', min: 0, max: 200, step: 1, hint: 'Sample only from the K most likely tokens' },
+  { key: 'min_p', label: 'Min P', min: 0, max: 1, step: 0.01, hint: 'Minimum token probability relative to the most likely token' },
+  { key: 'repeat_penalty', label: 'Repeat Penalty', min: 0, max: 2, step: 0.05, hint: 'Penalize repeated tokens' },
+  { key: 'num_ctx', label: 'Context Window', min: 256, step: 256, hint: 'Tokens the model can see (prompt + answer). Empty = sized from the model' },
+  { key: 'num_predict', label: 'Max Tokens', min: -1, step: 1, hint: 'Maximum tokens to generate (-1 = unlimited)' },
+  { key: 'seed', label: 'Seed', step: 1, hint: 'Fixed seed for reproducible output' },
+  { key: 'mirostat', label: 'Mirostat', options: [0, 1, 2], hint: '0 = off, 1 = Mirostat, 2 = Mirostat 2.0' },
+  { key: 'mirostat_tau', label: 'Mirostat Tau', min: 0, max: 10, step: 0.1, hint: 'Target entropy (coherence vs. diversity)', requires: 'mirostat' },
+  { key: 'mirostat_eta', label: 'Mirostat Eta', min: 0, max: 1, step: 0.01, hint: 'Learning rate of the mirostat feedback loop', requires: 'mirostat' },
+];
+
+const normalizeGenerationOptions = (options) => {
+  const normalized = { ...DEFAULT_GENERATION_OPTIONS };
+  if (!options || typeof options !== 'object') return normalized;
+
+  Object.keys(DEFAULT_GENERATION_OPTIONS).forEach(key => {
+    if (!(key in options)) return;
+    if (key === 'stop') {
+      normalized.stop = Array.isArray(options.stop) ? options.stop.filter(s => typeof s === 'string' && s) : [];
+      return;
+    }
+    const value = options[key];
+    normalized[key] = value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+  });
+
+  return normalized;
 };
 
-const validateAndSanitizePath = (path) => {
-  if (!path || typeof path !== 'string') return 'unknown.txt';
-  let sanitized = path.replace(/\.\./g, '').replace(/\\/g, '/').trim();
-  sanitized = sanitized.replace(/[<>:"|?*]/g, '');
-  if (!sanitized.includes('.') && !sanitized.endsWith('/')) {
-    sanitized += '.txt';
-  }
-  return sanitized;
+// 🎯 MODEL CAPABILITIES
+// Large contexts cost a lot of memory, so the automatic default never exceeds this
+const AUTO_CONTEXT_CAP = 32768;
+
+const readModelfileParameter = (parameters, name) => {
+  if (typeof parameters !== 'string') return null;
+  const match = parameters.match(new RegExp(`^${name}\\s+(\\S+)`, 'm'));
+  return match ? Number(match[1]) : null;
 };
 
-const getLanguageFromPath = (path) => {
-  const safePath = validateAndSanitizePath(path);
-  const ext = safePath.split('.').pop()?.toLowerCase();
-  const languageMap = {
-    'js': 'javascript', 'jsx': 'jsx', 'ts': 'typescript', 'tsx': 'tsx',
-    'css': 'css', 'html': 'html', 'json': 'json', 'md': 'markdown',
-    'py': 'python', 'java': 'java', 'cpp': 'cpp', 'c': 'c',
-    'php': 'php', 'rb': 'ruby', 'go': 'go', 'rs': 'rust',
-    'txt': 'text', 'xml': 'xml', 'yaml': 'yaml', 'yml': 'yaml',
-    'sh': 'bash', 'bash': 'bash', 'sql': 'sql', 'vue': 'vue', 
-    'svelte': 'svelte', 'swift': 'swift', 'kt': 'kotlin',
-    'scala': 'scala', 'r': 'r', 'pl': 'perl', 'lua': 'lua'
+// Normalizes an /api/show response into the fields the UI cares about
+const parseModelDetails = (data) => {
+  const info = data?.model_info || {};
+  const details = data?.details || {};
+  const architecture = info['general.architecture'];
+  const contextLength = Number(info[`${architecture}.context_length`]) || null;
+  const template = data?.template || '';
+
+  // Ollama >= 0.6 reports capabilities directly; older servers need inference
+  let capabilities = Array.isArray(data?.capabilities) ? [...data.capabilities] : null;
+  if (!capabilities) {
+    capabilities = ['completion'];
+    if (data?.projector_info || (details.families || []).includes('clip')) capabilities.push('vision');
+    if (template.includes('.Tools')) capabilities.push('tools');
+    if (template.includes('.Think')) capabilities.push('thinking');
+    if (info[`${architecture}.pooling_type`] !== undefined) capabilities.push('embedding');
+  }
+
+  return {
+    family: details.family || architecture || null,
+    parameterSize: details.parameter_size || null,
+    quantization: details.quantization_level || null,
+    format: details.format || null,
+    contextLength,
+    modelfileContext: readModelfileParameter(data?.parameters, 'num_ctx'),
+    capabilities,
+    fetchedAt: new Date().toISOString()
   };
-  return languageMap[ext] || 'text';
 };
 
-const loadBackupConversations = () => {
+const KEEP_ALIVE_OPTIONS = [
+  { value: '', label: 'Server default' },
+  { value: '5m', label: '5 minutes' },
+  { value: '15m', label: '15 minutes' },
+  { value: '30m', label: '30 minutes' },
+  { value: '1h', label: '1 hour' },
+  { value: '4h', label: '4 hours' },
+  { value: '-1', label: 'Keep loaded' },
+  { value: '0', label: 'Unload after each reply' },
+];
+
+// Ollama takes durations as strings but "forever" and "now" as numbers
+const toKeepAliveParam = (value) => {
+  if (value === '' || value === undefined || value === null) return undefined;
+  return /^-?\d+$/.test(value) ? Number(value) : value;
+};
+
+const formatExpiry = (expiresAt) => {
+  if (!expiresAt) return 'unknown';
+  const expires = new Date(expiresAt);
+  if (expires.getFullYear() > 2200) return 'never';
+  const seconds = Math.round((expires - Date.now()) / 1000);
+  if (seconds <= 0) return 'expiring';
+  if (seconds < 60) return `in ${seconds}s`;
+  if (seconds < 3600) return `in ${Math.round(seconds / 60)}m`;
+  return `in ${(seconds / 3600).toFixed(1)}h`;
+};
+
+const hasCapability = (details, capability) => !details || details.capabilities.includes(capability);
+
+const getAutoContextSize = (details) => {
+  if (!details) return null;
+  if (details.modelfileContext) return details.modelfileContext;
+  return details.contextLength ? Math.min(details.contextLength, AUTO_CONTEXT_CAP) : null;
+};
+
+// Strips unset values so Ollama falls back to the model's own defaults.
+// An unset num_ctx is filled from the model's capabilities when known.
+const buildOllamaOptions = (options, modelDetails = null) => {
+  const normalized = normalizeGenerationOptions(options);
+  const requestOptions = {};
+  if (normalized.num_ctx === null) normalized.num_ctx = getAutoContextSize(modelDetails);
+
+  Object.entries(normalized).forEach(([key, value]) => {
+    if (key === 'stop') {
+      if (value.length > 0) requestOptions.stop = value;
+      return;
+    }
+    if (value === null) return;
+    if ((key === 'mirostat_tau' || key === 'mirostat_eta') && !normalized.mirostat) return;
+    requestOptions[key] = value;
+  });
+
+  return requestOptions;
+};
+
+// 🎯 STRUCTURED OUTPUT
+// Per-conversation `format` for /api/chat: off, any JSON, or a JSON schema kept as editable text.
+const STRUCTURED_OUTPUT_MODES = [
+  { value: 'off', label: 'Off', hint: 'Free-form text with file and edit blocks' },
+  { value: 'json', label: 'JSON', hint: 'Any valid JSON value' },
+  { value: 'schema', label: 'JSON Schema', hint: 'JSON that must match the schema below' }
+];
+
+const EXAMPLE_OUTPUT_SCHEMA = `{
+  "type": "object",
+  "properties": {
+    "name": { "type": "string" },
+    "tags": { "type": "array", "items": { "type": "string" } }
+  },
+  "required": ["name"]
+}`;
+
+const normalizeStructuredOutput = (value) => ({
+  mode: STRUCTURED_OUTPUT_MODES.some(m => m.value === value?.mode) ? value.mode : 'off',
+  schema: typeof value?.schema === 'string' ? value.schema : EXAMPLE_OUTPUT_SCHEMA
+});
+
+const parseSchemaText = (text) => {
   try {
-    const backupKeys = Object.keys(localStorage)
-      .filter(key => key.startsWith(APP_CONFIG.STORAGE_KEYS.BACKUP_PREFIX))
-      .sort()
-      .reverse();
-    
-    if (backupKeys.length > 0) {
-      const latestBackup = localStorage.getItem(backupKeys[0]);
-      if (latestBackup) {
-        const conversations = JSON.parse(latestBackup);
-        if (conversations && conversations.length > 0) {
-          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(conversations));
-          return conversations;
-        }
-      }
+    const schema = JSON.parse(text);
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return { schema: null, error: 'The schema must be a JSON object' };
     }
+    return { schema, error: null };
   } catch (error) {
-    console.error('Error loading backup:', error);
+    return { schema: null, error: error.message };
   }
-  return null;
 };
 
-const formatBytes = (bytes) => {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+const jsonTypeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
 };
 
-const formatDate = (date) => {
-  return new Date(date).toLocaleString();
+const matchesJsonType = (value, type) => {
+  const actual = jsonTypeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
 };
 
-// 🎯 ADD DEDUPLICATION HELPER
-const deduplicateArtifacts = (artifacts) => {
-  const seen = new Set();
-  return artifacts.filter(artifact => {
-    const key = artifact.path;
-    if (seen.has(key)) {
-      return false;
+// Covers the keywords people use for extraction schemas; unknown keywords are ignored.
+// Errors carry the JSONPath of the offending node so the tree view can highlight it.
+const validateAgainstSchema = (value, schema, path = '$') => {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesJsonType(value, type))) {
+      fail(`Expected ${types.join(' or ')}, got ${jsonTypeOf(value)}`);
+      return errors;
     }
-    seen.add(key);
-    return true;
-  });
-};
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`Must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`Must equal ${JSON.stringify(schema.const)}`);
+  }
 
-const fixCorruptedArtifacts = (artifactsData) => {
-  if (!artifactsData || typeof artifactsData !== 'object') {
-    console.log("🔄 [FIX] No artifacts data to fix");
-    return {};
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`Must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`Must be <= ${schema.maximum}`);
   }
-  
-  const fixed = {};
-  
-  Object.keys(artifactsData).forEach(conversationId => {
-    const artifacts = artifactsData[conversationId];
-    
-    if (Array.isArray(artifacts)) {
-      const validArtifacts = artifacts.filter(artifact => 
-        artifact && 
-        typeof artifact === 'object' && 
-        artifact.path && 
-        artifact.content !== undefined
-      ).map(artifact => ({
-        ...artifact,
-        id: artifact.id || generateSafeId(`file-${artifact.path}`),
-        type: artifact.type || 'file',
-        createdBy: artifact.createdBy || 'unknown',
-        timestamp: artifact.timestamp || new Date().toISOString(),
-        language: artifact.language || getLanguageFromPath(artifact.path)
-      }));
-      
-      fixed[conversationId] = validArtifacts;
-    } else {
-      fixed[conversationId] = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`Must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`Must be at most ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) fail(`Must match /${schema.pattern}/`);
+      } catch {
+        // An invalid pattern in the schema is not the response's fault
+      }
     }
-  });
-  
-  return fixed;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`Must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`Must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (jsonTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) fail(`Missing required property "${key}"`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(child, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: `Property "${key}" is not allowed` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, childPath));
+      }
+    });
+  }
+
+  return errors;
 };
 
-const ENHANCED_SYSTEM_PROMPT = `You are an advanced AI coding assistant with intelligent file editing capabilities.
+// Models sometimes wrap JSON in a code fence even when `format` is set
+const evaluateStructuredResponse = (content, schema) => {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i, '$1');
+  try {
+    const value = JSON.parse(text);
+    return { value, parseError: null, errors: schema ? validateAgainstSchema(value, schema) : [] };
+  } catch (error) {
+    return { value: null, parseError: error.message, errors: [] };
+  }
+};
 
-## CRITICAL: CHECK CURRENT FILE STATE
-1. 🚨 ALWAYS check the CURRENT file content shown in "EXISTING PROJECT FILES" below
-2. The user may have edited files since your last response
-3. Your SEARCH blocks MUST match the CURRENT content exactly
+// The `format` request parameter for a conversation's structured output setting
+const resolveStructuredFormat = (structuredOutput) => {
+  if (structuredOutput.mode === 'json') return { format: 'json', outputSchema: null, error: null };
+  if (structuredOutput.mode === 'schema') {
+    const { schema, error } = parseSchemaText(structuredOutput.schema);
+    return { format: schema, outputSchema: schema, error };
+  }
+  return { format: undefined, outputSchema: null, error: null };
+};
 
-## FILE CREATION FORMAT:
+// 🎯 REASONING
+// Thinking models without a separate `thinking` field put their reasoning in <think> tags.
+// Some templates open the tag in the prompt, so a lone closing tag means everything before it was reasoning.
+const splitInlineThinking = (text) => {
+  if (!text || !/<\/?think(?:ing)?>/i.test(text)) return { content: text || '', thinking: '', isOpen: false };
+
+  const tagRegex = /<(\/?)think(?:ing)?>/gi;
+  let content = '';
+  let thinking = '';
+  let inside = false;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagRegex.exec(text)) !== null) {
+    const segment = text.slice(lastIndex, match.index);
+    if (inside) thinking += segment;
+    else content += segment;
+    lastIndex = match.index + match[0].length;
+
+    const isClosing = match[1] === '/';
+    if (!isClosing) {
+      inside = true;
+    } else if (inside) {
+      inside = false;
+      thinking += '\n\n';
+    } else {
+      thinking = content + thinking + '\n\n';
+      content = '';
+    }
+  }
 
-### TO CREATE NEW FILES, use this EXACT format:
-\`\`\`javascript
-// filename: src/components/Button.jsx
-export function Button({ children, onClick }) {
-  return <button onClick={onClick}>{children}</button>;
-}
-\`\`\`
+  const rest = text.slice(lastIndex);
+  if (inside) thinking += rest;
+  else content += rest;
 
-### ALTERNATIVE FORMATS (also work):
-\`\`\`
-File: utils/helpers.py
-def helper_function():
-    return "Hello"
-\`\`\`
+  return { content: content.trimStart(), thinking: thinking.trim(), isOpen: inside };
+};
 
-\`\`\`python
-# filename: main.py
-print("Hello World")
-\`\`\`
+const withoutThinking = (msg) => (
+  msg.role === 'assistant' ? { ...msg, content: splitInlineThinking(msg.content).content } : msg
+);
 
-### KEY RULES:
-1. Place filename comment as the FIRST LINE inside code block
-2. Use // for JavaScript/TypeScript, # for Python/Ruby, <!-- for HTML
-3. Include full path if needed: src/utils/config.js
+const formatElapsed = (ms) => ms < 60000
+  ? `${(ms / 1000).toFixed(1)}s`
+  : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
 
-## FILE EDITING SYSTEM (Claude.ai Style):
+// 🎯 CONTINUATION
+const CONTINUE_PROMPT = `Your previous reply was cut off. Continue exactly where it stopped, starting with the next character. Do not repeat anything already written and do not add any introduction. If it stopped inside a code block or file block, keep writing that block without opening it again.`;
 
-### CRITICAL WORKFLOW:
-1. 🚨 ALWAYS read the EXISTING PROJECT FILES first (provided below)
-2. Understand the exact file structure and content
-3. ONLY change what's necessary - make MINIMAL changes
+// Longest stretch a model tends to repeat from the end of the cut-off text
+const CONTINUATION_OVERLAP_MAX = 300;
+const CONTINUATION_OVERLAP_MIN = 8;
 
-### CREATING NEW FILES:
-Use standard code blocks with a filename comment:
-\`\`\`javascript
-// filename: src/components/Button.jsx
-export function Button({ children, onClick }) {
-  return <button onClick={onClick}>{children}</button>;
-}
-\`\`\`
+// Appends a continuation, dropping any text the model repeated from the end of the previous part
+const joinContinuation = (previous, addition) => {
+  const limit = Math.min(CONTINUATION_OVERLAP_MAX, previous.length, addition.length);
+  for (let size = limit; size >= CONTINUATION_OVERLAP_MIN; size--) {
+    if (previous.endsWith(addition.substring(0, size))) return previous + addition.substring(size);
+  }
+  return previous + addition;
+};
 
-### EDITING EXISTING FILES - MINIMAL CHANGES ONLY:
-1. First locate the file in "EXISTING PROJECT FILES"
-2. Find the EXACT lines you want to change
-3. Copy them EXACTLY (character-for-character) into SEARCH
-4. Create the REPLACE block with ONLY the necessary changes
-5. NEVER rewrite entire files unless explicitly asked
+// 🎯 RESPONSE VARIANTS
+// Regenerated replies are kept as variants of one assistant turn. The message's own fields always
+// hold the chosen variant, so history, context and artifacts need no special casing.
+const VARIANT_FIELDS = [
+  'content', 'thinking', 'thinkingStartedAt', 'thinkingEndedAt', 'parsedResponse', 'liveParse', 'toolSteps',
+  'structured', 'structuredResult', 'stats', 'model', 'options', 'stopped', 'isError', 'timestamp', 'retrieval'
+];
+
+const snapshotVariant = (msg) => Object.fromEntries(
+  VARIANT_FIELDS.filter(field => msg[field] !== undefined).map(field => [field, msg[field]])
+);
+
+// Writes the message's current fields back into its active variant slot
+const withVariantSnapshot = (msg) => {
+  if (!msg.variants) return msg;
+  const variants = [...msg.variants];
+  variants[msg.activeVariant] = snapshotVariant(msg);
+  return { ...msg, variants };
+};
 
-### FORMAT FOR SINGLE-LINE CHANGES:
-\`\`\`edit
-@@@ filename.py
-<<<<<<< SEARCH
-print("Hello")
-=======
-print("Goodbye")
->>>>>>> REPLACE
-\`\`\`
+const applyVariant = (msg, index) => ({
+  ...msg,
+  ...Object.fromEntries(VARIANT_FIELDS.map(field => [field, undefined])),
+  ...msg.variants[index],
+  activeVariant: index
+});
 
-### FORMAT FOR MULTI-LINE CHANGES (Minimal):
-\`\`\`edit
-@@@ filename.js
-<<<<<<< SEARCH
-function oldFunction() {
-  console.log("old");
-  return 42;
-}
-=======
-function oldFunction() {
-  console.log("new");
-  return 100;
-}
->>>>>>> REPLACE
-\`\`\`
+// Drops a variant that produced nothing, falling back to the last kept one (or no message at all)
+const discardActiveVariant = (msg) => msg.variants?.length
+  ? applyVariant({ ...msg, isStreaming: false }, msg.variants.length - 1)
+  : null;
 
-### ABSOLUTE RULES - MINIMAL CHANGES:
-1. ⚠️ SEARCH blocks MUST be copied DIRECTLY from the files shown below
-2. ⚠️ Include ALL whitespace, indentation, and newlines exactly as shown
-3. ⚠️ If changing multiple lines, include ONLY the lines that change
-4. ⚠️ NEVER rewrite entire functions/files unless explicitly requested
-5. ⚠️ Make the SMALLEST possible change to achieve the goal
-6. ⚠️ If unsure, ask the user to show you the specific section
-7. ⚠️ Never invent or guess file content - only use what's provided
+// Files any variant of a turn put into the project; another variant may rewrite them
+const getVariantFilePaths = (variants = []) => new Set(
+  variants.flatMap(variant => (variant.parsedResponse?.artifacts || [])
+    .filter(artifact => artifact.addedToProject)
+    .map(artifact => artifact.path))
+);
 
-### EXAMPLES OF GOOD VS BAD:
-BAD (rewrites entire file):
-\`\`\`edit
-@@@ main.js
-<<<<<<< SEARCH
-const greeting = "Hello";
-console.log(greeting);
-=======
-const greeting = "Hi there!";
-console.log(greeting + " world!");
->>>>>>> REPLACE
-\`\`\`
+const toProjectArtifact = (artifact) => {
+  const { isDuplicate: _isDuplicate, ...rest } = artifact;
+  return {
+    ...rest,
+    id: generateSafeId(`file-${artifact.path}`),
+    type: 'file',
+    createdBy: 'ai',
+    timestamp: new Date().toISOString(),
+    addedToProject: true,
+    source: artifact.source || 'parsed'
+  };
+};
 
-GOOD (minimal change):
-\`\`\`edit
-@@@ main.js
-<<<<<<< SEARCH
-const greeting = "Hello";
-=======
-const greeting = "Hi there!";
->>>>>>> REPLACE
-\`\`\`
+// 🎯 CONVERSATION BRANCHES
+// `messages` is always the active branch. Everything else lives in the conversation's `branchTree`:
+// messages off the active branch keyed by id (each with its `parentId`), the order of siblings at
+// every fork, the child last visited under each parent, and a project snapshot per branch leaf.
+const BRANCH_ROOT = 'root';
 
-For complex changes, provide multiple SMALL SEARCH/REPLACE blocks rather than one large one.`;
+const createBranchTree = () => ({ stored: {}, order: {}, lastChild: {}, artifacts: {} });
 
-const DEFAULT_SYSTEM_PROMPT = ENHANCED_SYSTEM_PROMPT;
+const getParentKey = (path, index) => path[index - 1]?.id ?? BRANCH_ROOT;
 
-// 🎯 CUSTOM HOOKS
-const useDebounce = (value, delay) => {
-  const [debouncedValue, setDebouncedValue] = useState(value);
-  
-  useEffect(() => {
-    const handler = setTimeout(() => setDebouncedValue(value), delay);
-    return () => clearTimeout(handler);
-  }, [value, delay]);
-  
-  return debouncedValue;
+// Siblings of path[index], in the order they were created
+const getBranchSiblings = (tree, path, index) => tree?.order[getParentKey(path, index)] || [path[index].id];
+
+// Moves messages off the active branch, remembering where they hang and which way they continued
+const storeBranchMessages = (tree, messages, parentId) => {
+  const stored = { ...tree.stored };
+  const lastChild = { ...tree.lastChild };
+  messages.forEach((msg, index) => {
+    const parent = index === 0 ? parentId : messages[index - 1].id;
+    stored[msg.id] = { ...msg, parentId: parent };
+    lastChild[parent ?? BRANCH_ROOT] = msg.id;
+  });
+  return { ...tree, stored, lastChild };
 };
 
-const useTheme = () => {
-  const [theme, setTheme] = useState(() => {
-    const saved = localStorage.getItem("ollama-theme");
-    return saved === "dark" || saved === "light" ? saved : "light";
+const stripBranchFields = (msg) => {
+  const { parentId: _parentId, ...rest } = msg;
+  return rest;
+};
+
+/**
+ * Makes the branch through `targetId` active: its ancestors up to the root, then the children
+ * last visited below it. Returns the updated tree and the new path.
+ */
+const activateBranch = (tree, path, targetId) => {
+  const pathIndex = new Map(path.map((msg, index) => [msg.id, index]));
+  const getMessage = (id) => pathIndex.has(id) ? path[pathIndex.get(id)] : tree.stored[id];
+  const getParent = (id) => pathIndex.has(id) ? path[pathIndex.get(id) - 1]?.id ?? null : tree.stored[id]?.parentId ?? null;
+  // On the active branch keep following it; elsewhere go back the way it was last left
+  const getNextChild = (id) => pathIndex.has(id) && pathIndex.get(id) < path.length - 1
+    ? path[pathIndex.get(id) + 1].id
+    : tree.lastChild[id];
+
+  const chain = [];
+  for (let id = targetId; id; id = getParent(id)) chain.unshift(id);
+  for (let id = getNextChild(targetId); id && getMessage(id); id = getNextChild(id)) chain.push(id);
+
+  const divergeAt = chain.findIndex((id, index) => path[index]?.id !== id);
+  if (divergeAt === -1 && chain.length === path.length) return { tree, path };
+
+  const splitAt = divergeAt === -1 ? chain.length : divergeAt;
+  const nextTree = storeBranchMessages(tree, path.slice(splitAt), path[splitAt - 1]?.id ?? null);
+  const nextPath = chain.map(id => stripBranchFields(getMessage(id)));
+  nextPath.forEach(msg => { delete nextTree.stored[msg.id]; });
+  return { tree: nextTree, path: nextPath };
+};
+
+// Replaces path[index] with `message` as a new sibling; the old branch is kept whole
+const forkBranch = (tree, path, index, message) => {
+  const parentKey = getParentKey(path, index);
+  const siblings = getBranchSiblings(tree, path, index);
+  const stored = storeBranchMessages(tree, path.slice(index), path[index - 1]?.id ?? null);
+  return {
+    tree: { ...stored, order: { ...stored.order, [parentKey]: [...siblings, message.id] } },
+    path: [...path.slice(0, index), message]
+  };
+};
+
+const hasBranches = (tree) => !!tree && Object.keys(tree.order).length > 0;
+
+/**
+ * Outline for the branch minimap: runs of messages without forks collapse into one segment,
+ * labelled by their first user message, with the branches at the fork as children.
+ */
+const buildBranchOutline = (tree, path) => {
+  const pathIndex = new Map(path.map((msg, index) => [msg.id, index]));
+  const storedChildren = {};
+  Object.values(tree.stored).forEach(msg => {
+    const key = msg.parentId ?? BRANCH_ROOT;
+    if (!storedChildren[key]) storedChildren[key] = [];
+    storedChildren[key].push(msg.id);
   });
+  const getChildren = (key) => {
+    if (tree.order[key]) return tree.order[key];
+    const pathChild = key === BRANCH_ROOT ? path[0] : pathIndex.has(key) ? path[pathIndex.get(key) + 1] : null;
+    return [...(pathChild ? [pathChild.id] : []), ...(storedChildren[key] || [])];
+  };
+  const getMessage = (id) => tree.stored[id] || path[pathIndex.get(id)];
 
-  const applyTheme = useCallback((newTheme) => {
-    const root = document.documentElement;
-    root.setAttribute("data-theme", newTheme);
-  }, []);
+  const buildSegment = (headId) => {
+    let count = 0;
+    let label = '';
+    let id = headId;
+    let children = [];
+    while (id) {
+      const msg = getMessage(id);
+      count += 1;
+      if (!label && msg?.role === 'user') label = msg.content;
+      children = getChildren(id);
+      if (children.length !== 1) break;
+      id = children[0];
+    }
+    return {
+      id: headId,
+      label: label || 'Reply',
+      count,
+      active: pathIndex.has(headId),
+      children: children.length > 1 ? children.map(buildSegment) : []
+    };
+  };
 
-  useLayoutEffect(() => {
-    applyTheme(theme);
-  }, [theme, applyTheme]);
+  return getChildren(BRANCH_ROOT).map(buildSegment);
+};
 
-  const setThemeWithSave = useCallback((newTheme) => {
-    if (newTheme === "dark" || newTheme === "light") {
-      setTheme(newTheme);
-      localStorage.setItem("ollama-theme", newTheme);
+// The project as each user message found it, so a branch forked there starts from the same files.
+// Snapshots live on the conversation as { blobs, turns }: a turn lists its files by a key into
+// `blobs`, where each distinct content is stored once however many turns share it. File history
+// stays with the branch it was made on.
+const createProjectSnapshots = () => ({ blobs: {}, turns: {} });
+
+const addProjectSnapshot = (snapshots, messageId, files) => {
+  const previous = snapshots || createProjectSnapshots();
+  const blobs = { ...previous.blobs };
+  const storeContent = (content) => {
+    let key = `${hashText(content)}-${content.length.toString(36)}`;
+    while (blobs[key] !== undefined && blobs[key] !== content) key += '_';
+    blobs[key] = content;
+    return key;
+  };
+  const turns = {
+    ...previous.turns,
+    [messageId]: files.map(file => {
+      const { content, history: _history, ...rest } = file;
+      return { ...rest, blob: storeContent(content || '') };
+    })
+  };
+  // Contents no turn refers to any more are dropped
+  const referenced = new Set(Object.values(turns).flatMap(turn => turn.map(file => file.blob)));
+  return { blobs: Object.fromEntries(Object.entries(blobs).filter(([key]) => referenced.has(key))), turns };
+};
+
+const getProjectSnapshot = (snapshots, messageId) => {
+  const turn = snapshots?.turns[messageId];
+  return turn ? turn.map(({ blob, ...file }) => ({ ...file, content: snapshots.blobs[blob] })) : null;
+};
+
+// Files that replies on a branch added to the project; they leave with the branch on a fork
+// when the edited message predates project snapshots
+const getBranchCreatedPaths = (messages) => new Set(
+  messages.flatMap(msg => (msg.parsedResponse?.artifacts || [])
+    .filter(artifact => artifact.addedToProject)
+    .map(artifact => artifact.path))
+);
+
+// 🎯 IMAGE ATTACHMENTS
+// User messages keep their pictures as data URLs in `images`; messages saved before that have a
+// single `image`. The composer holds the picked files and encodes them on send, so the downscale
+// setting applies to everything attached.
+const DEFAULT_IMAGE_SETTINGS = Object.freeze({ downscale: true, maxDimension: 1568 });
+
+const loadImageSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.IMAGE_SETTINGS) || '{}');
+    return {
+      downscale: saved.downscale !== false,
+      maxDimension: Number(saved.maxDimension) > 0 ? Number(saved.maxDimension) : DEFAULT_IMAGE_SETTINGS.maxDimension
+    };
+  } catch {
+    return { ...DEFAULT_IMAGE_SETTINGS };
+  }
+};
+
+const getMessageImages = (msg) => msg.images || (msg.image ? [msg.image] : []);
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Scales the longer side down to `maxDimension`; smaller images, GIFs and SVGs go as they are
+const encodeImageFile = async (file, { downscale, maxDimension }) => {
+  if (!downscale || /^image\/(gif|svg)/.test(file.type)) return readFileAsDataUrl(file);
+  const bitmap = await createImageBitmap(file);
+  const scale = maxDimension / Math.max(bitmap.width, bitmap.height);
+  if (scale >= 1) {
+    bitmap.close();
+    return readFileAsDataUrl(file);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL(file.type === 'image/png' ? 'image/png' : 'image/jpeg', 0.9);
+};
+
+const moveListItem = (list, from, to) => {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// 🎯 DOCUMENT ATTACHMENTS
+// Files handed to the model for one message. Their text is extracted in the browser and stored on
+// the message as `attachments`, apart from project files, and goes into the prompt after the
+// message text, each between <document> tags. A message's documents share a character budget.
+const TEXT_DOCUMENT_EXTENSIONS = [
+  'txt', 'log', 'md', 'markdown', 'rst', 'csv', 'tsv', 'json', 'jsonl', 'ndjson', 'xml', 'yaml', 'yml',
+  'toml', 'ini', 'cfg', 'conf', 'env', 'properties', 'html', 'htm', 'css', 'scss', 'js', 'jsx', 'mjs',
+  'cjs', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'swift',
+  'sql', 'sh', 'bash', 'zsh', 'ps1', 'bat', 'diff', 'patch', 'srt', 'vtt'
+];
+const DOCUMENT_ACCEPT = ['.pdf', '.docx', ...TEXT_DOCUMENT_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+const getDocumentKind = (file) => {
+  const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+  if (extension === 'pdf' || file.type === 'application/pdf') return 'pdf';
+  if (extension === 'docx') return 'docx';
+  if (['csv', 'tsv'].includes(extension)) return 'csv';
+  if (['json', 'jsonl', 'ndjson'].includes(extension)) return 'json';
+  if (TEXT_DOCUMENT_EXTENSIONS.includes(extension) || file.type.startsWith('text/')) return 'text';
+  return null;
+};
+
+// The PDF and DOCX libraries are only loaded once such a file is attached
+const extractPdfText = async (file) => {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = [];
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+      pages.push(`--- Page ${number} ---\n${items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('')}`);
     }
-  }, []);
+  } finally {
+    pdf.destroy();
+  }
+  return pages.join('\n\n');
+};
 
-  const toggleTheme = useCallback(() => {
-    setThemeWithSave(theme === "light" ? "dark" : "light");
-  }, [theme, setThemeWithSave]);
+const extractDocxText = async (file) => {
+  const mammoth = await import('mammoth');
+  const { value } = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+  return value;
+};
+
+const extractDocumentText = async (file, kind) => {
+  if (kind === 'pdf') return extractPdfText(file);
+  if (kind === 'docx') return extractDocxText(file);
+  return file.text();
+};
+
+const DOCUMENT_PREVIEW_CHARS = 1500;
+
+const getMessageDocuments = (msg) => msg.attachments || [];
+
+// Short documents keep all their text; the rest split what's left of the budget evenly
+const allocateDocumentBudget = (documents, budget) => {
+  const limits = new Map();
+  let remaining = budget;
+  [...documents].sort((a, b) => a.text.length - b.text.length).forEach((doc, index, sorted) => {
+    const share = Math.floor(remaining / (sorted.length - index));
+    const limit = Math.min(doc.text.length, share);
+    limits.set(doc.id, limit);
+    remaining -= limit;
+  });
+  return limits;
+};
+
+const formatDocumentBlock = (doc, limit) => {
+  const text = doc.text.slice(0, limit);
+  const total = Math.max(doc.chars, doc.text.length);
+  const note = text.length < total
+    ? `\n[Truncated: first ${text.length.toLocaleString()} of ${total.toLocaleString()} characters]`
+    : '';
+  return `<document name="${doc.name.replace(/"/g, "'")}" type="${doc.kind}">\n${text}${note}\n</document>`;
+};
+
+// The text a message is sent as: what the user typed followed by its documents
+const formatMessageContent = (msg) => {
+  const documents = getMessageDocuments(msg);
+  if (documents.length === 0) return msg.content;
+  const limits = allocateDocumentBudget(documents, APP_CONFIG.LIMITS.MAX_DOCUMENT_CHARS);
+  const blocks = documents.map(doc => formatDocumentBlock(doc, limits.get(doc.id)));
+  return [msg.content, `Attached documents:\n${blocks.join('\n\n')}`].filter(Boolean).join('\n\n');
+};
+
+// 🎯 CONTEXT WINDOW
+// Token counts are estimates (~4 characters per token); close enough to budget a prompt
+// without shipping a tokenizer for every model family.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_TOKEN_OVERHEAD = 4;
+const IMAGE_TOKEN_ESTIMATE = 768;
+const DEFAULT_CONTEXT_SIZE = 4096;
+// Per-message cap for the transcript sent to the summarizer
+const SUMMARY_SOURCE_MAX_CHARS = 4000;
+// Project files included in the system prompt, and how much of each
+const FILE_CONTEXT_MAX_FILES = 15;
+const FILE_CONTEXT_MAX_CHARS = 2000;
+const DEFAULT_FILE_CONTEXT_BUDGET = 3000;
+
+const DEFAULT_CONTEXT_SETTINGS = Object.freeze({
+  budget: null,     // history tokens; null = whatever num_ctx leaves after the prompt and reply
+  summarize: true,
+  retrieval: true,  // send the parts of the project most relevant to each message, not the first files
+  fileBudget: DEFAULT_FILE_CONTEXT_BUDGET
+});
+
+const CONTEXT_SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and a coding assistant. The summary replaces the older messages, so it must keep everything needed to continue the work: the user's goals and requirements, constraints, decisions made, file names and their purpose, open questions and unresolved problems. Drop greetings, repetition and code that is already in project files. Write compact bullet points, at most 300 words. Reply with the summary only.`;
+
+const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+const estimateMessageTokens = (msg) => (
+  MESSAGE_TOKEN_OVERHEAD + estimateTokens(formatMessageContent(msg)) + getMessageImages(msg).length * IMAGE_TOKEN_ESTIMATE
+);
+
+const loadContextSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONTEXT_SETTINGS) || '{}');
+    return {
+      budget: Number(saved.budget) > 0 ? Number(saved.budget) : null,
+      summarize: saved.summarize !== false,
+      retrieval: saved.retrieval !== false,
+      fileBudget: Number(saved.fileBudget) > 0 ? Number(saved.fileBudget) : DEFAULT_FILE_CONTEXT_BUDGET
+    };
+  } catch {
+    return { ...DEFAULT_CONTEXT_SETTINGS };
+  }
+};
+
+// Without an explicit budget, history gets what the context window has left once the
+// system prompt, the new message and room for the reply are accounted for
+const getHistoryBudget = ({ settings, contextSize, systemTokens, inputTokens, numPredict }) => {
+  if (settings.budget) return settings.budget;
+  const size = contextSize || DEFAULT_CONTEXT_SIZE;
+  const replyReserve = numPredict > 0 ? numPredict : Math.max(512, Math.round(size * 0.25));
+  return Math.max(0, size - systemTokens - inputTokens - replyReserve);
+};
+
+/**
+ * Decides which messages go into the next request. The newest messages are kept verbatim
+ * while they fit `budget`; older ones are either covered by the running summary, waiting
+ * to be summarized ('pending') or, with summarization off, dropped. A summary whose last
+ * covered message no longer exists (cleared or deleted) is ignored.
+ */
+const planContextWindow = (messages, budget, summary, summarize = true) => {
+  const coveredIndex = summary?.text ? messages.findIndex(m => m.id === summary.coversUntilId) : -1;
+  const totalTokens = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  const fitsEntirely = totalTokens <= budget;
+  const activeSummary = !fitsEntirely && coveredIndex >= 0 ? summary : null;
+  const summaryTokens = activeSummary ? MESSAGE_TOKEN_OVERHEAD + estimateTokens(activeSummary.text) : 0;
+
+  let remaining = budget - summaryTokens;
+  let firstVerbatim = messages.length;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateMessageTokens(messages[i]);
+    if (tokens > remaining) break;
+    remaining -= tokens;
+    firstVerbatim = i;
+  }
+
+  const states = {};
+  const pending = [];
+  messages.forEach((msg, index) => {
+    if (index >= firstVerbatim) states[msg.id] = 'verbatim';
+    else if (activeSummary && index <= coveredIndex) states[msg.id] = 'summarized';
+    else if (summarize) {
+      states[msg.id] = 'pending';
+      pending.push(msg);
+    } else states[msg.id] = 'dropped';
+  });
 
   return {
-    theme,
-    setTheme: setThemeWithSave,
-    toggleTheme,
-    isDark: theme === "dark",
-    isLight: theme === "light",
+    verbatim: messages.slice(firstVerbatim),
+    pending,
+    states,
+    summary: activeSummary,
+    budget,
+    usedTokens: budget - remaining,
+    totalTokens
   };
 };
 
-// 🎯 COMPONENTS
-class ErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
+const describeFileContextTruncation = (artifacts) => {
+  const notes = artifacts.slice(0, FILE_CONTEXT_MAX_FILES)
+    .filter(file => (file.content || '').length > FILE_CONTEXT_MAX_CHARS)
+    .map(file => `${file.path}: first ${FILE_CONTEXT_MAX_CHARS.toLocaleString()} of ${file.content.length.toLocaleString()} characters`);
+  if (artifacts.length > FILE_CONTEXT_MAX_FILES) {
+    const omitted = artifacts.slice(FILE_CONTEXT_MAX_FILES).map(file => file.path);
+    notes.push(`${omitted.length} more files left out: ${omitted.join(', ')}`);
   }
+  return notes;
+};
 
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
+const buildSummaryTranscript = (messages) => messages.map(msg => {
+  const content = msg.content.length > SUMMARY_SOURCE_MAX_CHARS
+    ? `${msg.content.substring(0, SUMMARY_SOURCE_MAX_CHARS)}\n[...]`
+    : msg.content;
+  const imageCount = getMessageImages(msg).length;
+  const imageNote = imageCount > 0 ? `\n[${imageCount} image${imageCount === 1 ? '' : 's'} attached]` : '';
+  const documentNames = getMessageDocuments(msg).map(doc => doc.name);
+  const documentNote = documentNames.length > 0 ? `\n[documents attached: ${documentNames.join(', ')}]` : '';
+  return `${msg.role.toUpperCase()}: ${content}${imageNote}${documentNote}`;
+}).join('\n\n');
+
+// The system prompt is assembled from these sections; the context inspector shows each one
+// and can leave any of them out of the next request
+const buildPromptSections = ({ tools, fileContext, customPrompt, fileNotes = [] }) => [
+  { id: 'base', label: 'System prompt', content: DEFAULT_SYSTEM_PROMPT },
+  tools && { id: 'tools', label: 'Tool instructions', content: TOOLS_SYSTEM_PROMPT },
+  { id: 'files', label: 'Project files', content: fileContext.trim(), truncation: fileNotes },
+  customPrompt.trim() && { id: 'custom', label: 'Additional instructions', content: `Additional instructions:\n${customPrompt.trim()}` }
+].filter(Boolean).map(section => ({ ...section, tokens: estimateTokens(section.content) }));
+
+const withSummarySection = (sections, summary) => {
+  if (!summary?.text) return sections;
+  const content = `Summary of the earlier conversation (those messages are no longer included):\n${summary.text}`;
+  return [...sections, { id: 'summary', label: 'Conversation summary', content, tokens: estimateTokens(content) }];
+};
+
+const EMPTY_CONTEXT_EXCLUSIONS = Object.freeze({ sections: [], messages: [] });
+
+const composeSystemPrompt = (sections, excludedIds = []) => sections
+  .filter(section => !excludedIds.includes(section.id))
+  .map(section => section.content)
+  .join('\n\n');
+
+// 🎯 PROJECT RETRIEVAL
+// Projects larger than the file budget are split into chunks at top-level functions, classes,
+// rules or headings, and only the chunks closest to the prompt are sent. Ranking uses the
+// search embedding model when one is chosen and shared words otherwise.
+const RETRIEVAL_CHUNK_MAX_LINES = 80;
+const RETRIEVAL_CHUNK_MIN_LINES = 6;
+
+const CODE_CHUNK_BOUNDARY = /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?\s*([\w$]+)|class\s+([\w$]+)|(?:const|let|var)\s+([\w$]+)\s*=|def\s+(\w+)|(?:pub\s+)?fn\s+(\w+)|func\s+(?:\([^)]*\)\s*)?(\w+)|interface\s+(\w+)|type\s+(\w+)|enum\s+(\w+))/;
+const MARKDOWN_CHUNK_BOUNDARY = /^#{1,6}\s+(.+)/;
+const STYLE_CHUNK_BOUNDARY = /^([^\s{}/][^{]*?)\s*\{/;
+// Comments and decorators directly above a definition belong to it
+const LEADING_COMMENT = /^\s*(?:\/\/|\/\*|\*|#(?![#!])|@)/;
+
+const getChunkBoundary = (path) => {
+  const extension = path.split('.').pop().toLowerCase();
+  if (['md', 'mdx', 'markdown', 'txt', 'rst'].includes(extension)) return MARKDOWN_CHUNK_BOUNDARY;
+  if (['css', 'scss', 'sass', 'less'].includes(extension)) return STYLE_CHUNK_BOUNDARY;
+  if (['json', 'yaml', 'yml', 'toml', 'csv', 'xml', 'html', 'svg'].includes(extension)) return null;
+  return CODE_CHUNK_BOUNDARY;
+};
+
+const chunkProjectFile = (file) => {
+  const lines = (file.content || '').split('\n');
+  const boundary = getChunkBoundary(file.path);
+  const starts = [{ line: 0, label: null }];
+
+  if (boundary) {
+    lines.forEach((line, index) => {
+      const match = line.match(boundary);
+      if (!match) return;
+      const label = match.slice(1).find(Boolean)?.trim() || null;
+      const last = starts[starts.length - 1];
+      if (index === 0) {
+        last.label = label;
+        return;
+      }
+      let start = index;
+      if (boundary === CODE_CHUNK_BOUNDARY) {
+        while (start > last.line + 1 && LEADING_COMMENT.test(lines[start - 1])) start--;
+      }
+      // Tiny sections (imports, one-line constants) ride along with the next definition
+      if (start - last.line < RETRIEVAL_CHUNK_MIN_LINES) {
+        if (!last.label) last.label = label;
+        return;
+      }
+      starts.push({ line: start, label });
+    });
   }
 
-  componentDidCatch(error, errorInfo) {
-    console.error("App Error:", error, errorInfo);
+  const chunks = [];
+  starts.forEach((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].line : lines.length;
+    for (let from = start.line; from < end; from += RETRIEVAL_CHUNK_MAX_LINES) {
+      const to = Math.min(end, from + RETRIEVAL_CHUNK_MAX_LINES);
+      const text = lines.slice(from, to).join('\n');
+      if (!text.trim()) continue;
+      chunks.push({
+        id: `${file.path}:${from + 1}`,
+        path: file.path,
+        startLine: from + 1,
+        endLine: to,
+        label: start.label,
+        text,
+        tokens: estimateTokens(text)
+      });
+    }
+  });
+  return chunks;
+};
+
+const toChunkEmbeddingInput = (chunk) => `${chunk.path}${chunk.label ? ` ${chunk.label}` : ''}\n${chunk.text}`;
+
+const tokenizeForRetrieval = (text) => (text.toLowerCase().match(/[a-z_$][\w$]{2,}/g) || []);
+
+// Share of the prompt's distinct words that appear in each chunk (path included)
+const scoreChunksByKeywords = (chunks, query) => {
+  const terms = [...new Set(tokenizeForRetrieval(query))];
+  return new Map(chunks.map(chunk => {
+    if (terms.length === 0) return [chunk.id, 0];
+    const words = new Set(tokenizeForRetrieval(toChunkEmbeddingInput(chunk)));
+    return [chunk.id, terms.filter(term => words.has(term)).length / terms.length];
+  }));
+};
+
+// Best-scoring chunks first (file order without scores) until the budget is spent; chunks
+// with nothing in common with the prompt are left out rather than used as filler
+const selectChunksWithinBudget = (chunks, budget, scores = null) => {
+  const ranked = scores
+    ? chunks.map(chunk => ({ ...chunk, score: scores.get(chunk.id) ?? 0 }))
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+    : chunks;
+  let remaining = budget;
+  return ranked.filter(chunk => {
+    if (chunk.tokens > remaining) return false;
+    remaining -= chunk.tokens;
+    return true;
+  });
+};
+
+// Excerpts go back into file order, with the lines left out between them marked
+const formatFileExcerpts = (file, excerpts) => {
+  const lineCount = file.content.split('\n').length;
+  const parts = [];
+  let nextLine = 1;
+  [...excerpts].sort((a, b) => a.startLine - b.startLine).forEach(chunk => {
+    if (chunk.startLine > nextLine) parts.push(`// ... lines ${nextLine}-${chunk.startLine - 1} not included`);
+    parts.push(chunk.text);
+    nextLine = chunk.endLine + 1;
+  });
+  const isComplete = parts.length === excerpts.length && nextLine > lineCount;
+  if (nextLine <= lineCount) parts.push(`// ... lines ${nextLine}-${lineCount} not included`);
+  return [
+    `### FILE: ${file.path} (${lineCount} lines, ${file.language})${isComplete ? '' : ' - excerpts'}`,
+    '```' + file.language,
+    parts.join('\n'),
+    '```',
+    ''
+  ].join('\n');
+};
+
+// What gets stored on a reply so the user can see which excerpts it was given
+const toRetrievalRecord = ({ method, model = null, budget, chunks, excerpts }) => ({
+  method,
+  model,
+  budget,
+  totalChunks: chunks.length,
+  tokens: excerpts.reduce((sum, chunk) => sum + chunk.tokens, 0),
+  chunks: excerpts.map(({ id, path, startLine, endLine, label, score, tokens }) => ({
+    id, path, startLine, endLine, label, tokens, score: score ?? null
+  }))
+});
+
+const describeRetrieval = (chunks, budget) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+  if (total <= budget) return [];
+  return [`Project is ~${total.toLocaleString()} tokens in ${chunks.length} chunks; each message gets the chunks most relevant to it within ${budget.toLocaleString()} tokens`];
+};
+
+// 🎯 UNIFIED DIFF PATCHES
+// Many models answer with `diff -u` / `git diff` output instead of SEARCH/REPLACE blocks. Each file
+// in a patch becomes one edit ({ type: 'patch', action, hunks }). Hunks are placed by their context
+// lines, searching outward from the line number in their header, and may drop up to
+// PATCH_MAX_FUZZ context lines from either end when the file has drifted, like `patch` does.
+const PATCH_MAX_FUZZ = 2;
+const DIFF_GIT_HEADER = /^diff --git a\/(\S+) b\/(\S+)/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+const isUnifiedDiff = (text) => /^@@/m.test(text) && /^(?:--- |\+\+\+ |diff --git )/m.test(text);
+
+// Drops the a/ b/ prefixes and any timestamp; /dev/null (no file on that side) becomes null
+const toPatchPath = (raw) => {
+  const path = raw.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  return path === '/dev/null' ? null : path.replace(/^[ab]\//, '');
+};
+
+const parseUnifiedDiff = (text) => {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const startFile = (oldPath, newPath) => {
+    file = { oldPath, newPath, created: false, deleted: false, hasHeader: false, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const gitHeader = line.match(DIFF_GIT_HEADER);
+    if (gitHeader) {
+      startFile(gitHeader[1], gitHeader[2]);
+      continue;
+    }
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      const oldPath = toPatchPath(line.slice(4));
+      const newPath = toPatchPath(lines[i + 1].slice(4));
+      // After `diff --git` these lines belong to the same file and only say whether it's new or gone
+      if (!file || file.hasHeader || file.hunks.length > 0) startFile(oldPath, newPath);
+      Object.assign(file, {
+        oldPath: oldPath || file.oldPath,
+        newPath: newPath || file.newPath,
+        created: file.created || oldPath === null,
+        deleted: file.deleted || newPath === null,
+        hasHeader: true
+      });
+      hunk = null;
+      i++;
+      continue;
+    }
+    if (file && !hunk && line.startsWith('new file mode')) file.created = true;
+    if (file && !hunk && line.startsWith('deleted file mode')) file.deleted = true;
+    if (line.startsWith('@@')) {
+      // Hunks without file headers still parse; the edit falls back to an unknown path
+      if (!file) startFile(null, null);
+      const numbers = line.match(HUNK_HEADER);
+      hunk = { header: line, oldStart: numbers ? Number(numbers[1]) : null, lines: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || line.startsWith('\\')) continue; // "\ No newline at end of file"
+    if (line[0] === ' ' || line[0] === '+' || line[0] === '-') {
+      hunk.lines.push({ type: line[0], text: line.slice(1) });
+    } else if (line === '') {
+      // Editors and models often strip the space from blank context lines
+      hunk.lines.push({ type: ' ', text: '' });
+    } else {
+      hunk = null; // prose after the patch
+    }
   }
 
-  render() {
-    if (this.state.hasError) {
-      return (
-        <div className="error-screen">
-          <div className="error-icon"><Square className="icon-large" /></div>
-          <h2 className="error-title">Something went wrong</h2>
-          <p className="error-message">An unexpected error occurred. Please refresh the page.</p>
-          <button className="retry-button" onClick={() => window.location.reload()}>Refresh Page</button>
-        </div>
-      );
+  return files.map(entry => {
+    const hunks = entry.hunks
+      .map(item => {
+        const trimmed = [...item.lines];
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1].type === ' ' && !trimmed[trimmed.length - 1].text) trimmed.pop();
+        return { ...item, lines: trimmed };
+      })
+      .filter(item => item.lines.some(line => line.type !== ' '));
+    const action = entry.created ? 'create' : entry.deleted ? 'delete' : 'modify';
+    return { path: action === 'delete' ? entry.oldPath : entry.newPath || entry.oldPath, action, hunks };
+  }).filter(patch => patch.hunks.length > 0 || patch.action === 'delete');
+};
+
+// Where `needle` occurs in `lines`, trying positions nearest to `expected` first
+const findHunkPosition = (lines, needle, expected, loose) => {
+  const last = lines.length - needle.length;
+  if (last < 0) return -1;
+  const start = Math.min(Math.max(expected, 0), last);
+  const matches = (at) => needle.every((text, k) => (loose ? lines[at + k].trim() === text.trim() : lines[at + k] === text));
+  for (let distance = 0; distance <= Math.max(start, last - start); distance++) {
+    if (start - distance >= 0 && matches(start - distance)) return start - distance;
+    if (distance > 0 && start + distance <= last && matches(start + distance)) return start + distance;
+  }
+  return -1;
+};
+
+const placeHunk = (lines, hunk, expected) => {
+  const leading = hunk.lines.findIndex(line => line.type !== ' ');
+  const trailing = [...hunk.lines].reverse().findIndex(line => line.type !== ' ');
+  for (let fuzz = 0; fuzz <= PATCH_MAX_FUZZ; fuzz++) {
+    const dropStart = Math.min(fuzz, leading);
+    const dropEnd = Math.min(fuzz, trailing);
+    // Neither end has context left to drop, so this try would repeat the last one
+    if (fuzz > 0 && dropStart < fuzz && dropEnd < fuzz) break;
+    const body = hunk.lines.slice(dropStart, hunk.lines.length - dropEnd);
+    const before = body.filter(line => line.type !== '+').map(line => line.text);
+    // With every context line dropped an insertion would fit anywhere
+    if (fuzz > 0 && before.length === 0) break;
+    for (const loose of [false, true]) {
+      const at = findHunkPosition(lines, before, expected + dropStart, loose);
+      if (at !== -1) return { at, body, dropStart, consumed: before.length, fuzz, loose };
     }
-    return this.props.children;
   }
-}
+  return null;
+};
 
-const Avatar = React.memo(({ role }) => {
-  const isUser = role === "user";
-  return (
-    <div className={`avatar ${isUser ? "avatar-user" : "avatar-assistant"}`}>
-      {isUser ? <User className="avatar-icon" /> : <Bot className="avatar-icon" />}
-    </div>
-  );
+/**
+ * Applies the hunks of one file's patch, skipping the indexes in `skipped`.
+ * @returns {{ result: string, appliedCount: number, failedOps: Array, hunkResults: Array }}
+ *   `hunkResults[i]` is { status: 'applied' | 'failed' | 'skipped', offset, fuzz, loose }
+ */
+const applyUnifiedPatch = (content, hunks, skipped = []) => {
+  let lines = content ? content.split('\n') : [];
+  let delta = 0;  // how far the hunks so far moved the text below them
+  let cursor = 0; // end of the last applied hunk, where a hunk without line numbers is looked for
+  const failedOps = [];
+
+  const hunkResults = hunks.map((hunk, index) => {
+    if (skipped.includes(index)) return { status: 'skipped' };
+    const expected = hunk.oldStart ? hunk.oldStart - 1 + delta : cursor;
+    const placement = placeHunk(lines, hunk, expected);
+    if (!placement) {
+      const context = hunk.lines.filter(line => line.type !== '+').map(line => line.text).join('\n');
+      failedOps.push({
+        index: index + 1,
+        search: context.substring(0, 100) + (context.length > 100 ? '...' : ''),
+        reason: `Context lines not found, even ignoring whitespace and up to ${PATCH_MAX_FUZZ} lines of context.`
+      });
+      return { status: 'failed' };
+    }
+
+    const { at, body, dropStart, consumed, fuzz, loose } = placement;
+    let source = at;
+    // Context keeps the file's own text, so whitespace-insensitive matches don't reformat it
+    const replacement = body.flatMap(line => {
+      if (line.type === '+') return [line.text];
+      const original = lines[source++];
+      return line.type === ' ' ? [original] : [];
+    });
+    lines = [...lines.slice(0, at), ...replacement, ...lines.slice(at + consumed)];
+    const offset = at - dropStart - expected;
+    if (hunk.oldStart) delta += offset + replacement.length - consumed;
+    cursor = at + replacement.length;
+    return { status: 'applied', offset, fuzz, loose };
+  });
+
+  return {
+    result: lines.join('\n'),
+    appliedCount: hunkResults.filter(outcome => outcome.status === 'applied').length,
+    failedOps,
+    hunkResults
+  };
+};
+
+const describeHunkOutcome = (outcome) => {
+  if (!outcome) return '';
+  if (outcome.status !== 'applied') return outcome.status === 'failed' ? 'no match' : 'skipped';
+  return [
+    'applies',
+    outcome.offset !== 0 && `offset ${outcome.offset > 0 ? '+' : ''}${outcome.offset}`,
+    outcome.fuzz > 0 && `fuzz ${outcome.fuzz}`,
+    outcome.loose && 'whitespace ignored'
+  ].filter(Boolean).join(', ');
+};
+
+// The project file a `--- /dev/null` patch creates
+const toPatchedFile = (path, content) => toProjectArtifact({
+  path,
+  content,
+  language: getLanguageFromPath(path),
+  lineCount: content.split('\n').length,
+  size: content.length,
+  source: 'patch'
 });
 
-const ClickOutside = React.memo(({ onClickOutside, children, active = true }) => {
-  const ref = useRef(null);
+const describeEdit = (edit) => {
+  if (edit.type === 'file_ops') return `${edit.operationCount} file operation${edit.operationCount === 1 ? '' : 's'}`;
+  if (edit.type === 'rewrite') return `rewrite · ${edit.operationCount} hunk${edit.operationCount === 1 ? '' : 's'}`;
+  if (edit.type !== 'patch') return `${edit.operationCount} operations`;
+  if (edit.action === 'create') return 'new file';
+  if (edit.action === 'delete') return 'delete file';
+  return `${edit.hunks.length} hunk${edit.hunks.length === 1 ? '' : 's'}`;
+};
 
-  useEffect(() => {
-    if (!active || !onClickOutside) return;
-    const handleClickOutside = (e) => {
-      if (ref.current && !ref.current.contains(e.target)) onClickOutside(e);
-    };
-    document.addEventListener("mousedown", handleClickOutside);
-    document.addEventListener("touchstart", handleClickOutside);
-    return () => {
-      document.removeEventListener("mousedown", handleClickOutside);
-      document.removeEventListener("touchstart", handleClickOutside);
-    };
-  }, [active, onClickOutside]);
+// 🎯 PROPOSED UPDATES
+// A reply that repeats an existing file in full is a proposed update ({ type: 'rewrite', content })
+// rather than a duplicate. Its hunks are a line diff against the file as it is when reviewed, in the
+// same shape as patch hunks, so the diff viewer and applyUnifiedPatch handle both.
+const DIFF_CONTEXT_LINES = 3;
+// Above this many cells the LCS table is skipped and the changed middle becomes one block
+const LINE_DIFF_MAX_CELLS = 4000000;
+
+const toDiffLines = (text) => (text ? text.split('\n') : []);
+
+// ' ' / '-' / '+' entries turning `before` into `after`: common ends are trimmed, the middle is an LCS
+const diffLines = (before, after) => {
+  const a = toDiffLines(before);
+  const b = toDiffLines(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+  const middle = [];
+  if (oldMiddle.length * newMiddle.length <= LINE_DIFF_MAX_CELLS) {
+    // lengths[i * width + j] is the LCS length of oldMiddle[i..] and newMiddle[j..]
+    const width = newMiddle.length + 1;
+    const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length && j < newMiddle.length) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        middle.push({ type: ' ', text: oldMiddle[i++] });
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: '-', text: oldMiddle[i++] });
+      } else {
+        middle.push({ type: '+', text: newMiddle[j++] });
+      }
+    }
+    while (i < oldMiddle.length) middle.push({ type: '-', text: oldMiddle[i++] });
+    while (j < newMiddle.length) middle.push({ type: '+', text: newMiddle[j++] });
+  } else {
+    middle.push(...oldMiddle.map(text => ({ type: '-', text })), ...newMiddle.map(text => ({ type: '+', text })));
+  }
 
-  return <div ref={ref}>{children}</div>;
+  return [
+    ...a.slice(0, start).map(text => ({ type: ' ', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: ' ', text }))
+  ];
+};
+
+// Groups a line diff into hunks with a few lines of context; changes closer than twice that share one
+const buildDiffHunks = (before, after) => {
+  let oldLine = 1;
+  let newLine = 1;
+  const entries = diffLines(before, after).map(entry => {
+    const positioned = { ...entry, oldLine, newLine };
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+    return positioned;
+  });
+
+  const hunks = [];
+  let index = 0;
+  while (index < entries.length) {
+    if (entries[index].type === ' ') { index++; continue; }
+    const first = Math.max(0, index - DIFF_CONTEXT_LINES);
+    let end = index;
+    for (;;) {
+      while (end < entries.length && entries[end].type !== ' ') end++;
+      let next = end;
+      while (next < entries.length && entries[next].type === ' ') next++;
+      if (next >= entries.length || next - end > 2 * DIFF_CONTEXT_LINES) break;
+      end = next;
+    }
+    const last = Math.min(entries.length, end + DIFF_CONTEXT_LINES);
+    const lines = entries.slice(first, last).map(({ type, text }) => ({ type, text }));
+    const oldCount = lines.filter(line => line.type !== '+').length;
+    const newCount = lines.filter(line => line.type !== '-').length;
+    hunks.push({
+      header: `@@ -${entries[first].oldLine},${oldCount} +${entries[first].newLine},${newCount} @@`,
+      oldStart: entries[first].oldLine,
+      lines
+    });
+    index = last;
+  }
+  return hunks;
+};
+
+const toProposedUpdate = (artifact, existing) => ({
+  path: existing.path,
+  content: artifact.content,
+  id: generateSafeId(`edit-${existing.path}`),
+  type: 'rewrite',
+  timestamp: new Date().toISOString(),
+  applied: false,
+  operationCount: buildDiffHunks(existing.content, artifact.content).length
 });
 
-const LoadingSkeleton = React.memo(() => (
-  <div className="loading-skeleton">
-    <div className="skeleton-avatar"></div>
-    <div className="skeleton-content">
-      <div className="skeleton-line"></div>
-      <div className="skeleton-line short"></div>
-    </div>
-  </div>
-));
+// 🎯 FILE HISTORY
+// Project files keep the content that reviewed changes replaced, newest last, so a partial accept
+// can be traced and undone from the file viewer
+const FILE_HISTORY_LIMIT = 10;
 
-// 🎯 OPTIMIZED MESSAGE COMPONENT
-const Message = React.memo(({ message, copied, onCopy, onViewEdit, onAddToProject, currentArtifacts }) => {
-  const { content, role, image, parsedResponse } = message;
-  const isAssistant = role === "assistant";
-  
-  const handleCopy = useCallback(() => {
-    onCopy(message.id, content);
-  }, [onCopy, message.id, content]);
-  
-  const handleViewEdit = useCallback((edit) => {
-    onViewEdit(edit);
-  }, [onViewEdit]);
-  
-  const handleAddToProject = useCallback((artifact) => {
-    onAddToProject(artifact);
-  }, [onAddToProject]);
-  
-  return (
-    <div className="message-content">
-      {image && (
-        <div className="message-image-container">
-          <img src={image} alt="Attached" className="message-image" onClick={() => window.open(image, '_blank')} />
-        </div>
-      )}
-      
+const CREATE_PATCH_REPLACED = 'Replaced by a patch that creates the file';
+
+const withFileHistory = (file, summary) => ({
+  ...file,
+  history: [
+    ...(file.history || []),
+    { id: generateSafeId('version'), timestamp: new Date().toISOString(), summary, content: file.content }
+  ].slice(-FILE_HISTORY_LIMIT)
+});
+
+// 🎯 FILE OPERATIONS
+// Replies delete, rename and move project files with one directive per line in a ```files block.
+// The directives of a block are planned together against the project and applied at once or
+// not at all; relative imports elsewhere that still point at an old path are flagged, not rewritten.
+const FILE_OPS_FENCE = 'files';
+const FILE_OP_LINE = /^\s*(DELETE|RENAME|MOVE)\s+(\S+)(?:\s+(?:->|→|TO)\s+(\S+))?\s*$/i;
+const IMPORT_SPECIFIER = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|@import\s+(?:url\(\s*)?)['"]([^'"\n]+)['"]/g;
+const IMPORT_SUFFIXES = ['', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json', '.css', '.scss', '/index.js', '/index.jsx', '/index.ts', '/index.tsx'];
+
+const toFileOpPath = (raw) => raw
+  .replace(/\\/g, '/')
+  .replace(/\.\./g, '')
+  .replace(/[<>:"|?*]/g, '')
+  .replace(/^\.?\/+/, '')
+  .trim();
+
+// One directive line as { action, from, to }, or null; a delete has no `to`
+const parseFileOperation = (line) => {
+  const match = line.match(FILE_OP_LINE);
+  if (!match) return null;
+  const action = match[1].toLowerCase();
+  if ((action === 'delete') !== !match[3]) return null;
+  const from = toFileOpPath(match[2]);
+  const to = match[3] && toFileOpPath(match[3]);
+  if (!from || (action !== 'delete' && !to)) return null;
+  return action === 'delete' ? { action, from } : { action, from, to };
+};
+
+const describeFileOperation = (op) => (op.action === 'delete' ? `delete ${op.from}` : `${op.from} → ${op.to}`);
+
+const getDirectory = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+const resolveImportPath = (importer, specifier) => {
+  const parts = getDirectory(importer).split('/').filter(Boolean);
+  specifier.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+const toImportSpecifier = (importer, target) => {
+  const from = getDirectory(importer).split('/').filter(Boolean);
+  const to = target.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+  const rest = to.slice(common).join('/');
+  return common === from.length ? `./${rest}` : `${'../'.repeat(from.length - common)}${rest}`;
+};
+
+/**
+ * Relative imports that resolve to a path in `changes` ([{ from, to }], `to` null for a delete),
+ * as [{ path, line, specifier, target, suggestion }]. Files that moved themselves are not scanned;
+ * the suggestion keeps the import's style of leaving out the extension or index file.
+ */
+const findStaleImports = (files, changes) => {
+  const byOldPath = new Map(changes.map(change => [change.from, change]));
+  const movedPaths = new Set(changes.map(change => change.to).filter(Boolean));
+  const stale = [];
+  files.forEach(file => {
+    if (movedPaths.has(file.path) || !file.content) return;
+    file.content.split('\n').forEach((text, index) => {
+      for (const match of text.matchAll(IMPORT_SPECIFIER)) {
+        const specifier = match[1];
+        if (!specifier.startsWith('.')) continue;
+        const resolved = resolveImportPath(file.path, specifier);
+        const suffix = IMPORT_SUFFIXES.find(candidate => byOldPath.has(resolved + candidate));
+        if (suffix === undefined) continue;
+        const change = byOldPath.get(resolved + suffix);
+        let suggestion = null;
+        if (change.to) {
+          suggestion = toImportSpecifier(file.path, change.to);
+          if (suffix && suggestion.endsWith(suffix)) suggestion = suggestion.slice(0, -suffix.length);
+        }
+        stale.push({ path: file.path, line: index + 1, specifier, target: change.from, suggestion });
+      }
+    });
+  });
+  return stale;
+};
+
+/**
+ * Works out directives against the project without changing it. Returns { files, results,
+ * errors, changes, removed, staleImports }: the project afterwards, each directive with its
+ * status, the per-file moves and deletes, the deleted files and the imports left behind.
+ * A path with no file of its own names a folder and applies to every file under it.
+ */
+const planFileOperations = (files, operations) => {
+  let next = files;
+  const changes = [];
+  const removed = [];
+  // A file renamed twice is one change from its first path to its last
+  const record = (from, to) => {
+    const earlier = changes.find(change => change.to === from);
+    if (earlier) earlier.to = to;
+    else changes.push({ from, to });
+  };
+
+  const results = operations.map(op => {
+    const folder = op.from.replace(/\/+$/, '');
+    const exact = next.filter(file => file.path === op.from);
+    const isFolder = exact.length === 0;
+    const matched = isFolder ? next.filter(file => file.path.startsWith(`${folder}/`)) : exact;
+    if (matched.length === 0) return { ...op, status: 'failed', reason: `${op.from} is not in the project` };
+
+    if (op.action === 'delete') {
+      // Kept under the path it had before this set of directives, so undoing puts it back there
+      removed.push(...matched.map(file => {
+        const earlier = changes.find(change => change.to === file.path);
+        return earlier ? { ...file, path: earlier.from, language: getLanguageFromPath(earlier.from) } : file;
+      }));
+      next = next.filter(file => !matched.includes(file));
+      matched.forEach(file => record(file.path, null));
+      return { ...op, status: 'ok', count: matched.length };
+    }
+
+    const target = op.to.endsWith('/') && !isFolder
+      ? `${op.to}${op.from.split('/').pop()}`
+      : op.to.replace(/\/+$/, '');
+    const moves = matched.map(file => ({ file, to: isFolder ? `${target}${file.path.slice(folder.length)}` : target }));
+    const taken = moves.find(move => next.some(file => file.path === move.to && !matched.includes(file)));
+    if (taken) return { ...op, status: 'failed', reason: `${taken.to} already exists` };
+
+    const summary = op.action === 'move' ? 'Moved from' : 'Renamed from';
+    const timestamp = new Date().toISOString();
+    next = next.map(file => {
+      const move = moves.find(candidate => candidate.file === file);
+      if (!move) return file;
+      return { ...withFileHistory(file, `${summary} ${file.path}`), path: move.to, language: getLanguageFromPath(move.to), timestamp };
+    });
+    moves.forEach(move => record(move.file.path, move.to));
+    return { ...op, status: 'ok', count: moves.length };
+  });
+
+  const errors = results
+    .filter(result => result.status === 'failed')
+    .map(result => `${describeFileOperation(result)}: ${result.reason}`);
+  return { files: next, results, errors, changes, removed, staleImports: findStaleImports(next, changes) };
+};
+
+// Where a file is after a set of changes: the same object when untouched, null once deleted
+const followFileChanges = (file, changes, files) => {
+  const change = file && changes.find(candidate => candidate.from === file.path);
+  if (!change) return file;
+  return change.to ? files.find(candidate => candidate.path === change.to) || null : null;
+};
+
+// Puts an applied set of directives back: moved files return to their old paths and deleted
+// files come back with their history
+const revertFileOperations = (files, changes, removed) => {
+  const moveBack = changes
+    .filter(change => change.to)
+    .map(change => ({ action: 'move', from: change.to, to: change.from }));
+  const plan = planFileOperations(files, moveBack);
+  const errors = [...plan.errors];
+  removed.forEach(file => {
+    if (plan.files.some(existing => existing.path === file.path)) errors.push(`restore ${file.path}: it exists again`);
+  });
+  return { files: [...plan.files, ...removed], errors, changes: plan.changes };
+};
+
+// 🎯 STREAMING PARSER
+// Gives file and edit cards while a reply streams. Lines are classified as they complete; each
+// fenced block that closes goes through the same block parser as the finished reply, once, so
+// closed cards are what the final parse produces, ids included, and can be applied right away.
+// Only the block still being written is a guess: a file or an edit, judged from its fence and
+// first lines.
+const STREAM_PREVIEW_LINES = 6;
+const FENCE_LINE = /^\s*```\s*([\w+#.-]*)\s*$/;
+const FILE_COMMENT_LINE = /^\s*(?:\/\/|#|\/\*)\s*(?:filename|file):\s*(.+?)\s*(?:\*\/)?\s*$/i;
+const BARE_PATH_LINE = /^\s*([a-zA-Z0-9_\-/.]+\.\w+)\s*$/;
+const INLINE_FILE_LINE = /^\s*(?:File:|filename:|##\s*FILE:)\s*(\S+)\s*$/i;
+const EDIT_MARKER_LINE = /^\s*(?:@@@|\/\/\/|File:|file:|filename:)\s*(.+?)\s*$/;
+
+// The one place that decides what a line of a reply is, for the streaming and the final parse
+const tokenizeReplyLine = (line) => {
+  const fence = line.match(FENCE_LINE);
+  if (fence) return { type: 'fence', info: fence[1].toLowerCase() };
+  if (/^<<<<<<< SEARCH\s*$/.test(line)) return { type: 'search' };
+  if (/^>>>>>>> REPLACE\s*$/.test(line)) return { type: 'replace' };
+  if (line.startsWith('@@') && !line.startsWith('@@@')) return { type: 'hunk' };
+  if (line.startsWith('+++ ') || line.startsWith('--- ')) return { type: 'diff-path', path: toPatchPath(line.slice(4)) };
+  const fileOp = parseFileOperation(line);
+  if (fileOp) return { type: 'file-op', op: fileOp };
+  const inlineFile = line.match(INLINE_FILE_LINE);
+  if (inlineFile) return { type: 'inline-file', path: inlineFile[1] };
+  const fileComment = line.match(FILE_COMMENT_LINE);
+  if (fileComment) return { type: 'file-comment', path: fileComment[1] };
+  const marker = line.match(EDIT_MARKER_LINE);
+  if (marker) return { type: 'edit-marker', path: marker[1] };
+  return { type: 'text' };
+};
+
+const EDIT_FENCES = ['edit', 'diff', 'patch'];
+
+const describeOpenBlock = (block) => {
+  if (block.info === FILE_OPS_FENCE) {
+    return { kind: 'edit', path: 'Project files', operationCount: block.fileOps, isPatch: false };
+  }
+  const isEdit = EDIT_FENCES.includes(block.info) || block.operations > 0 || block.searching || block.hunks > 0;
+  if (isEdit) {
+    return {
+      kind: 'edit',
+      path: block.editPath || 'unknown',
+      operationCount: block.hunks || block.operations,
+      isPatch: block.hunks > 0
+    };
+  }
+  if (!block.filePath) return null;
+  const body = block.pathInBody ? block.lines.slice(1) : block.lines;
+  return {
+    kind: 'file',
+    path: block.filePath,
+    language: block.info || getLanguageFromPath(block.filePath),
+    lineCount: body.length,
+    preview: body.slice(-STREAM_PREVIEW_LINES).join('\n')
+  };
+};
+
+/**
+ * Creates a parser fed with the whole reply so far on every update; `createBlockParser()` gives
+ * a fresh reply parser (see createReplyParser). `push(content)` returns { artifacts, edits, open,
+ * cutAt }: the cards of closed blocks, the block being written (null for plain code) and where
+ * the reply text should stop for it.
+ */
+const createStreamingParser = (createBlockParser) => {
+  let processed = '';
+  let lineNumber = 0;
+  let previous = null; // the last complete line outside a block, which may name the next file
+  let block = null;
+  let blockParser = createBlockParser();
+  let closed = { artifacts: [], edits: [] };
+
+  // Returns the block a line closes, shaped like those of findFencedBlocks
+  const feedLine = (line, start, end, content) => {
+    lineNumber++;
+    const token = tokenizeReplyLine(line);
+    if (!block) {
+      if (token.type === 'fence') {
+        const inlineFile = previous?.token.type === 'inline-file' ? previous : null;
+        block = {
+          start: inlineFile ? inlineFile.start : start,
+          fenceStart: start,
+          line: lineNumber,
+          previous,
+          info: token.info,
+          filePath: inlineFile?.token.path || null,
+          editPath: null,
+          lines: [],
+          operations: 0,
+          hunks: 0,
+          fileOps: 0,
+          searching: false,
+          pathInBody: false
+        };
+      }
+      previous = { token, start };
+      return null;
+    }
+    if (token.type === 'fence') {
+      const done = {
+        start: block.fenceStart,
+        end,
+        line: block.line,
+        info: block.info,
+        body: block.lines.join('\n'),
+        raw: content.slice(block.fenceStart, end),
+        previous: block.previous
+      };
+      block = null;
+      previous = null;
+      return done;
+    }
+
+    block.lines.push(line);
+    const lineIndex = block.lines.length - 1;
+    if (token.type === 'search') block.searching = true;
+    if (token.type === 'replace') { block.operations++; block.searching = false; }
+    if (token.type === 'hunk') block.hunks++;
+    if (token.type === 'file-op') block.fileOps++;
+    if (token.type === 'diff-path' && token.path) block.editPath = token.path;
+    if (lineIndex < 3 && !block.editPath && (token.type === 'edit-marker' || token.type === 'file-comment')) {
+      block.editPath = token.path;
+    }
+    if (lineIndex === 0 && !block.filePath) {
+      if (token.type === 'file-comment') block.filePath = token.path;
+      else if (token.type === 'text' && BARE_PATH_LINE.test(line)) block.filePath = line.trim();
+      block.pathInBody = !!block.filePath;
+    }
+    return null;
+  };
+
+  return {
+    push(content) {
+      if (!content.startsWith(processed)) {
+        processed = '';
+        lineNumber = 0;
+        previous = null;
+        block = null;
+        blockParser = createBlockParser();
+        closed = { artifacts: [], edits: [] };
+      }
+      let consumed = processed.length;
+      let changed = false;
+      let newline;
+      while ((newline = content.indexOf('\n', consumed)) !== -1) {
+        const done = feedLine(content.slice(consumed, newline).replace(/\r$/, ''), consumed, newline + 1, content);
+        if (done) {
+          blockParser.addBlock(done);
+          changed = true;
+        }
+        consumed = newline + 1;
+      }
+      processed = content.slice(0, consumed);
+      // New arrays only when a block closed, so unchanged cards keep their identity
+      if (changed) closed = { artifacts: [...blockParser.artifacts], edits: [...blockParser.edits] };
+
+      const open = block && describeOpenBlock(block);
+      return { ...closed, open, cutAt: open ? block.start : null };
+    }
+  };
+};
+
+// 🎯 RESPONSE PARSING
+// A reply is parsed in one pass over its lines, with no cap on its length or on the number of
+// files and edits. The only limit is a safety one, configurable per user: blocks past it stay in
+// the text and are listed, with their line and path, under the message.
+const DEFAULT_PARSER_SETTINGS = Object.freeze({ maxBlocks: 100 });
+
+const loadParserSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.PARSER_SETTINGS) || '{}');
+    return { maxBlocks: Number(saved.maxBlocks) > 0 ? Math.floor(Number(saved.maxBlocks)) : DEFAULT_PARSER_SETTINGS.maxBlocks };
+  } catch {
+    return { ...DEFAULT_PARSER_SETTINGS };
+  }
+};
+
+/**
+ * The closed fenced blocks of a reply, in order: { start, end, line, info, body, raw, previous }.
+ * `start`/`end` span the fences, `line` is the opening fence's 1-based line and `previous` the
+ * line just before it ({ token, start }), which may name the file.
+ */
+const findFencedBlocks = (text) => {
+  const blocks = [];
+  let open = null;
+  let previous = null;
+  let offset = 0;
+  for (let lineNumber = 1; offset <= text.length; lineNumber++) {
+    const newline = text.indexOf('\n', offset);
+    const end = newline === -1 ? text.length : newline + 1;
+    const line = text.slice(offset, newline === -1 ? text.length : newline).replace(/\r$/, '');
+    const token = tokenizeReplyLine(line);
+
+    if (open) {
+      if (token.type === 'fence') {
+        blocks.push({
+          start: open.start,
+          end,
+          line: open.line,
+          info: open.info,
+          body: open.lines.join('\n'),
+          raw: text.slice(open.start, end),
+          previous: open.previous
+        });
+        open = null;
+        previous = null;
+      } else {
+        open.lines.push(line);
+      }
+    } else if (token.type === 'fence') {
+      open = { start: offset, line: lineNumber, info: token.info, previous, lines: [] };
+    } else {
+      previous = { token, start: offset };
+    }
+
+    if (newline === -1) break;
+    offset = end;
+  }
+  return blocks;
+};
+
+// Ids of parsed files and edits: the reply they belong to, where their block starts and the file
+const toBlockId = (kind, scope, offset, path) => `${kind}-${scope}-${offset}-${path}`;
+
+// What the user did with a reply's files and edits lives on its parse; parsing the reply again
+// keeps it. Cards are matched by id; cards from before ids were stable, whose ids are gone from
+// the new parse, by kind and path.
+const CARRIED_EDIT_FIELDS = ['id', 'applied', 'targetFile', 'undo', 'skippedHunks'];
+const CARRIED_ARTIFACT_FIELDS = ['id', 'addedToProject', 'isDuplicate'];
+
+const pickDefined = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const carryOverItems = (earlierItems = [], items, key, fields) => {
+  const ids = new Set(items.map(item => item.id));
+  const unclaimed = earlierItems.filter(earlier => !ids.has(earlier.id));
+  return items.map(item => {
+    const earlier = earlierItems.find(candidate => candidate.id === item.id) ||
+      unclaimed.find(candidate => key(candidate) === key(item));
+    return earlier ? { ...item, ...pickDefined(earlier, fields) } : item;
+  });
+};
+
+const carryOverParseState = (previous, next) => {
+  if (!previous || !next) return next;
+  return {
+    ...next,
+    edits: carryOverItems(previous.edits, next.edits, edit => `${edit.type}:${edit.path}`, CARRIED_EDIT_FIELDS),
+    artifacts: carryOverItems(previous.artifacts, next.artifacts, artifact => artifact.path, CARRIED_ARTIFACT_FIELDS)
+  };
+};
+
+// Updates one edit of a message wherever its card comes from: the finished parse or, while the
+// reply streams, the live one
+const withEditState = (msg, editId, patch) => {
+  const update = (parsed) => (parsed?.edits?.some(edit => edit.id === editId)
+    ? { ...parsed, edits: parsed.edits.map(edit => edit.id === editId ? { ...edit, ...patch } : edit) }
+    : parsed);
+  const parsedResponse = update(msg.parsedResponse);
+  const liveParse = update(msg.liveParse);
+  return parsedResponse === msg.parsedResponse && liveParse === msg.liveParse ? msg : { ...msg, parsedResponse, liveParse };
+};
+
+const SKIPPED_BLOCK_LABELS = { file: 'File', edit: 'Edit', patch: 'Patch', files: 'File operations' };
+
+// 🎯 UTILITY FUNCTIONS
+const generateSafeId = (base = '') => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 12);
+  const performanceMark = performance.now().toString(36).replace('.', '');
+  return `${base}-${timestamp}-${performanceMark}-${random}`;
+};
+
+const validateAndSanitizePath = (path) => {
+  if (!path || typeof path !== 'string') return 'unknown.txt';
+  let sanitized = path.replace(/\.\./g, '').replace(/\\/g, '/').trim();
+  sanitized = sanitized.replace(/[<>:"|?*]/g, '');
+  if (!sanitized.includes('.') && !sanitized.endsWith('/')) {
+    sanitized += '.txt';
+  }
+  return sanitized;
+};
+
+const getLanguageFromPath = (path) => {
+  const safePath = validateAndSanitizePath(path);
+  const ext = safePath.split('.').pop()?.toLowerCase();
+  const languageMap = {
+    'js': 'javascript', 'jsx': 'jsx', 'ts': 'typescript', 'tsx': 'tsx',
+    'css': 'css', 'html': 'html', 'json': 'json', 'md': 'markdown',
+    'py': 'python', 'java': 'java', 'cpp': 'cpp', 'c': 'c',
+    'php': 'php', 'rb': 'ruby', 'go': 'go', 'rs': 'rust',
+    'txt': 'text', 'xml': 'xml', 'yaml': 'yaml', 'yml': 'yaml',
+    'sh': 'bash', 'bash': 'bash', 'sql': 'sql', 'vue': 'vue', 
+    'svelte': 'svelte', 'swift': 'swift', 'kt': 'kotlin',
+    'scala': 'scala', 'r': 'r', 'pl': 'perl', 'lua': 'lua'
+  };
+  return languageMap[ext] || 'text';
+};
+
+const loadBackupConversations = () => {
+  try {
+    const backupKeys = Object.keys(localStorage)
+      .filter(key => key.startsWith(APP_CONFIG.STORAGE_KEYS.BACKUP_PREFIX))
+      .sort()
+      .reverse();
+    
+    if (backupKeys.length > 0) {
+      const latestBackup = localStorage.getItem(backupKeys[0]);
+      if (latestBackup) {
+        const conversations = JSON.parse(latestBackup);
+        if (conversations && conversations.length > 0) {
+          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(conversations));
+          return conversations;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error loading backup:', error);
+  }
+  return null;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleString();
+};
+
+// Reads an NDJSON response body line by line; `onObject` may be async.
+const readNDJSON = async (body, onObject) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  const flushLine = async (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (parseError) {
+      console.warn("Failed to parse JSON line:", trimmed, parseError);
+      return;
+    }
+    if (json.error) throw new Error(json.error);
+    await onObject(json);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 1);
+        await flushLine(line);
+      }
+    }
+    await flushLine(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+};
+
+// Reads a text/event-stream body, calling `onData` with each event's data payload.
+// Stops at the OpenAI-style `[DONE]` sentinel.
+const readSSE = async (body, onData) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let dataLines = [];
+  let finished = false;
+
+  const dispatch = async () => {
+    if (dataLines.length === 0) return;
+    const data = dataLines.join("\n");
+    dataLines = [];
+    if (data.trim() === "[DONE]") {
+      finished = true;
+      return;
+    }
+    await onData(data);
+  };
+
+  const flushLine = async (rawLine) => {
+    const line = rawLine.replace(/\r$/, "");
+    if (line === "") return dispatch();
+    if (line.startsWith(":")) return;
+    if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+  };
+
+  try {
+    while (!finished) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while (!finished && (newlineIndex = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 1);
+        await flushLine(line);
+      }
+    }
+    if (!finished) {
+      await flushLine(buffer);
+      await dispatch();
+    }
+  } finally {
+    if (finished) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+};
+
+// 🎯 SERVER PROFILES
+const DEFAULT_SERVER_PROFILE_ID = 'default';
+
+const createServerProfile = (overrides = {}) => ({
+  id: generateSafeId('server'),
+  name: 'New Server',
+  provider: 'ollama',
+  url: 'http://127.0.0.1:11434',
+  headers: [],
+  timeouts: { health: 3000, request: 120000 },
+  ...overrides
+});
+
+const DEFAULT_SERVER_PROFILE = Object.freeze(createServerProfile({
+  id: DEFAULT_SERVER_PROFILE_ID,
+  name: 'Local',
+  url: APP_CONFIG.OLLAMA_BASE
+}));
+
+const loadServerProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.SERVER_PROFILES) || '[]');
+    const valid = Array.isArray(saved)
+      ? saved.filter(profile => profile && profile.id && typeof profile.url === 'string')
+      : [];
+    return valid.length > 0 ? valid : [DEFAULT_SERVER_PROFILE];
+  } catch (error) {
+    console.error('Error loading server profiles:', error);
+    return [DEFAULT_SERVER_PROFILE];
+  }
+};
+
+const buildProfileHeaders = (profile) => {
+  const headers = { "Content-Type": "application/json" };
+  (profile?.headers || []).forEach(({ key, value }) => {
+    if (key && key.trim()) headers[key.trim()] = value ?? '';
+  });
+  return headers;
+};
+
+/**
+ * fetch() against a server profile. `timeout` bounds the wait for response
+ * headers only, so long streams are not cut off once they have started.
+ */
+const profileFetch = async (profile, path, { timeout, signal, headers, ...init } = {}) => {
+  const controller = new AbortController();
+  const limit = timeout ?? profile?.timeouts?.request;
+  let timedOut = false;
+
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', abortFromCaller, { once: true });
+  }
+
+  const timer = limit > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, limit) : null;
+
+  try {
+    return await fetch(`${(profile?.url || APP_CONFIG.OLLAMA_BASE).replace(/\/+$/, '')}${path}`, {
+      ...init,
+      headers: { ...buildProfileHeaders(profile), ...headers },
+      signal: controller.signal,
+    });
+  } catch (error) {
+    // The caller's signal must keep reaching the controller while a body streams,
+    // so the listener is only detached when the request never got going
+    signal?.removeEventListener('abort', abortFromCaller);
+    if (timedOut) throw new Error(`${profile?.name || 'Server'} did not respond within ${Math.round(limit / 1000)}s`);
+    throw error;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+};
+
+// 🎯 CHAT PROVIDERS
+// Each provider turns the app's messages into its wire format and reports the
+// stream back as `{ content, done, stats }` chunks, so the chat, artifact and edit
+// flow never need to know which backend answered.
+// `embed` returns one vector per input string for semantic search.
+// `healthPath(profile)` is the cheap GET that tells whether the server is up.
+const readErrorResponse = async (res) => {
+  const errorText = await res.text();
+  return new Error(`HTTP ${res.status}: ${errorText}`);
+};
+
+const dataUrlToBase64 = (dataUrl) => dataUrl.split(',')[1];
+
+// Tool calls travel through the app as { id, name, arguments } with parsed arguments
+const toOllamaMessage = (msg) => {
+  if (msg.role === 'tool') return { role: 'tool', content: msg.content, tool_name: msg.toolName };
+  return {
+    role: msg.role,
+    content: formatMessageContent(msg),
+    ...(getMessageImages(msg).length > 0 && { images: getMessageImages(msg).map(dataUrlToBase64) }),
+    ...(msg.toolCalls?.length && {
+      tool_calls: msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+    })
+  };
+};
+
+const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama',
+  healthPath: () => '/api/tags',
+  managesModels: true,
+
+  async listModels(profile) {
+    const res = await profileFetch(profile, '/api/tags');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return data.models || [];
+  },
+
+  async streamChat(profile, { model, messages, options, keepAlive, tools, format, think, signal }, onChunk) {
+    const res = await profileFetch(profile, '/api/chat', {
+      method: "POST",
+      body: JSON.stringify({
+        model,
+        messages: messages.map(toOllamaMessage),
+        ...(tools?.length && { tools }),
+        ...(format && { format }),
+        ...(think !== undefined && { think }),
+        stream: true,
+        options,
+        keep_alive: keepAlive
+      }),
+      signal,
+    });
+    if (!res.ok) throw await readErrorResponse(res);
+    if (!res.body) throw new Error("Streaming not supported");
+
+    await readNDJSON(res.body, (json) => onChunk({
+      content: json.message?.content || '',
+      thinking: json.message?.thinking || '',
+      toolCalls: (json.message?.tool_calls || []).map(call => ({
+        id: call.id || generateSafeId('call'),
+        name: call.function?.name,
+        arguments: call.function?.arguments || {}
+      })),
+      done: !!json.done,
+      stats: json.done ? {
+        promptTokens: json.prompt_eval_count ?? null,
+        completionTokens: json.eval_count ?? null,
+        totalDuration: json.total_duration ?? null,
+        loadDuration: json.load_duration ?? null,
+        promptDuration: json.prompt_eval_duration ?? null,
+        evalDuration: json.eval_duration ?? null,
+        doneReason: json.done_reason ?? null
+      } : null
+    }));
+  },
+
+  async embed(profile, { model, input, signal }) {
+    const res = await profileFetch(profile, '/api/embed', {
+      method: "POST",
+      body: JSON.stringify({ model, input }),
+      signal,
+    });
+    if (!res.ok) throw await readErrorResponse(res);
+    const data = await res.json();
+    return data.embeddings || [];
+  }
+};
+
+// llama.cpp server, vLLM and LM Studio accept a base URL with or without /v1
+const openAIPath = (profile, path) => (
+  /\/v1\/?$/.test(profile?.url || '') ? path : `/v1${path}`
+);
+
+// Ollama options as an OpenAI-compatible request names them. temperature, top_p, seed, stop and
+// max_tokens are standard; the rest are extras llama.cpp and vLLM accept, under vLLM's names.
+// The context size is the server's to set, and mirostat is only sent once it is switched on.
+const OPENAI_PARAM_NAMES = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  stop: 'stop',
+  num_predict: 'max_tokens',
+  top_k: 'top_k',
+  min_p: 'min_p',
+  repeat_penalty: 'repetition_penalty',
+  mirostat: 'mirostat',
+  mirostat_tau: 'mirostat_tau',
+  mirostat_eta: 'mirostat_eta'
+};
+
+const toOpenAIParams = (options = {}) => {
+  const params = {};
+  Object.entries(OPENAI_PARAM_NAMES).forEach(([key, name]) => {
+    const value = options[key];
+    if (value === null || value === undefined) return;
+    if (key.startsWith('mirostat') && !options.mirostat) return;
+    if (key === 'num_predict' && !(value > 0)) return;
+    if (key === 'stop' && value.length === 0) return;
+    params[name] = value;
+  });
+  return params;
+};
+
+const toOpenAIMessage = (msg) => {
+  if (msg.role === 'tool') return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+  if (msg.toolCalls?.length) {
+    return {
+      role: msg.role,
+      content: msg.content || null,
+      tool_calls: msg.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  }
+  const images = getMessageImages(msg);
+  const content = formatMessageContent(msg);
+  if (images.length === 0) return { role: msg.role, content };
+  return {
+    role: msg.role,
+    content: [
+      ...(content ? [{ type: 'text', text: content }] : []),
+      ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+    ]
+  };
+};
+
+// `format` is Ollama's: "json" or a JSON schema object
+const toOpenAIResponseFormat = (format) => (
+  format === 'json'
+    ? { type: 'json_object' }
+    : { type: 'json_schema', json_schema: { name: 'response', schema: format } }
+);
+
+const openAIProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  healthPath: (profile) => openAIPath(profile, '/models'),
+  managesModels: false,
+
+  async listModels(profile) {
+    const res = await profileFetch(profile, openAIPath(profile, '/models'));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return (data.data || []).map(model => ({
+      name: model.id,
+      ...(model.created && { modified_at: new Date(model.created * 1000).toISOString() })
+    }));
+  },
+
+  async streamChat(profile, { model, messages, options, tools, format, signal }, onChunk) {
+    const res = await profileFetch(profile, openAIPath(profile, '/chat/completions'), {
+      method: "POST",
+      body: JSON.stringify({
+        model,
+        messages: messages.map(toOpenAIMessage),
+        ...(tools?.length && { tools }),
+        ...(format && { response_format: toOpenAIResponseFormat(format) }),
+        stream: true,
+        stream_options: { include_usage: true },
+        ...toOpenAIParams(options)
+      }),
+      signal,
+    });
+    if (!res.ok) throw await readErrorResponse(res);
+    if (!res.body) throw new Error("Streaming not supported");
+
+    const startedAt = performance.now();
+    let firstTokenAt = null;
+    let doneReason = null;
+    let usage = null;
+    // Tool call names and arguments arrive in fragments keyed by index
+    const pendingToolCalls = [];
+
+    await readSSE(res.body, async (data) => {
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch (parseError) {
+        console.warn("Failed to parse SSE event:", data, parseError);
+        return;
+      }
+      if (json.error) throw new Error(json.error.message || json.error);
+
+      const choice = json.choices?.[0];
+      if (choice?.finish_reason) doneReason = choice.finish_reason;
+      if (json.usage) usage = json.usage;
+
+      (choice?.delta?.tool_calls || []).forEach(fragment => {
+        const index = fragment.index ?? 0;
+        if (!pendingToolCalls[index]) pendingToolCalls[index] = { id: null, name: '', argumentsText: '' };
+        const call = pendingToolCalls[index];
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.argumentsText += fragment.function.arguments;
+      });
+
+      const content = choice?.delta?.content || '';
+      // llama.cpp and vLLM call it reasoning_content, some servers just reasoning
+      const thinking = choice?.delta?.reasoning_content || choice?.delta?.reasoning || '';
+      if ((content || thinking) && firstTokenAt === null) firstTokenAt = performance.now();
+      if (content || thinking) await onChunk({ content, thinking, toolCalls: [], done: false, stats: null });
+    });
+
+    const toolCalls = pendingToolCalls.filter(Boolean).map(call => {
+      let args = {};
+      try {
+        args = call.argumentsText ? JSON.parse(call.argumentsText) : {};
+      } catch (parseError) {
+        console.warn("Failed to parse tool call arguments:", call.argumentsText, parseError);
+      }
+      return { id: call.id || generateSafeId('call'), name: call.name, arguments: args };
+    });
+
+    // Durations are in nanoseconds to match Ollama's stats
+    const endedAt = performance.now();
+    await onChunk({
+      content: '',
+      toolCalls,
+      done: true,
+      stats: {
+        promptTokens: usage?.prompt_tokens ?? null,
+        completionTokens: usage?.completion_tokens ?? null,
+        totalDuration: Math.round((endedAt - startedAt) * 1e6),
+        loadDuration: null,
+        promptDuration: firstTokenAt !== null ? Math.round((firstTokenAt - startedAt) * 1e6) : null,
+        evalDuration: firstTokenAt !== null ? Math.round((endedAt - firstTokenAt) * 1e6) : null,
+        doneReason
+      }
+    });
+  },
+
+  async embed(profile, { model, input, signal }) {
+    const res = await profileFetch(profile, openAIPath(profile, '/embeddings'), {
+      method: "POST",
+      body: JSON.stringify({ model, input }),
+      signal,
+    });
+    if (!res.ok) throw await readErrorResponse(res);
+    const data = await res.json();
+    return (data.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+};
+
+const CHAT_PROVIDERS = {
+  [ollamaProvider.id]: ollamaProvider,
+  [openAIProvider.id]: openAIProvider
+};
+
+const getProvider = (profile) => CHAT_PROVIDERS[profile?.provider] || ollamaProvider;
+
+// 🎯 SEMANTIC SEARCH
+// Messages and project files of every conversation are embedded with a user-chosen model and kept
+// in IndexedDB, since the vectors are far too large for localStorage. Each entry carries a hash of
+// its text so a save only re-embeds what changed.
+const SEARCH_DB_NAME = 'ollama-semantic-index';
+const SEARCH_STORE = 'entries';
+const CHUNK_VECTOR_STORE = 'chunks';
+const SEARCH_DOC_MAX_CHARS = 2000;
+const SEARCH_SNIPPET_CHARS = 160;
+const SEARCH_EMBED_BATCH = 16;
+const SEARCH_MAX_RESULTS = 20;
+const SEARCH_MIN_SCORE = 0.3;
+const SEARCH_INDEX_DELAY = 2000;
+
+const DEFAULT_SEARCH_SETTINGS = { model: '' };
+
+const loadSearchSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.SEARCH_SETTINGS) || '{}');
+    return { ...DEFAULT_SEARCH_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_SEARCH_SETTINGS };
+  }
+};
+
+let searchDbPromise = null;
+
+const openSearchDb = () => {
+  if (!searchDbPromise) {
+    searchDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SEARCH_DB_NAME, 2);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SEARCH_STORE)) db.createObjectStore(SEARCH_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(CHUNK_VECTOR_STORE)) db.createObjectStore(CHUNK_VECTOR_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        searchDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return searchDbPromise;
+};
+
+// Runs `operate` against one store in a transaction and resolves once it has committed
+const withSearchStore = async (mode, operate, storeName = SEARCH_STORE) => {
+  const db = await openSearchDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operate(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Search index transaction aborted'));
+  });
+};
+
+const readSearchEntries = async () => (await withSearchStore('readonly', store => store.getAll())) || [];
+
+const writeSearchEntries = (entries, removedIds = []) => withSearchStore('readwrite', store => {
+  entries.forEach(entry => store.put(entry));
+  removedIds.forEach(id => store.delete(id));
+});
+
+const clearSearchEntries = async () => {
+  await withSearchStore('readwrite', store => store.clear());
+  await withSearchStore('readwrite', store => store.clear(), CHUNK_VECTOR_STORE);
+};
+
+// Project chunk vectors are keyed by model and content hash, so unchanged chunks are embedded once
+const readChunkVectors = async (keys) => {
+  const vectors = new Map();
+  await withSearchStore('readonly', store => {
+    keys.forEach(key => {
+      const request = store.get(key);
+      request.onsuccess = () => { if (request.result) vectors.set(key, request.result.vector); };
+    });
+  }, CHUNK_VECTOR_STORE);
+  return vectors;
+};
+
+const writeChunkVectors = (records) => withSearchStore('readwrite', store => {
+  records.forEach(record => store.put(record));
+}, CHUNK_VECTOR_STORE);
+
+const hashText = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(36);
+};
+
+// Only the active branch of each conversation is indexed; that's what a hit can jump to
+const buildSearchDocuments = (conversations, artifactsByConversation) => {
+  const documents = [];
+  conversations.forEach(conversation => {
+    (conversation.messages || []).forEach(message => {
+      if ((message.role !== 'user' && message.role !== 'assistant') || message.isError || message.isStreaming) return;
+      const text = (message.content || '').trim();
+      if (!text) return;
+      documents.push({
+        id: `${conversation.id}:message:${message.id}`,
+        conversationId: conversation.id,
+        messageId: message.id,
+        role: message.role,
+        text: text.slice(0, SEARCH_DOC_MAX_CHARS)
+      });
+    });
+    (artifactsByConversation[conversation.id] || []).forEach(file => {
+      if (!file.content) return;
+      documents.push({
+        id: `${conversation.id}:file:${file.path}`,
+        conversationId: conversation.id,
+        path: file.path,
+        text: `${file.path}\n${file.content}`.slice(0, SEARCH_DOC_MAX_CHARS)
+      });
+    });
+  });
+  return documents.map(doc => ({ ...doc, hash: hashText(doc.text) }));
+};
+
+const toSearchEntry = ({ text, ...doc }, model, vector) => ({
+  ...doc,
+  model,
+  snippet: text.slice(0, SEARCH_SNIPPET_CHARS),
+  vector: Float32Array.from(vector)
+});
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Entries embedded by another model live in a different vector space and are left out
+const rankSearchEntries = (entries, queryVector, model) => entries
+  .filter(entry => entry.model === model && entry.vector.length === queryVector.length)
+  .map(entry => ({ ...entry, score: cosineSimilarity(entry.vector, queryVector) }))
+  .filter(hit => hit.score >= SEARCH_MIN_SCORE)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, SEARCH_MAX_RESULTS);
+
+// 🎯 PROJECT TOOLS
+// Tools the model can call to work on the current conversation's files. Each `run`
+// receives the parsed arguments and a `project` handle ({ getFiles, setFiles, applySearchReplace })
+// and returns a JSON-serialisable result; throwing reports the message back to the model.
+const TOOL_RESULT_MAX_CHARS = 20000;
+const TOOL_SEARCH_MAX_MATCHES = 50;
+
+const normalizeProjectPath = (path) => String(path || '').replace(/\\/g, '/').replace(/^\.?\//, '').trim();
+
+const findProjectFile = (files, path) => {
+  const wanted = normalizeProjectPath(path).toLowerCase();
+  const exact = files.find(file => normalizeProjectPath(file.path).toLowerCase() === wanted);
+  if (exact) return exact;
+  const byName = files.filter(file => file.path.split('/').pop().toLowerCase() === wanted.split('/').pop());
+  return byName.length === 1 ? byName[0] : null;
+};
+
+const requireProjectFile = (files, path) => {
+  const file = findProjectFile(files, path);
+  if (!file) throw new Error(`File "${path}" not found. Use list_files to see the project.`);
+  return file;
+};
+
+const PROJECT_TOOLS = [
+  {
+    name: 'list_files',
+    description: 'List the files in the project, optionally only those under a directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        directory: { type: 'string', description: 'Directory prefix, e.g. "src/components". Omit for all files.' }
+      }
+    },
+    run: ({ directory }, project) => {
+      const prefix = normalizeProjectPath(directory).replace(/\/+$/, '');
+      const files = project.getFiles()
+        .filter(file => !file.isFolderPlaceholder)
+        .filter(file => !prefix || normalizeProjectPath(file.path).startsWith(`${prefix}/`));
+      return {
+        files: files.map(file => ({ path: file.path, lines: (file.content || '').split('\n').length, size: (file.content || '').length }))
+      };
+    }
+  },
+  {
+    name: 'read_file',
+    description: 'Read a project file. Large files can be read in parts with start_line and end_line (1-based, inclusive).',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path of the file to read' },
+        start_line: { type: 'integer', description: 'First line to return' },
+        end_line: { type: 'integer', description: 'Last line to return' }
+      },
+      required: ['path']
+    },
+    run: ({ path, start_line, end_line }, project) => {
+      const file = requireProjectFile(project.getFiles(), path);
+      const lines = (file.content || '').split('\n');
+      const start = Math.max(1, Number(start_line) || 1);
+      const end = Math.min(lines.length, Number(end_line) || lines.length);
+      let content = lines.slice(start - 1, end).join('\n');
+      const truncated = content.length > TOOL_RESULT_MAX_CHARS;
+      if (truncated) content = content.substring(0, TOOL_RESULT_MAX_CHARS);
+      return { path: file.path, totalLines: lines.length, startLine: start, endLine: end, content, ...(truncated && { truncated: true }) };
+    }
+  },
+  {
+    name: 'search_files',
+    description: 'Search the project for text or a regular expression and return matching lines.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to find (case-insensitive)' },
+        regex: { type: 'boolean', description: 'Treat query as a JavaScript regular expression' },
+        directory: { type: 'string', description: 'Only search files under this directory' }
+      },
+      required: ['query']
+    },
+    run: ({ query, regex, directory }, project) => {
+      if (!query) throw new Error('query is required');
+      let pattern;
+      try {
+        pattern = new RegExp(regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+      const prefix = normalizeProjectPath(directory).replace(/\/+$/, '');
+      const matches = [];
+      for (const file of project.getFiles()) {
+        if (file.isFolderPlaceholder) continue;
+        if (prefix && !normalizeProjectPath(file.path).startsWith(`${prefix}/`)) continue;
+        const lines = (file.content || '').split('\n');
+        for (let i = 0; i < lines.length && matches.length <= TOOL_SEARCH_MAX_MATCHES; i++) {
+          if (pattern.test(lines[i])) matches.push({ path: file.path, line: i + 1, text: lines[i].trim().substring(0, 200) });
+        }
+      }
+      const truncated = matches.length > TOOL_SEARCH_MAX_MATCHES;
+      return { matches: matches.slice(0, TOOL_SEARCH_MAX_MATCHES), ...(truncated && { truncated: true }) };
+    }
+  },
+  {
+    name: 'write_file',
+    description: 'Create a file or replace the entire content of an existing file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path of the file to write' },
+        content: { type: 'string', description: 'Complete new file content' }
+      },
+      required: ['path', 'content']
+    },
+    run: ({ path, content }, project) => {
+      if (typeof content !== 'string') throw new Error('content must be a string');
+      const files = project.getFiles();
+      const existing = findProjectFile(files, path);
+      const stats = { content, lineCount: content.split('\n').length, size: content.length, timestamp: new Date().toISOString() };
+
+      if (existing) {
+        project.setFiles(files.map(file => file === existing ? { ...file, ...stats } : file));
+        return { path: existing.path, created: false, lines: stats.lineCount };
+      }
+
+      const filePath = validateAndSanitizePath(path);
+      project.setFiles([...files, {
+        path: filePath,
+        language: getLanguageFromPath(filePath),
+        id: generateSafeId(`file-${filePath}`),
+        type: 'file',
+        createdBy: 'ai',
+        source: 'tool',
+        addedToProject: true,
+        ...stats
+      }]);
+      return { path: filePath, created: true, lines: stats.lineCount };
+    }
+  },
+  {
+    name: 'edit_file',
+    description: 'Replace an exact block of text in a file (SEARCH/REPLACE). Include enough surrounding lines for the search text to be unique.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path of the file to edit' },
+        search: { type: 'string', description: 'Existing text to find, copied exactly from the file' },
+        replace: { type: 'string', description: 'Text to put in its place' }
+      },
+      required: ['path', 'search', 'replace']
+    },
+    run: ({ path, search, replace }, project) => {
+      if (!search) throw new Error('search must not be empty');
+      const files = project.getFiles();
+      const file = requireProjectFile(files, path);
+      const { result, appliedCount } = project.applySearchReplace(file.content || '', [{ search, replace: replace ?? '', type: 'search_replace' }]);
+      if (appliedCount === 0) throw new Error(`Search text not found in ${file.path}. Read the file and copy the text exactly.`);
+      project.setFiles(files.map(f => f === file
+        ? { ...f, content: result, lineCount: result.split('\n').length, size: result.length, timestamp: new Date().toISOString() }
+        : f
+      ));
+      return { path: file.path, applied: true };
+    }
+  }
+];
+
+const toToolSchema = (tool) => ({
+  type: 'function',
+  function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+});
+
+const runProjectTool = async (call, project) => {
+  const tool = PROJECT_TOOLS.find(t => t.name === call.name);
+  try {
+    if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+    return { ok: true, output: await tool.run(call.arguments || {}, project) };
+  } catch (error) {
+    return { ok: false, output: { error: error.message } };
+  }
+};
+
+const TOOLS_SYSTEM_PROMPT = `You can inspect and change the project files with the provided tools (list_files, read_file, search_files, write_file, edit_file). Read a file before editing it. Changes made with tools are applied immediately, so do not repeat them as code blocks in your answer.`;
+
+// 🎯 ADD DEDUPLICATION HELPER
+const deduplicateArtifacts = (artifacts) => {
+  const seen = new Set();
+  return artifacts.filter(artifact => {
+    const key = artifact.path;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+const fixCorruptedArtifacts = (artifactsData) => {
+  if (!artifactsData || typeof artifactsData !== 'object') {
+    console.log("🔄 [FIX] No artifacts data to fix");
+    return {};
+  }
+  
+  const fixed = {};
+  
+  Object.keys(artifactsData).forEach(conversationId => {
+    const artifacts = artifactsData[conversationId];
+    
+    if (Array.isArray(artifacts)) {
+      const validArtifacts = artifacts.filter(artifact => 
+        artifact && 
+        typeof artifact === 'object' && 
+        artifact.path && 
+        artifact.content !== undefined
+      ).map(artifact => ({
+        ...artifact,
+        id: artifact.id || generateSafeId(`file-${artifact.path}`),
+        type: artifact.type || 'file',
+        createdBy: artifact.createdBy || 'unknown',
+        timestamp: artifact.timestamp || new Date().toISOString(),
+        language: artifact.language || getLanguageFromPath(artifact.path)
+      }));
+      
+      fixed[conversationId] = validArtifacts;
+    } else {
+      fixed[conversationId] = [];
+    }
+  });
+  
+  return fixed;
+};
+
+const ENHANCED_SYSTEM_PROMPT = `You are an advanced AI coding assistant with intelligent file editing capabilities.
+
+## CRITICAL: CHECK CURRENT FILE STATE
+1. 🚨 ALWAYS check the CURRENT file content shown in "EXISTING PROJECT FILES" below
+2. The user may have edited files since your last response
+3. Your SEARCH blocks MUST match the CURRENT content exactly
+
+## FILE CREATION FORMAT:
+
+### TO CREATE NEW FILES, use this EXACT format:
+\`\`\`javascript
+// filename: src/components/Button.jsx
+export function Button({ children, onClick }) {
+  return <button onClick={onClick}>{children}</button>;
+}
+\`\`\`
+
+### ALTERNATIVE FORMATS (also work):
+\`\`\`
+File: utils/helpers.py
+def helper_function():
+    return "Hello"
+\`\`\`
+
+\`\`\`python
+# filename: main.py
+print("Hello World")
+\`\`\`
+
+### KEY RULES:
+1. Place filename comment as the FIRST LINE inside code block
+2. Use // for JavaScript/TypeScript, # for Python/Ruby, <!-- for HTML
+3. Include full path if needed: src/utils/config.js
+
+## FILE EDITING SYSTEM (Claude.ai Style):
+
+### CRITICAL WORKFLOW:
+1. 🚨 ALWAYS read the EXISTING PROJECT FILES first (provided below)
+2. Understand the exact file structure and content
+3. ONLY change what's necessary - make MINIMAL changes
+
+### CREATING NEW FILES:
+Use standard code blocks with a filename comment:
+\`\`\`javascript
+// filename: src/components/Button.jsx
+export function Button({ children, onClick }) {
+  return <button onClick={onClick}>{children}</button>;
+}
+\`\`\`
+
+### EDITING EXISTING FILES - MINIMAL CHANGES ONLY:
+1. First locate the file in "EXISTING PROJECT FILES"
+2. Find the EXACT lines you want to change
+3. Copy them EXACTLY (character-for-character) into SEARCH
+4. Create the REPLACE block with ONLY the necessary changes
+5. NEVER rewrite entire files unless explicitly asked
+
+### FORMAT FOR SINGLE-LINE CHANGES:
+\`\`\`edit
+@@@ filename.py
+<<<<<<< SEARCH
+print("Hello")
+=======
+print("Goodbye")
+>>>>>>> REPLACE
+\`\`\`
+
+### FORMAT FOR MULTI-LINE CHANGES (Minimal):
+\`\`\`edit
+@@@ filename.js
+<<<<<<< SEARCH
+function oldFunction() {
+  console.log("old");
+  return 42;
+}
+=======
+function oldFunction() {
+  console.log("new");
+  return 100;
+}
+>>>>>>> REPLACE
+\`\`\`
+
+### UNIFIED DIFFS:
+A unified diff in a \`\`\`diff block is also accepted: \`--- a/path\` and \`+++ b/path\` headers, then \`@@\` hunks with 2-3 unchanged context lines around each change. Use \`--- /dev/null\` for a new file and \`+++ /dev/null\` to delete one.
+
+### DELETING, RENAMING AND MOVING FILES:
+Put one directive per line in a \`\`\`files block. To rename a file, never write it again under the new name:
+\`\`\`files
+DELETE src/old.js
+RENAME src/utils.js -> src/lib/utils.js
+MOVE src/Button.jsx -> src/components/
+MOVE src/helpers/ -> src/lib/helpers/
+\`\`\`
+A target ending in / keeps the file's name; a folder moves with everything in it. Update the imports of files that reference a moved path in the same reply.
+
+### ABSOLUTE RULES - MINIMAL CHANGES:
+1. ⚠️ SEARCH blocks MUST be copied DIRECTLY from the files shown below
+2. ⚠️ Include ALL whitespace, indentation, and newlines exactly as shown
+3. ⚠️ If changing multiple lines, include ONLY the lines that change
+4. ⚠️ NEVER rewrite entire functions/files unless explicitly requested
+5. ⚠️ Make the SMALLEST possible change to achieve the goal
+6. ⚠️ If unsure, ask the user to show you the specific section
+7. ⚠️ Never invent or guess file content - only use what's provided
+
+### EXAMPLES OF GOOD VS BAD:
+BAD (rewrites entire file):
+\`\`\`edit
+@@@ main.js
+<<<<<<< SEARCH
+const greeting = "Hello";
+console.log(greeting);
+=======
+const greeting = "Hi there!";
+console.log(greeting + " world!");
+>>>>>>> REPLACE
+\`\`\`
+
+GOOD (minimal change):
+\`\`\`edit
+@@@ main.js
+<<<<<<< SEARCH
+const greeting = "Hello";
+=======
+const greeting = "Hi there!";
+>>>>>>> REPLACE
+\`\`\`
+
+For complex changes, provide multiple SMALL SEARCH/REPLACE blocks rather than one large one.`;
+
+const DEFAULT_SYSTEM_PROMPT = ENHANCED_SYSTEM_PROMPT;
+
+// 🎯 CUSTOM HOOKS
+const useDebounce = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+  
+  useEffect(() => {
+    const handler = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(handler);
+  }, [value, delay]);
+  
+  return debouncedValue;
+};
+
+const useTheme = () => {
+  const [theme, setTheme] = useState(() => {
+    const saved = localStorage.getItem("ollama-theme");
+    return saved === "dark" || saved === "light" ? saved : "light";
+  });
+
+  const applyTheme = useCallback((newTheme) => {
+    const root = document.documentElement;
+    root.setAttribute("data-theme", newTheme);
+  }, []);
+
+  useLayoutEffect(() => {
+    applyTheme(theme);
+  }, [theme, applyTheme]);
+
+  const setThemeWithSave = useCallback((newTheme) => {
+    if (newTheme === "dark" || newTheme === "light") {
+      setTheme(newTheme);
+      localStorage.setItem("ollama-theme", newTheme);
+    }
+  }, []);
+
+  const toggleTheme = useCallback(() => {
+    setThemeWithSave(theme === "light" ? "dark" : "light");
+  }, [theme, setThemeWithSave]);
+
+  return {
+    theme,
+    setTheme: setThemeWithSave,
+    toggleTheme,
+    isDark: theme === "dark",
+    isLight: theme === "light",
+  };
+};
+
+// 🎯 COMPONENTS
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.error("App Error:", error, errorInfo);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return (
+        <div className="error-screen">
+          <div className="error-icon"><Square className="icon-large" /></div>
+          <h2 className="error-title">Something went wrong</h2>
+          <p className="error-message">An unexpected error occurred. Please refresh the page.</p>
+          <button className="retry-button" onClick={() => window.location.reload()}>Refresh Page</button>
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+const Avatar = React.memo(({ role }) => {
+  const isUser = role === "user";
+  return (
+    <div className={`avatar ${isUser ? "avatar-user" : "avatar-assistant"}`}>
+      {isUser ? <User className="avatar-icon" /> : <Bot className="avatar-icon" />}
+    </div>
+  );
+});
+
+const ClickOutside = React.memo(({ onClickOutside, children, active = true }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!active || !onClickOutside) return;
+    const handleClickOutside = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onClickOutside(e);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("touchstart", handleClickOutside);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("touchstart", handleClickOutside);
+    };
+  }, [active, onClickOutside]);
+
+  return <div ref={ref}>{children}</div>;
+});
+
+const LoadingSkeleton = React.memo(() => (
+  <div className="loading-skeleton">
+    <div className="skeleton-avatar"></div>
+    <div className="skeleton-content">
+      <div className="skeleton-line"></div>
+      <div className="skeleton-line short"></div>
+    </div>
+  </div>
+));
+
+// 🎯 OPTIMIZED MESSAGE COMPONENT
+const Message = React.memo(({ message, copied, onCopy, onViewEdit, onAddToProject, currentArtifacts }) => {
+  const { content, role, image, parsedResponse } = message;
+  const isAssistant = role === "assistant";
+  
+  const handleCopy = useCallback(() => {
+    onCopy(message.id, content);
+  }, [onCopy, message.id, content]);
+  
+  const handleViewEdit = useCallback((edit) => {
+    onViewEdit(edit);
+  }, [onViewEdit]);
+  
+  const handleAddToProject = useCallback((artifact) => {
+    onAddToProject(artifact);
+  }, [onAddToProject]);
+  
+  return (
+    <div className="message-content">
+      {image && (
+        <div className="message-image-container">
+          <img src={image} alt="Attached" className="message-image" onClick={() => window.open(image, '_blank')} />
+        </div>
+      )}
+      
       {isAssistant ? (
         <>
-          {content && (
-            <div className="message-text">
-              <ReactMarkdown rehypePlugins={[rehypeRaw]} components={{
-                code: ({ node, inline, className, children, ...props }) => {
-                  const match = /language-(\w+)/.exec(className || '');
-                  if (!inline && match) {
-                    return (
-                      <div className="code-block-wrapper">
-                        <div className="code-block-header">
-                          <button className="code-block-toggle">
-                            <span className="code-block-language">{match[1]?.toUpperCase() || 'CODE'}</span>
-                          </button>
-                          <div className="code-block-actions">
-                            <button 
-                              onClick={() => navigator.clipboard.writeText(String(children))}
-                              className="code-copy-button"
-                              title="Copy code"
-                            >
-                              <Copy size={14} />
-                            </button>
+          {content && (
+            <div className="message-text">
+              <ReactMarkdown rehypePlugins={[rehypeRaw]} components={{
+                code: ({ node, inline, className, children, ...props }) => {
+                  const match = /language-(\w+)/.exec(className || '');
+                  if (!inline && match) {
+                    return (
+                      <div className="code-block-wrapper">
+                        <div className="code-block-header">
+                          <button className="code-block-toggle">
+                            <span className="code-block-language">{match[1]?.toUpperCase() || 'CODE'}</span>
+                          </button>
+                          <div className="code-block-actions">
+                            <button 
+                              onClick={() => navigator.clipboard.writeText(String(children))}
+                              className="code-copy-button"
+                              title="Copy code"
+                            >
+                              <Copy size={14} />
+                            </button>
+                          </div>
+                        </div>
+                        <SyntaxHighlighter style={oneDark} language={match[1]} PreTag="div" showLineNumbers={false}>
+                          {String(children)}
+                        </SyntaxHighlighter>
+                      </div>
+                    );
+                  }
+                  return <code className="inline-code">{children}</code>;
+                },
+                p: ({ children, node }) => {
+                  return <div className="message-paragraph">{children}</div>;
+                },
+              }}>
+                {content}
+              </ReactMarkdown>
+            </div>
+          )}
+          {parsedResponse?.instructions?.length > 0 && (
+            <div className="instructions-display">
+              <div className="instructions-header">
+                <Play size={16} />
+                <span>Instructions</span>
+              </div>
+              <div className="instructions-content">
+                {parsedResponse.instructions.slice(0, 5).map((instruction, index) => (
+                  <div key={index} className="instruction-step">
+                    <div className="step-number">{index + 1}</div>
+                    <div className="step-content">
+                      <div className="instruction-text">{instruction}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {parsedResponse?.edits?.length > 0 && (
+            <div className="edits-notification">
+              <div className="edits-header">
+                <Edit size={16} />
+                <span>Suggested File Changes ({parsedResponse.edits.length})</span>
+              </div>
+              <div className="edits-list">
+                {parsedResponse.edits.slice(0, 3).map((edit) => (
+                  <div 
+                    key={edit.id} 
+                    className="edit-notification" 
+                    onClick={() => handleViewEdit(edit)}
+                    style={{ cursor: 'pointer' }}
+                    role="button"
+                    tabIndex={0}
+                  >
+                    <FileText size={14} />
+                    <span className="edit-file">{edit.path}</span>
+                    <span className="edit-badge context">
+                      {describeEdit(edit)}
+                    </span>
+                    <ChevronRight size={14} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {parsedResponse?.artifacts?.length > 0 && (
+            <ArtifactsDisplay 
+              artifacts={parsedResponse.artifacts}
+              currentArtifacts={currentArtifacts}
+              messageId={message.id}
+              onAddToProject={handleAddToProject}
+            />
+          )}
+        </>
+      ) : (
+        <div className="user-text">{content}</div>
+      )}
+    </div>
+  );
+}, (prevProps, nextProps) => {
+  return (
+    prevProps.message.id === nextProps.message.id &&
+    prevProps.copied === nextProps.copied &&
+    prevProps.currentArtifacts === nextProps.currentArtifacts
+  );
+});
+
+// 🎯 OPTIMIZED ARTIFACTS DISPLAY
+const ArtifactsDisplay = React.memo(({ artifacts, currentArtifacts, messageId, onAddToProject }) => {
+  return (
+    <div className="artifacts-display">
+      <div className="artifacts-header">
+        <div className="artifacts-title">
+          <FileText size={16} />
+          <span>Generated Files</span>
+          {artifacts.some(a => a.addedToProject) && (
+            <span className="added-badge">
+              <Check size={14} />
+              {artifacts.filter(a => a.addedToProject).length} added to project
+            </span>
+          )}
+        </div>
+      </div>
+      <div className="artifacts-list">
+        {artifacts.map((artifact) => {
+          const isInProject = artifact.addedToProject || currentArtifacts.some(a => 
+            a.path === artifact.path || 
+            (a.content && artifact.content && a.content === artifact.content)
+          );
+          
+          return (
+            <ArtifactItem 
+              key={artifact.id}
+              artifact={artifact}
+              isInProject={isInProject}
+              messageId={messageId}
+              onAddToProject={onAddToProject}
+            />
+          );
+        })}
+      </div>
+      {artifacts.length > 5 && (
+        <div className="artifacts-footer">
+          <small>... and {artifacts.length - 5} more files</small>
+        </div>
+      )}
+    </div>
+  );
+}, (prevProps, nextProps) => {
+  return (
+    prevProps.artifacts === nextProps.artifacts &&
+    prevProps.currentArtifacts === nextProps.currentArtifacts &&
+    prevProps.messageId === nextProps.messageId
+  );
+});
+
+// 🎯 OPTIMIZED ARTIFACT ITEM
+const ArtifactItem = React.memo(({ artifact, isInProject, messageId, onAddToProject }) => {
+  const handleAddToProject = useCallback(() => {
+    const enhancedArtifact = {
+      ...artifact,
+      id: generateSafeId(`file-${artifact.path}`),
+      type: 'file',
+      createdBy: 'ai',
+      timestamp: new Date().toISOString(),
+      addedToProject: true
+    };
+    onAddToProject(enhancedArtifact);
+  }, [artifact, onAddToProject]);
+
+  const handleCopy = useCallback(() => {
+    navigator.clipboard.writeText(artifact.content);
+  }, [artifact.content]);
+
+  return (
+    <div className={`artifact-item ${isInProject ? 'added' : ''}`}>
+      <div className="artifact-header">
+        <div className="artifact-info">
+          <div className="file-icon">
+            {isInProject ? <Check size={14} className="added-icon" /> : <FileText size={14} />}
+          </div>
+          <div className="file-details">
+            <span className="file-name">{artifact.path}</span>
+            <div className="file-meta">
+              <span className="file-language">{artifact.language}</span>
+              <span className="file-size">
+                {artifact.lineCount} lines • {formatBytes(artifact.size || artifact.content.length)}
+              </span>
+            </div>
+            {isInProject && (
+              <span className="file-status-badge">
+                <Check size={10} />
+                In Project
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="artifact-actions">
+          {!isInProject ? (
+            <button 
+              onClick={handleAddToProject}
+              className="add-to-project-btn"
+              title="Add to project"
+            >
+              <Plus size={14} />
+              Add
+            </button>
+          ) : null}
+          <button 
+            onClick={handleCopy}
+            className="copy-artifact-btn"
+            title="Copy code"
+          >
+            <Copy size={14} />
+            Copy
+          </button>
+        </div>
+      </div>
+      {!isInProject && (
+        <div className="artifact-notice">
+          <small>Click "Add" to include this file in your project</small>
+        </div>
+      )}
+    </div>
+  );
+}, (prevProps, nextProps) => {
+  return (
+    prevProps.artifact.id === nextProps.artifact.id &&
+    prevProps.isInProject === nextProps.isInProject
+  );
+});
+
+// 🎯 STRUCTURED OUTPUT PANEL
+const StructuredOutputPanel = React.memo(({ isOpen, value, onChange, onClose }) => {
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
+
+  const schemaError = useMemo(
+    () => value.mode === 'schema' ? parseSchemaText(value.schema).error : null,
+    [value.mode, value.schema]
+  );
+
+  const formatSchema = useCallback(() => {
+    const { schema } = parseSchemaText(value.schema);
+    if (schema) onChange({ ...value, schema: JSON.stringify(schema, null, 2) });
+  }, [value, onChange]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="storage-management-modal generation-options-modal structured-output-modal">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Structured Output</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close structured output settings">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="storage-content">
+          <p className="generation-options-intro">
+            Saved with this conversation. Replies are constrained to JSON and shown as a tree instead of files and edits.
+          </p>
+
+          <div className="structured-output-modes" role="radiogroup" aria-label="Output format">
+            {STRUCTURED_OUTPUT_MODES.map(mode => (
+              <label key={mode.value} className={`structured-output-mode ${value.mode === mode.value ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name="structured-output-mode"
+                  value={mode.value}
+                  checked={value.mode === mode.value}
+                  onChange={() => onChange({ ...value, mode: mode.value })}
+                />
+                <span className="generation-option-label">{mode.label}</span>
+                <small className="generation-option-hint">{mode.hint}</small>
+              </label>
+            ))}
+          </div>
+
+          {value.mode === 'schema' && (
+            <div className="structured-output-schema">
+              <div className="structured-output-schema-header">
+                <span className="generation-option-label">Schema</span>
+                <div className="backups-header-actions">
+                  <button onClick={formatSchema} className="cleanup-backups-btn secondary" disabled={!!schemaError}>
+                    Format
+                  </button>
+                  <button onClick={() => onChange({ ...value, schema: EXAMPLE_OUTPUT_SCHEMA })} className="cleanup-backups-btn secondary">
+                    Insert Example
+                  </button>
+                </div>
+              </div>
+              <textarea
+                value={value.schema}
+                onChange={(e) => onChange({ ...value, schema: e.target.value })}
+                className={`structured-output-schema-input ${schemaError ? 'invalid' : ''}`}
+                spellCheck={false}
+                rows={14}
+                aria-label="JSON schema"
+                aria-invalid={!!schemaError}
+              />
+              {schemaError
+                ? <small className="capability-warning">{schemaError}</small>
+                : <small className="generation-option-hint">Describe the fields in your prompt too; the schema only constrains the shape.</small>}
+            </div>
+          )}
+        </div>
+
+        <div className="generation-options-footer">
+          <button onClick={onClose} className="action-button primary">
+            <Check size={16} />
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// 🎯 STRUCTURED OUTPUT VIEW
+const JsonTreeNode = React.memo(({ name, value, path, errorsByPath, depth }) => {
+  const nodeErrors = errorsByPath.get(path);
+  const errorTitle = nodeErrors?.join('\n');
+  const label = name !== undefined && <span className="json-key">{name}: </span>;
+
+  if (!value || typeof value !== 'object') {
+    return (
+      <div className={`json-leaf ${nodeErrors ? 'has-error' : ''}`} title={errorTitle}>
+        {label}<span className={`json-value json-${jsonTypeOf(value)}`}>{JSON.stringify(value)}</span>
+      </div>
+    );
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray
+    ? value.map((child, index) => [index, child, `${path}[${index}]`])
+    : Object.entries(value).map(([key, child]) => [key, child, `${path}.${key}`]);
+
+  return (
+    <details open={depth < 2} className={`json-node ${nodeErrors ? 'has-error' : ''}`}>
+      <summary title={errorTitle}>
+        {label}<span className="json-bracket">{isArray ? `[${entries.length}]` : `{${entries.length}}`}</span>
+      </summary>
+      <div className="json-children">
+        {entries.map(([key, child, childPath]) => (
+          <JsonTreeNode key={childPath} name={key} value={child} path={childPath} errorsByPath={errorsByPath} depth={depth + 1} />
+        ))}
+      </div>
+    </details>
+  );
+});
+
+const StructuredOutputView = React.memo(({ message, currentArtifacts, onAddToProject }) => {
+  const { value, parseError, errors } = message.structuredResult;
+  const isSchema = message.structured?.mode === 'schema';
+  const path = `structured-output/response-${message.id.split('-').pop()}.json`;
+  const isInProject = currentArtifacts.some(art => art.path === path);
+
+  const errorsByPath = useMemo(() => {
+    const map = new Map();
+    errors.forEach(error => map.set(error.path, [...(map.get(error.path) || []), error.message]));
+    return map;
+  }, [errors]);
+
+  const handleSave = useCallback(() => {
+    const content = JSON.stringify(value, null, 2);
+    onAddToProject({
+      path,
+      content,
+      language: 'json',
+      id: generateSafeId(`file-${path}`),
+      type: 'file',
+      createdBy: 'ai',
+      timestamp: new Date().toISOString(),
+      source: 'structured',
+      lineCount: content.split('\n').length,
+      size: content.length,
+      addedToProject: true
+    });
+  }, [value, path, onAddToProject]);
+
+  let status = isSchema ? 'Matches schema' : 'Valid JSON';
+  if (parseError) status = 'Invalid JSON';
+  else if (errors.length > 0) status = `${errors.length} validation error${errors.length === 1 ? '' : 's'}`;
+
+  return (
+    <div className={`structured-output ${parseError || errors.length > 0 ? 'invalid' : 'valid'}`}>
+      <div className="structured-output-header">
+        <Braces size={16} />
+        <span>{isSchema ? 'Schema output' : 'JSON output'}</span>
+        <span className="structured-output-status">{status}</span>
+        <button
+          onClick={handleSave}
+          className="backup-action-btn primary"
+          disabled={!!parseError || isInProject}
+          title={isInProject ? `Saved as ${path}` : 'Save as artifact'}
+          aria-label="Save as artifact"
+        >
+          {isInProject ? <Check size={14} /> : <FilePlus size={14} />}
+        </button>
+      </div>
+      {parseError ? (
+        <div className="structured-output-parse-error">Could not parse the response: {parseError}</div>
+      ) : (
+        <div className="json-tree">
+          <JsonTreeNode value={value} path="$" errorsByPath={errorsByPath} depth={0} />
+        </div>
+      )}
+      {errors.length > 0 && (
+        <ul className="structured-output-errors">
+          {errors.map((error, index) => (
+            <li key={index}><code>{error.path}</code> {error.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+// 🎯 THINKING SECTION
+const ThinkingSection = React.memo(({ thinking, startedAt, endedAt, isStreaming }) => {
+  const isThinking = isStreaming && !!startedAt && !endedAt;
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!isThinking) return;
+    const interval = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(interval);
+  }, [isThinking]);
+
+  const elapsed = startedAt ? (endedAt || Math.max(now, startedAt)) - startedAt : null;
+  let label = 'Thinking';
+  if (!isThinking) label = elapsed !== null ? `Thought for ${formatElapsed(elapsed)}` : 'Reasoning';
+  else if (elapsed !== null) label = `Thinking ${formatElapsed(elapsed)}`;
+
+  return (
+    <details className={`thinking-section ${isThinking ? 'active' : ''}`} open={isThinking}>
+      <summary className="thinking-summary">
+        <Brain size={14} />
+        <span>{label}</span>
+      </summary>
+      <div className="thinking-content">{thinking}</div>
+    </details>
+  );
+});
+
+// 🎯 TOOL CALL STEPS
+const summarizeToolArguments = (args = {}) => {
+  const summary = args.path || args.query || args.directory || '';
+  return String(summary).substring(0, 60);
+};
+
+const ToolCallSteps = React.memo(({ steps }) => (
+  <div className="tool-steps">
+    {steps.map(step => (
+      <details key={step.id} className={`tool-step ${step.status}`}>
+        <summary className="tool-step-summary">
+          {step.status === 'running'
+            ? <LoaderCircle size={14} className="tool-step-spinner" />
+            : <Wrench size={14} />}
+          <code className="tool-step-name">{step.name}</code>
+          <span className="tool-step-target">{summarizeToolArguments(step.arguments)}</span>
+          {step.status === 'error' && <span className="tool-step-status">failed</span>}
+        </summary>
+        <div className="tool-step-body">
+          <div className="tool-step-label">Arguments</div>
+          <pre className="tool-step-pre">{JSON.stringify(step.arguments, null, 2)}</pre>
+          {step.result !== null && (
+            <>
+              <div className="tool-step-label">Result</div>
+              <pre className="tool-step-pre">{step.result}</pre>
+            </>
+          )}
+        </div>
+      </details>
+    ))}
+  </div>
+));
+
+// 🎯 RETRIEVED PROJECT CONTEXT
+const RETRIEVAL_METHOD_LABELS = {
+  all: 'whole project',
+  order: 'in file order',
+  keywords: 'ranked by shared words',
+  embeddings: 'ranked by embeddings'
+};
+
+// Which project excerpts a reply was given, so a gap in its knowledge can be traced back
+const RetrievedContext = React.memo(({ retrieval }) => {
+  const fileCount = new Set(retrieval.chunks.map(chunk => chunk.path)).size;
+  return (
+    <details className="retrieved-context">
+      <summary className="retrieved-context-summary">
+        <Layers size={14} />
+        <span>
+          {retrieval.method === 'all'
+            ? `Saw all ${fileCount} project file${fileCount === 1 ? '' : 's'}`
+            : `Saw ${retrieval.chunks.length} of ${retrieval.totalChunks} excerpts from ${fileCount} file${fileCount === 1 ? '' : 's'}`}
+        </span>
+        <span className="retrieved-context-meta">~{retrieval.tokens.toLocaleString()} / {retrieval.budget.toLocaleString()} tokens</span>
+      </summary>
+      {retrieval.method !== 'all' && (
+        <>
+          <div className="retrieved-context-method">
+            {RETRIEVAL_METHOD_LABELS[retrieval.method]}{retrieval.model ? ` (${retrieval.model})` : ''}
+          </div>
+          <ul className="retrieved-context-list">
+            {retrieval.chunks.map(chunk => (
+              <li key={chunk.id}>
+                <code>{chunk.path}:{chunk.startLine}-{chunk.endLine}</code>
+                {chunk.label && <span className="retrieved-context-label">{chunk.label}</span>}
+                {chunk.score !== null && <span className="retrieved-context-score">{chunk.score.toFixed(2)}</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </details>
+  );
+});
+
+// 🎯 RESPONSE VARIANT CONTROLS
+const VariantSwitcher = React.memo(({ messageId, count, active, onSelect, disabled, label = "Response variants" }) => (
+  <div className="variant-switcher" aria-label={label}>
+    <button
+      onClick={() => onSelect(messageId, active - 1)}
+      disabled={disabled || active === 0}
+      className="variant-switcher-button"
+      aria-label="Previous variant"
+    >
+      <ChevronLeft size={14} />
+    </button>
+    <span className="variant-switcher-count">{active + 1}/{count}</span>
+    <button
+      onClick={() => onSelect(messageId, active + 1)}
+      disabled={disabled || active >= count - 1}
+      className="variant-switcher-button"
+      aria-label="Next variant"
+    >
+      <ChevronRight size={14} />
+    </button>
+  </div>
+));
+
+const RegenerateMenu = React.memo(({ message, models, onRegenerate }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  const regenerate = useCallback((overrides) => {
+    setIsOpen(false);
+    onRegenerate(message.id, overrides);
+  }, [onRegenerate, message.id]);
+
+  const otherModels = models.filter(name => name !== message.model);
+
+  return (
+    <div className="regenerate-menu" ref={menuRef}>
+      <button onClick={() => regenerate()} className="regenerate-button" title="Regenerate with the same model and options">
+        <RotateCcw size={12} /> Regenerate
+      </button>
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="regenerate-button regenerate-more"
+        aria-label="Regenerate with other settings"
+        aria-expanded={isOpen}
+      >
+        <ChevronDown size={12} />
+      </button>
+      {isOpen && (
+        <div className="settings-menu regenerate-options">
+          <button onClick={() => regenerate({ model: message.model })} className="settings-menu-item">
+            <SlidersHorizontal size={14} /><span>With current generation options</span>
+          </button>
+          {otherModels.length > 0 && <div className="settings-menu-divider"></div>}
+          {otherModels.map(name => (
+            <button key={name} onClick={() => regenerate({ model: name })} className="settings-menu-item">
+              <Cpu size={14} /><span>{name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// 🎯 IMAGE THUMBNAILS
+// Composer thumbnails can be dragged (or nudged with the arrows) into the order they're sent in
+const ImageAttachmentStrip = React.memo(({ attachments, downscale, maxDimension, onToggleDownscale, onRemove, onMove, onZoom }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  return (
+    <>
+      <div className="image-preview-container">
+        {attachments.map((attachment, index) => (
+          <div
+            key={attachment.id}
+            className={`image-preview ${dragIndex === index ? 'dragging' : ''}`}
+            draggable
+            onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex !== null) onMove(dragIndex, index);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+          >
+            <button onClick={() => onZoom(index)} className="image-preview-zoom" aria-label={`View ${attachment.file.name}`}>
+              <img src={attachment.url} alt={attachment.file.name} className="image-preview-img" />
+            </button>
+            {attachments.length > 1 && <span className="image-preview-index">{index + 1}</span>}
+            <button onClick={() => onRemove(attachment.id)} className="image-remove-button" aria-label={`Remove ${attachment.file.name}`}><X size={16} /></button>
+            {attachments.length > 1 && (
+              <div className="image-preview-move">
+                <button onClick={() => onMove(index, index - 1)} disabled={index === 0} aria-label="Move earlier"><ChevronLeft size={12} /></button>
+                <button onClick={() => onMove(index, index + 1)} disabled={index === attachments.length - 1} aria-label="Move later"><ChevronRight size={12} /></button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <label className="image-downscale-toggle">
+        <input type="checkbox" checked={downscale} onChange={onToggleDownscale} />
+        <span>Downscale to {maxDimension}px before sending</span>
+      </label>
+    </>
+  );
+});
+
+const MessageImages = React.memo(({ images, onZoom }) => (
+  <div className="message-images">
+    {images.map((src, index) => (
+      <button key={index} onClick={() => onZoom?.(images, index)} className="message-image" aria-label={`View image ${index + 1} of ${images.length}`}>
+        <img src={src} alt={`Attachment ${index + 1}`} />
+      </button>
+    ))}
+  </div>
+));
+
+const ImageLightbox = React.memo(({ images, startIndex, onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft') setIndex(prev => Math.max(0, prev - 1));
+      else if (e.key === 'ArrowRight') setIndex(prev => Math.min(images.length - 1, prev + 1));
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [images.length, onClose]);
+
+  return (
+    <div className="image-lightbox" role="dialog" aria-label="Image viewer">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <img src={images[index]} alt={`Image ${index + 1} of ${images.length}`} className="image-lightbox-img" />
+      <button onClick={onClose} className="image-lightbox-close" aria-label="Close image viewer"><X size={20} /></button>
+      {images.length > 1 && (
+        <div className="image-lightbox-nav">
+          <button onClick={() => setIndex(index - 1)} disabled={index === 0} aria-label="Previous image"><ChevronLeft size={18} /></button>
+          <span>{index + 1} / {images.length}</span>
+          <button onClick={() => setIndex(index + 1)} disabled={index === images.length - 1} aria-label="Next image"><ChevronRight size={18} /></button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// 🎯 DOCUMENT CHIPS
+const DOCUMENT_STATUS_ICONS = { reading: LoaderCircle, error: AlertTriangle };
+
+const DocumentAttachmentStrip = React.memo(({ documents, onRemove }) => (
+  <div className="document-chips">
+    {documents.map(doc => {
+      const Icon = DOCUMENT_STATUS_ICONS[doc.status] || FileText;
+      const detail = doc.status === 'reading'
+        ? 'Extracting text…'
+        : doc.status === 'error'
+          ? doc.error
+          : `${formatBytes(doc.size)} · ${doc.chars.toLocaleString()} characters`;
+      return (
+        <div key={doc.id} className={`document-chip ${doc.status}`} title={`${doc.name}\n${detail}`}>
+          <Icon size={14} className={doc.status === 'reading' ? 'tool-step-spinner' : undefined} />
+          <span className="document-chip-name">{doc.name}</span>
+          <span className="document-chip-detail">{detail}</span>
+          <button onClick={() => onRemove(doc.id)} className="document-chip-remove" aria-label={`Remove ${doc.name}`}><X size={12} /></button>
+        </div>
+      );
+    })}
+  </div>
+));
+
+// Chips under a sent message; a click shows the start of the text the model received
+const MessageDocuments = React.memo(({ documents }) => {
+  const [openId, setOpenId] = useState(null);
+  const open = documents.find(doc => doc.id === openId);
+
+  return (
+    <div className="message-documents">
+      <div className="document-chips">
+        {documents.map(doc => (
+          <button
+            key={doc.id}
+            onClick={() => setOpenId(openId === doc.id ? null : doc.id)}
+            className={`document-chip ${openId === doc.id ? 'active' : ''}`}
+            aria-expanded={openId === doc.id}
+            title={`${doc.name} · ${doc.chars.toLocaleString()} characters`}
+          >
+            <FileText size={14} />
+            <span className="document-chip-name">{doc.name}</span>
+            <span className="document-chip-detail">{formatBytes(doc.size)}</span>
+          </button>
+        ))}
+      </div>
+      {open && (
+        <pre className="document-preview">
+          {open.text.slice(0, DOCUMENT_PREVIEW_CHARS)}
+          {open.text.length > DOCUMENT_PREVIEW_CHARS && '\n…'}
+        </pre>
+      )}
+    </div>
+  );
+});
+
+// 🎯 SKIPPED BLOCKS NOTICE
+// Blocks past the parser's safety limit, so a large reply never loses files or edits silently
+const SkippedBlocksNotice = React.memo(({ messageId, skipped, limit, onReparse }) => (
+  <div className="skipped-blocks-notice" role="status">
+    <div className="skipped-blocks-header">
+      <AlertTriangle size={14} />
+      <span>
+        {skipped.length} block{skipped.length === 1 ? ' was' : 's were'} not parsed: this reply has more than {limit} files and edits.
+      </span>
+    </div>
+    <ul className="skipped-blocks-list">
+      {skipped.map(block => (
+        <li key={block.index}>
+          #{block.index} · line {block.line.toLocaleString()} · {SKIPPED_BLOCK_LABELS[block.kind]} <code>{block.path}</code>
+        </li>
+      ))}
+    </ul>
+    {onReparse && (
+      <button onClick={() => onReparse(messageId, limit + skipped.length)} className="cleanup-backups-btn secondary">
+        <RotateCcw size={12} /> Parse this reply again with a limit of {limit + skipped.length}
+      </button>
+    )}
+  </div>
+));
+
+// 🎯 STREAMING BLOCK CARD
+// The file or edit a reply is still writing; it turns into a regular card when its block closes
+const StreamingBlockCard = React.memo(({ block }) => (
+  <div className={`streaming-block-card ${block.kind}`} aria-live="polite">
+    <div className="streaming-block-header">
+      {block.kind === 'file' ? <FileCode size={14} /> : <Edit size={14} />}
+      <span className="streaming-block-path">{block.path}</span>
+      <span className="streaming-block-count">
+        {block.kind === 'file'
+          ? `${block.lineCount.toLocaleString()} line${block.lineCount === 1 ? '' : 's'}`
+          : `${block.operationCount} ${block.isPatch ? 'hunk' : 'operation'}${block.operationCount === 1 ? '' : 's'} so far`}
+      </span>
+      <LoaderCircle size={14} className="tool-step-spinner" />
+    </div>
+    {block.kind === 'file' && block.preview && (
+      <pre className="streaming-block-preview">{block.preview}</pre>
+    )}
+  </div>
+));
+
+// 🎯 OPTIMIZED MESSAGE ROW
+const MessageRow = React.memo(({
+  message, copied, onCopy, onViewEdit, onAddToProject, currentArtifacts, contextState, onContinue,
+  onRegenerate, onRetry, onSelectVariant, models, onEdit, branchIndex, branchCount, onSelectBranch, highlighted, onZoomImage,
+  onReparse
+}) => {
+  const isUser = message.role === "user";
+  const isAssistant = message.role === "assistant";
+  
+  const handleCopy = useCallback(() => {
+    onCopy(message.id, message.content);
+  }, [onCopy, message.id, message.content]);
+  
+  // Failed replies are regenerated in place; user messages get their reply regenerated
+  const handleRetry = useCallback(() => {
+    if (isUser) onRetry?.(message.id);
+    else onRegenerate?.(message.id);
+  }, [isUser, onRetry, onRegenerate, message.id]);
+
+  const handleContinue = useCallback(() => onContinue(message.id), [onContinue, message.id]);
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+
+  const startEditing = useCallback(() => {
+    setDraft(message.content);
+    setIsEditing(true);
+  }, [message.content]);
+
+  const saveEdit = useCallback(() => {
+    setIsEditing(false);
+    onEdit(message.id, draft);
+  }, [onEdit, message.id, draft]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === "Escape") setIsEditing(false);
+    if (e.key === "Enter" && e.ctrlKey) {
+      e.preventDefault();
+      saveEdit();
+    }
+  }, [saveEdit]);
+
+  // Older messages kept their <think> blocks in content
+  const display = useMemo(() => splitInlineThinking(message.content), [message.content]);
+  const thinking = message.thinking || display.thinking;
+  // While streaming, cards come from the live parse and the file or edit being written is cut
+  // from the text and shown as a card instead. A stopped reply keeps the cards of its closed blocks
+  const live = message.isStreaming ? message.liveParse : null;
+  const parsed = message.parsedResponse || message.liveParse;
+  const text = live?.cutAt != null ? display.content.slice(0, live.cutAt) : display.content;
+  
+  return (
+    <motion.div
+      key={message.id}
+      layout
+      initial={{ opacity: 0, y: 8 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -8 }}
+      id={`message-${message.id}`}
+      className={`message-row ${isUser ? "message-row-user" : "message-row-assistant"} ${contextState ? `context-${contextState}` : ''} ${highlighted ? 'search-highlight' : ''}`}
+    >
+      <Avatar role={message.role} />
+      <div className={`bubble ${isUser ? "bubble-user" : message.isError ? "bubble-error" : "bubble-assistant"}`}>
+        {isAssistant ? (
+          <>
+            {thinking && (
+              <ThinkingSection
+                thinking={thinking}
+                startedAt={message.thinkingStartedAt}
+                endedAt={message.thinkingEndedAt}
+                isStreaming={message.isStreaming}
+              />
+            )}
+            {message.toolSteps?.length > 0 && <ToolCallSteps steps={message.toolSteps} />}
+            {message.retrieval && <RetrievedContext retrieval={message.retrieval} />}
+            {message.structuredResult && (
+              <StructuredOutputView message={message} currentArtifacts={currentArtifacts} onAddToProject={onAddToProject} />
+            )}
+            {text && !(message.structuredResult && !message.structuredResult.parseError) && (
+              <div className="message-text">
+                <ReactMarkdown 
+                  rehypePlugins={[rehypeRaw]} 
+                  components={{
+                    code: ({ node, inline, className, children, ...props }) => {
+                      const match = /language-(\w+)/.exec(className || '');
+                      if (!inline && match) {
+                        return (
+                          <div className="code-block-wrapper">
+                            <div className="code-block-header">
+                              <button className="code-block-toggle">
+                                <span className="code-block-language">{match[1]?.toUpperCase() || 'CODE'}</span>
+                              </button>
+                              <div className="code-block-actions">
+                                <button 
+                                  onClick={() => navigator.clipboard.writeText(String(children))}
+                                  className="code-copy-button"
+                                  title="Copy code"
+                                >
+                                  <Copy size={14} />
+                                </button>
+                              </div>
+                            </div>
+                            <SyntaxHighlighter style={oneDark} language={match[1]} PreTag="div" showLineNumbers={false}>
+                              {String(children)}
+                            </SyntaxHighlighter>
+                          </div>
+                        );
+                      }
+                      return <code className="inline-code">{children}</code>;
+                    },
+                    p: ({ children, node }) => {
+                      return <div className="message-paragraph">{children}</div>;
+                    },
+                  }}
+                >
+                  {text}
+                </ReactMarkdown>
+              </div>
+            )}
+            {live?.open && <StreamingBlockCard block={live.open} />}
+            
+            {/* Show "Thinking..." or typing indicator when streaming */}
+            {message.isStreaming && !thinking && (!message.content || message.content.trim() === '') && (
+              <div className="typing-dots-container">
+                <div className="typing-dots"><span></span><span></span><span></span></div>
+                {message.statusText && <span className="typing-status">{message.statusText}</span>}
+              </div>
+            )}
+            
+            {/* Show parsed content if available */}
+            {parsed && (
+              <>
+                {parsed.instructions?.length > 0 && (
+                  <div className="instructions-display">
+                    <div className="instructions-header">
+                      <Play size={16} />
+                      <span>Instructions</span>
+                    </div>
+                    <div className="instructions-content">
+                      {parsed.instructions.slice(0, 5).map((instruction, index) => (
+                        <div key={index} className="instruction-step">
+                          <div className="step-number">{index + 1}</div>
+                          <div className="step-content">
+                            <div className="instruction-text">{instruction}</div>
                           </div>
                         </div>
-                        <SyntaxHighlighter style={oneDark} language={match[1]} PreTag="div" showLineNumbers={false}>
-                          {String(children)}
-                        </SyntaxHighlighter>
-                      </div>
-                    );
-                  }
-                  return <code className="inline-code">{children}</code>;
-                },
-                p: ({ children, node }) => {
-                  return <div className="message-paragraph">{children}</div>;
-                },
-              }}>
-                {content}
-              </ReactMarkdown>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                
+                {parsed.edits?.length > 0 && (
+                  <div className="edits-notification">
+                    <div className="edits-header">
+                      <Edit size={16} />
+                      <span>Suggested File Changes ({parsed.edits.length})</span>
+                    </div>
+                    <div className="edits-list">
+                      {parsed.edits.map((edit) => (
+                        <div 
+                          key={edit.id} 
+                          className="edit-notification"
+                          onClick={() => onViewEdit(edit)}
+                          style={{ cursor: 'pointer' }}
+                          role="button"
+                          tabIndex={0}
+                        >
+                          <FileText size={14} />
+                          <span className="edit-file">{edit.path}</span>
+                          <span className="edit-badge context">
+                            {describeEdit(edit)}
+                          </span>
+                          <ChevronRight size={14} />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                
+                {parsed.artifacts?.length > 0 && (
+                  <ArtifactsDisplay 
+                    artifacts={parsed.artifacts}
+                    currentArtifacts={currentArtifacts}
+                    messageId={message.id}
+                    onAddToProject={onAddToProject}
+                  />
+                )}
+
+                {parsed.metadata?.skipped?.length > 0 && (
+                  <SkippedBlocksNotice
+                    messageId={message.id}
+                    skipped={parsed.metadata.skipped}
+                    limit={parsed.metadata.blockLimit}
+                    onReparse={onReparse}
+                  />
+                )}
+              </>
+            )}
+          </>
+        ) : isEditing ? (
+          <div className="message-edit">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleEditKeyDown}
+              className="message-edit-input"
+              rows={Math.min(10, draft.split('\n').length + 1)}
+              aria-label="Edit message"
+              autoFocus
+            />
+            <div className="message-edit-actions">
+              <button onClick={() => setIsEditing(false)} className="action-button secondary">Cancel</button>
+              <button
+                onClick={saveEdit}
+                className="action-button primary"
+                disabled={!onEdit || !draft.trim() || draft.trim() === message.content}
+                title="Keeps the current branch and starts a new one from this message"
+              >
+                <GitBranch size={14} /> Save &amp; Branch
+              </button>
             </div>
+          </div>
+        ) : (
+          <div className="user-text">{message.content}</div>
+        )}
+        {isUser && getMessageImages(message).length > 0 && (
+          <MessageImages images={getMessageImages(message)} onZoom={onZoomImage} />
+        )}
+        {isUser && getMessageDocuments(message).length > 0 && (
+          <MessageDocuments documents={getMessageDocuments(message)} />
+        )}
+
+        {branchCount > 1 && (
+          <div className="message-actions branch-actions">
+            <GitBranch size={12} />
+            <VariantSwitcher
+              messageId={message.id}
+              count={branchCount}
+              active={branchIndex}
+              onSelect={onSelectBranch}
+              disabled={!onEdit}
+              label="Branches"
+            />
+          </div>
+        )}
+        
+        {/* Error message with retry option */}
+        {message.isError && (
+          <button 
+            onClick={handleRetry}
+            className="retry-button"
+            disabled={!onRegenerate}
+            style={{ marginTop: '8px', padding: '4px 8px', fontSize: '12px' }}
+          >
+            <RotateCcw size={12} /> Retry
+          </button>
+        )}
+
+        {isUser && !isEditing && (onRetry || onEdit) && (
+          <div className="user-message-tools">
+            {onEdit && (
+              <button onClick={startEditing} className="user-message-tool" title="Edit into a new branch" aria-label="Edit message">
+                <Edit className="icon-small" />
+              </button>
+            )}
+            {onRetry && (
+              <button onClick={handleRetry} className="user-message-tool" title="Send this message again" aria-label="Retry message">
+                <RotateCcw className="icon-small" />
+              </button>
+            )}
+          </div>
+        )}
+
+        {isAssistant && !message.isStreaming && !message.isError && (message.variants?.length > 1 || onRegenerate) && (
+          <div className="message-actions">
+            {message.variants?.length > 1 && (
+              <VariantSwitcher
+                messageId={message.id}
+                count={message.variants.length}
+                active={message.activeVariant}
+                onSelect={onSelectVariant}
+                disabled={!onRegenerate}
+              />
+            )}
+            {onRegenerate && <RegenerateMenu message={message} models={models} onRegenerate={onRegenerate} />}
+          </div>
+        )}
+        
+        {contextState && contextState !== 'verbatim' && <ContextStateChip state={contextState} />}
+
+        {isAssistant && !message.isStreaming && message.stats?.doneReason === 'length' && <TruncationWarning />}
+
+        {isAssistant && (message.stopped || onContinue) && (
+          <div className="continue-bar">
+            {message.stopped && <span className="stopped-badge"><Square size={10} /> Stopped</span>}
+            {onContinue && (
+              <button onClick={handleContinue} className="continue-button" title="Ask the model to pick up where this reply ended">
+                <Play size={12} /> Continue
+              </button>
+            )}
+          </div>
+        )}
+
+        {isAssistant && !message.isStreaming && message.stats && <MessageStats stats={message.stats} />}
+
+        {isAssistant && !message.isStreaming && (
+          <MessageOptionsSummary model={message.model} options={message.options} />
+        )}
+
+        {!isUser && !message.isStreaming && !message.isError && (
+          <button onClick={handleCopy} className="copy-button" aria-label="Copy message">
+            {copied === message.id ? <Check className="icon-small" /> : <Copy className="icon-small" />}
+          </button>
+        )}
+        
+        {/* Keep typing dots at bottom when streaming with content */}
+        {message.isStreaming && message.content && message.content.trim() !== '' && (
+          <div className="typing-dots-container" style={{ marginTop: '8px' }}>
+            <div className="typing-dots"><span></span><span></span><span></span></div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}, (prevProps, nextProps) => {
+  return (
+    prevProps.message.id === nextProps.message.id &&
+    prevProps.message.content === nextProps.message.content &&
+    prevProps.message.isStreaming === nextProps.message.isStreaming &&
+    prevProps.message.parsedResponse === nextProps.message.parsedResponse &&
+    prevProps.message.liveParse === nextProps.message.liveParse &&
+    prevProps.message.toolSteps === nextProps.message.toolSteps &&
+    prevProps.message.thinking === nextProps.message.thinking &&
+    prevProps.message.thinkingEndedAt === nextProps.message.thinkingEndedAt &&
+    prevProps.message.structuredResult === nextProps.message.structuredResult &&
+    prevProps.message.stats === nextProps.message.stats &&
+    prevProps.message.statusText === nextProps.message.statusText &&
+    prevProps.message.stopped === nextProps.message.stopped &&
+    prevProps.onContinue === nextProps.onContinue &&
+    prevProps.message.variants === nextProps.message.variants &&
+    prevProps.message.activeVariant === nextProps.message.activeVariant &&
+    prevProps.onRegenerate === nextProps.onRegenerate &&
+    prevProps.onRetry === nextProps.onRetry &&
+    prevProps.onSelectVariant === nextProps.onSelectVariant &&
+    prevProps.onEdit === nextProps.onEdit &&
+    prevProps.branchIndex === nextProps.branchIndex &&
+    prevProps.branchCount === nextProps.branchCount &&
+    prevProps.onSelectBranch === nextProps.onSelectBranch &&
+    prevProps.highlighted === nextProps.highlighted &&
+    prevProps.message.retrieval === nextProps.message.retrieval &&
+    prevProps.message.images === nextProps.message.images &&
+    prevProps.message.attachments === nextProps.message.attachments &&
+    prevProps.onZoomImage === nextProps.onZoomImage &&
+    prevProps.onReparse === nextProps.onReparse &&
+    prevProps.models === nextProps.models &&
+    prevProps.contextState === nextProps.contextState &&
+    prevProps.copied === nextProps.copied &&
+    prevProps.currentArtifacts === nextProps.currentArtifacts
+  );
+});
+
+// 🎯 OPTIMIZED FILE TREE ITEM
+const FileTreeItem = React.memo(({ item, level, isSelected, isExpanded, onSelect, onToggle, onDelete }) => {
+  const handleSelect = useCallback((e) => {
+    e.stopPropagation();
+    onSelect(item);
+  }, [onSelect, item]);
+
+  const handleToggle = useCallback((e) => {
+    e.stopPropagation();
+    onToggle(item.fullPath);
+  }, [onToggle, item.fullPath]);
+
+  const handleDelete = useCallback((e) => {
+    e.stopPropagation();
+    onDelete(item.fullPath || item.path);
+  }, [onDelete, item]);
+
+  if (item.isFolder) {
+    return (
+      <div className="folder-container">
+        <div 
+          className={`file-tree-item folder-item ${isExpanded ? 'expanded' : ''}`}
+          onClick={handleToggle}
+          style={{ paddingLeft: `${level * 16 + 16}px` }}
+        >
+          <div className="folder-icon">
+            <ChevronRight size={12} className={`folder-chevron ${isExpanded ? 'expanded' : ''}`} />
+            <Folder size={14} />
+          </div>
+          <span className="folder-name">{item.name}</span>
+          {Object.keys(item.children || {}).length > 0 && (
+            <span className="folder-count">{Object.keys(item.children).length}</span>
+          )}
+        </div>
+        {isExpanded && item.children && (
+          <div className="folder-children">
+            {Object.values(item.children).map((child) => (
+              <FileTreeItem 
+                key={child.id || child.fullPath}
+                item={child}
+                level={level + 1}
+                isSelected={isSelected}
+                isExpanded={isExpanded}
+                onSelect={onSelect}
+                onToggle={onToggle}
+                onDelete={onDelete}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div 
+      key={item.id}
+      className={`file-tree-item file-item ${isSelected ? 'selected' : ''}`}
+      onClick={handleSelect}
+      style={{ paddingLeft: `${level * 16 + 32}px` }}
+    >
+      <div className="file-icon">
+        <FileText size={14} />
+      </div>
+      <span className="file-name">{item.name}</span>
+      <span className="file-language-badge">{item.language}</span>
+    </div>
+  );
+}, (prevProps, nextProps) => {
+  return (
+    prevProps.item.id === nextProps.item.id &&
+    prevProps.isSelected === nextProps.isSelected &&
+    prevProps.isExpanded === nextProps.isExpanded &&
+    prevProps.level === nextProps.level
+  );
+});
+
+// 🎯 OPTIMIZED ARTIFACT MANAGER
+const ArtifactManager = React.memo(({ 
+  isMobile, 
+  currentConversationId, 
+  currentArtifacts,
+  selectedFile,
+  isEditing,
+  viewMode,
+  mobilePanel,
+  searchTerm,
+  expandedFolders,
+  onSelectFile,
+  onSetEditing,
+  onSetViewMode,
+  onSetMobilePanel,
+  onSetSearchTerm,
+  onSetExpandedFolders,
+  onSaveFile,
+  onCancelEdit,
+  onDeleteFile,
+  onCreateFile,
+  onCreateFolder,
+  onRestoreVersion
+}) => {
+  const debouncedSearchTerm = useDebounce(searchTerm, APP_CONFIG.TIMEOUTS.DEBOUNCE_DELAY);
+  const editorTextareaRef = useRef(null);
+  const isComposingRef = useRef(false);
+  const [editorContent, setEditorContent] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const fileChangeCounterRef = useRef(0);
+  // Read from the project list: accepting a change elsewhere doesn't update selectedFile
+  const selectedHistory = useMemo(() => (
+    currentArtifacts.find(file => file.path === selectedFile?.path)?.history || []
+  ), [currentArtifacts, selectedFile]);
+
+  const buildFileTree = useCallback((artifacts) => {
+    const tree = {};
+    
+    artifacts.forEach(artifact => {
+      const parts = artifact.path.split('/');
+      let currentLevel = tree;
+      
+      for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const isLastPart = i === parts.length - 1;
+        
+        if (isLastPart) {
+          currentLevel[part] = {
+            ...artifact,
+            name: part,
+            isFile: true,
+            fullPath: artifact.path
+          };
+        } else {
+          if (!currentLevel[part]) {
+            currentLevel[part] = {
+              name: part,
+              isFolder: true,
+              fullPath: parts.slice(0, i + 1).join('/'),
+              children: {}
+            };
+          }
+          currentLevel = currentLevel[part].children;
+        }
+      }
+    });
+    
+    return tree;
+  }, []);
+
+  const getFilteredArtifacts = useCallback(() => {
+    if (!searchTerm.trim()) {
+      return currentArtifacts;
+    }
+    
+    const searchLower = searchTerm.toLowerCase();
+    return currentArtifacts.filter(artifact => 
+      artifact.path.toLowerCase().includes(searchLower) ||
+      artifact.content.toLowerCase().includes(searchLower) ||
+      artifact.language.toLowerCase().includes(searchLower)
+    );
+  }, [currentArtifacts, searchTerm]);
+
+  const filteredFileTree = useMemo(() => {
+    const filteredArtifacts = getFilteredArtifacts();
+    return buildFileTree(filteredArtifacts);
+  }, [getFilteredArtifacts, buildFileTree]);
+
+  const toggleFolder = useCallback((folderPath, e) => {
+    if (e) e.stopPropagation();
+    onSetExpandedFolders(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(folderPath)) newSet.delete(folderPath);
+      else newSet.add(folderPath);
+      return newSet;
+    });
+  }, [onSetExpandedFolders]);
+
+  const handleEditorChange = useCallback((e) => {
+    const value = e.target.value;
+    setEditorContent(value);
+    
+    if (!isComposingRef.current && editorTextareaRef.current) {
+      requestAnimationFrame(() => {
+        if (editorTextareaRef.current) {
+          editorTextareaRef.current.style.height = 'auto';
+          editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
+        }
+      });
+    }
+  }, []);
+
+  const handleCompositionStart = useCallback((e) => {
+    isComposingRef.current = true;
+  }, []);
+
+  const handleCompositionEnd = useCallback((e) => {
+    isComposingRef.current = false;
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (selectedFile && editorContent) {
+      onSaveFile(editorContent);
+    }
+  }, [selectedFile, editorContent, onSaveFile]);
+
+  const handleCancelEdit = useCallback(() => {
+    if (selectedFile) {
+      const originalContent = selectedFile.content;
+      setEditorContent(originalContent);
+      
+      if (editorTextareaRef.current) {
+        editorTextareaRef.current.value = originalContent;
+        
+        requestAnimationFrame(() => {
+          if (editorTextareaRef.current) {
+            editorTextareaRef.current.style.height = 'auto';
+            editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
+          }
+        });
+      }
+      
+      onCancelEdit();
+    }
+  }, [selectedFile, onCancelEdit]);
+
+  const handleDelete = useCallback((filePath, e) => {
+    if (e) e.stopPropagation();
+    if (!confirm(`Are you sure you want to delete "${filePath}"?\n\nThis will remove the file from your project and cannot be undone.`)) return;
+    
+    onDeleteFile(filePath);
+  }, [onDeleteFile]);
+
+  const handleFileSelect = useCallback((file, e) => {
+    if (e) e.stopPropagation();
+    
+    // Get the latest version of the file from currentArtifacts
+    const currentFileFromState = currentArtifacts.find(f => f.path === file.path);
+    const freshFile = currentFileFromState 
+      ? { ...currentFileFromState } 
+      : { ...file };
+    
+    onSelectFile(freshFile);
+    onSetEditing(false);
+    onSetViewMode('editor');
+    if (isMobile) onSetMobilePanel('editor');
+    
+    // Force update the editor content
+    setEditorContent(freshFile.content);
+  }, [onSelectFile, onSetEditing, onSetViewMode, isMobile, onSetMobilePanel, currentArtifacts]);
+
+  // Sync editor content when selectedFile changes
+  useEffect(() => {
+    if (selectedFile) {
+      setEditorContent(selectedFile.content);
+      
+      if (editorTextareaRef.current) {
+        editorTextareaRef.current.value = selectedFile.content;
+        
+        requestAnimationFrame(() => {
+          if (editorTextareaRef.current) {
+            editorTextareaRef.current.style.height = 'auto';
+            editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
+          }
+        });
+      }
+    } else {
+      setEditorContent('');
+    }
+  }, [selectedFile]);
+
+  // Watch for changes in currentArtifacts and update if selectedFile changes
+  useEffect(() => {
+    if (selectedFile && currentArtifacts.length > 0) {
+      const updatedFile = currentArtifacts.find(file => file.path === selectedFile.path);
+      if (updatedFile && updatedFile.content !== editorContent && !isEditing) {
+        console.log('📁 Detected external file change, updating editor');
+        setEditorContent(updatedFile.content);
+        
+        if (editorTextareaRef.current) {
+          editorTextareaRef.current.value = updatedFile.content;
+          
+          requestAnimationFrame(() => {
+            if (editorTextareaRef.current) {
+              editorTextareaRef.current.style.height = 'auto';
+              editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
+            }
+          });
+        }
+      }
+    }
+  }, [currentArtifacts, selectedFile, isEditing, editorContent]);
+
+  useEffect(() => {
+    if (isEditing && selectedFile && editorTextareaRef.current) {
+      const timer = setTimeout(() => {
+        if (editorTextareaRef.current) {
+          editorTextareaRef.current.focus();
+          const length = editorTextareaRef.current.value.length;
+          editorTextareaRef.current.setSelectionRange(length, length);
+        }
+      }, 100);
+      
+      return () => clearTimeout(timer);
+    }
+  }, [isEditing, selectedFile]);
+
+  const TreePanel = useMemo(() => (
+    (!isMobile || mobilePanel === 'tree') && (
+      <div className="file-tree-panel">
+        <div className="panel-header">
+          <div className="panel-title">
+            <FolderOpen size={16} />
+            <span>Project Files</span>
+            <span className="file-count">{currentArtifacts.length}</span>
+          </div>
+        </div>
+        
+        <div className="search-box">
+          <Search size={14} />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => onSetSearchTerm(e.target.value)}
+            placeholder="Search files..."
+            className="search-input"
+            aria-label="Search files"
+          />
+          {searchTerm && (
+            <button onClick={() => onSetSearchTerm('')} className="search-clear" aria-label="Clear search">
+              <X size={12} />
+            </button>
           )}
-          {parsedResponse?.instructions?.length > 0 && (
-            <div className="instructions-display">
-              <div className="instructions-header">
-                <Play size={16} />
-                <span>Instructions</span>
-              </div>
-              <div className="instructions-content">
-                {parsedResponse.instructions.slice(0, 5).map((instruction, index) => (
-                  <div key={index} className="instruction-step">
-                    <div className="step-number">{index + 1}</div>
-                    <div className="step-content">
-                      <div className="instruction-text">{instruction}</div>
-                    </div>
-                  </div>
-                ))}
-              </div>
+        </div>
+        
+        <div className="file-tree-container">
+          {currentArtifacts.length === 0 ? (
+            <div className="empty-tree-state">
+              <FileCode size={24} />
+              <p>No files yet</p>
+              <button 
+                onClick={() => onCreateFile()}
+                className="create-first-file-btn small"
+              >
+                <FilePlus size={12} />
+                Create First File
+              </button>
+            </div>
+          ) : (
+            <div className="file-tree">
+              {Object.values(filteredFileTree).map((item) => (
+                <FileTreeItem 
+                  key={item.id || item.fullPath}
+                  item={item}
+                  level={0}
+                  isSelected={selectedFile?.path === item.path}
+                  isExpanded={expandedFolders.has(item.fullPath)}
+                  onSelect={handleFileSelect}
+                  onToggle={toggleFolder}
+                  onDelete={handleDelete}
+                />
+              ))}
             </div>
           )}
-          {parsedResponse?.edits?.length > 0 && (
-            <div className="edits-notification">
-              <div className="edits-header">
-                <Edit size={16} />
-                <span>Suggested File Changes ({parsedResponse.edits.length})</span>
+        </div>
+      </div>
+    )
+  ), [
+    isMobile,
+    mobilePanel,
+    currentArtifacts.length,
+    searchTerm,
+    filteredFileTree,
+    selectedFile,
+    expandedFolders,
+    onSetSearchTerm,
+    onCreateFile,
+    handleFileSelect,
+    toggleFolder,
+    handleDelete
+  ]);
+
+  const EditorPanel = useMemo(() => (
+    (!isMobile || mobilePanel === 'editor') && (
+      <div className="file-editor-panel">
+        {isMobile && (
+          <div className="mobile-editor-header">
+            <button 
+              onClick={() => onSetMobilePanel('tree')}
+              className="mobile-back-btn"
+              aria-label="Back to files"
+            >
+              <ChevronLeft size={16} />
+              Back to Files
+            </button>
+            <span className="mobile-file-count">{currentArtifacts.length} files</span>
+          </div>
+        )}
+        
+        {selectedFile ? (
+          <div className="editor-container">
+            <div className="editor-header">
+              <div className="file-info">
+                <FileCode size={16} />
+                <div className="file-details">
+                  <span className="file-path">{selectedFile.path}</span>
+                  <span className="file-language">{selectedFile.language}</span>
+                </div>
               </div>
-              <div className="edits-list">
-                {parsedResponse.edits.slice(0, 3).map((edit) => (
-                  <div 
-                    key={edit.id} 
-                    className="edit-notification" 
-                    onClick={() => handleViewEdit(edit)}
-                    style={{ cursor: 'pointer' }}
-                    role="button"
-                    tabIndex={0}
+              
+              <div className="editor-actions">
+                <button 
+                  onClick={() => onSetViewMode(prev => prev === 'editor' ? 'preview' : 'editor')} 
+                  className="icon-button small"
+                  aria-label={viewMode === 'editor' ? 'Switch to preview mode' : 'Switch to edit mode'}
+                >
+                  {viewMode === 'editor' ? <Eye size={14} /> : <EyeOff size={14} />}
+                </button>
+                {isEditing ? (
+                  <>
+                    <button onClick={handleSave} className="icon-button small success" aria-label="Save changes">
+                      <Check size={14} />
+                    </button>
+                    <button onClick={handleCancelEdit} className="icon-button small" aria-label="Cancel edit">
+                      <X size={14} />
+                    </button>
+                  </>
+                ) : (
+                  <button onClick={() => onSetEditing(true)} className="icon-button small" aria-label="Edit file">
+                    <Edit size={14} />
+                  </button>
+                )}
+                {selectedHistory.length > 0 && (
+                  <button
+                    onClick={() => setShowHistory(prev => !prev)}
+                    className={`icon-button small ${showHistory ? 'active' : ''}`}
+                    aria-label="File history"
+                    aria-pressed={showHistory}
+                    title={`${selectedHistory.length} earlier version${selectedHistory.length === 1 ? '' : 's'}`}
                   >
-                    <FileText size={14} />
-                    <span className="edit-file">{edit.path}</span>
-                    <span className="edit-badge context">
-                      {edit.operationCount} operations
-                    </span>
-                    <ChevronRight size={14} />
+                    <History size={14} />
+                  </button>
+                )}
+                <button 
+                  onClick={() => navigator.clipboard.writeText(selectedFile.content)} 
+                  className="icon-button small"
+                  aria-label="Copy file content"
+                >
+                  <Copy size={14} />
+                </button>
+                <button 
+                  onClick={(e) => handleDelete(selectedFile.path, e)} 
+                  className="icon-button small danger"
+                  aria-label="Delete file"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+
+            {showHistory && selectedHistory.length > 0 && (
+              <div className="file-history">
+                {[...selectedHistory].reverse().map(version => (
+                  <div key={version.id} className="file-history-item">
+                    <div className="file-history-details">
+                      <span className="file-history-summary">Before: {version.summary}</span>
+                      <span className="file-history-meta">
+                        {new Date(version.timestamp).toLocaleString()} · {version.content.split('\n').length} lines
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => onRestoreVersion(selectedFile.path, version.id)}
+                      className="cleanup-backups-btn secondary"
+                      disabled={isEditing}
+                      title="Replace the file with this version; the current content is kept in the history"
+                    >
+                      <RotateCcw size={12} /> Restore
+                    </button>
                   </div>
                 ))}
               </div>
+            )}
+            
+            <div className="editor-content">
+              {viewMode === 'editor' ? (
+                <textarea
+                  ref={editorTextareaRef}
+                  value={editorContent}
+                  onChange={handleEditorChange}
+                  onCompositionStart={handleCompositionStart}
+                  onCompositionEnd={handleCompositionEnd}
+                  className="code-editor"
+                  spellCheck="false"
+                  disabled={!isEditing}
+                  aria-label="Code editor"
+                  autoComplete="off"
+                  autoCorrect="off"
+                  autoCapitalize="off"
+                  data-gramm="false"
+                  data-gramm_editor="false"
+                  data-enable-grammarly="false"
+                  suppressHydrationWarning
+                  key={`editor-${selectedFile?.id}-${isEditing ? 'editing' : 'readonly'}`}
+                />
+              ) : (
+                <div className="code-preview">
+                  <SyntaxHighlighter 
+                    language={selectedFile.language} 
+                    style={oneDark} 
+                    showLineNumbers={true} 
+                    wrapLongLines={false}
+                  >
+                    {selectedFile.content}
+                  </SyntaxHighlighter>
+                </div>
+              )}
             </div>
-          )}
-          {parsedResponse?.artifacts?.length > 0 && (
-            <ArtifactsDisplay 
-              artifacts={parsedResponse.artifacts}
-              currentArtifacts={currentArtifacts}
-              messageId={message.id}
-              onAddToProject={handleAddToProject}
-            />
-          )}
-        </>
-      ) : (
-        <div className="user-text">{content}</div>
-      )}
-    </div>
-  );
-}, (prevProps, nextProps) => {
-  return (
-    prevProps.message.id === nextProps.message.id &&
-    prevProps.copied === nextProps.copied &&
-    prevProps.currentArtifacts === nextProps.currentArtifacts
-  );
-});
-
-// 🎯 OPTIMIZED ARTIFACTS DISPLAY
-const ArtifactsDisplay = React.memo(({ artifacts, currentArtifacts, messageId, onAddToProject }) => {
-  return (
-    <div className="artifacts-display">
-      <div className="artifacts-header">
-        <div className="artifacts-title">
-          <FileText size={16} />
-          <span>Generated Files</span>
-          {artifacts.some(a => a.addedToProject) && (
-            <span className="added-badge">
-              <Check size={14} />
-              {artifacts.filter(a => a.addedToProject).length} added to project
-            </span>
-          )}
-        </div>
-      </div>
-      <div className="artifacts-list">
-        {artifacts.slice(0, 5).map((artifact) => {
-          const isInProject = artifact.addedToProject || currentArtifacts.some(a => 
-            a.path === artifact.path || 
-            (a.content && artifact.content && a.content === artifact.content)
-          );
-          
-          return (
-            <ArtifactItem 
-              key={artifact.id}
-              artifact={artifact}
-              isInProject={isInProject}
-              messageId={messageId}
-              onAddToProject={onAddToProject}
-            />
-          );
-        })}
+          </div>
+        ) : (
+          <div className="no-file-selected">
+            <FileCode size={48} />
+            <h3>No file selected</h3>
+            <p>Select a file from the sidebar to view or edit its contents</p>
+            <button 
+              onClick={() => onCreateFile()} 
+              className="create-file-button"
+              aria-label="Create new file"
+            >
+              <FilePlus size={16} />Create New File
+            </button>
+          </div>
+        )}
       </div>
-      {artifacts.length > 5 && (
-        <div className="artifacts-footer">
-          <small>... and {artifacts.length - 5} more files</small>
-        </div>
-      )}
+    )
+  ), [
+    isMobile,
+    mobilePanel,
+    currentArtifacts.length,
+    selectedFile,
+    viewMode,
+    isEditing,
+    editorContent,
+    handleSave,
+    handleCancelEdit,
+    handleDelete,
+    handleEditorChange,
+    handleCompositionStart,
+    handleCompositionEnd,
+    onSetMobilePanel,
+    onSetViewMode,
+    onSetEditing,
+    onCreateFile,
+    selectedHistory,
+    showHistory,
+    onRestoreVersion
+  ]);
+
+  return (
+    <div className={`artifact-manager ${isMobile ? 'mobile' : ''}`}>
+      {TreePanel}
+      {EditorPanel}
     </div>
   );
 }, (prevProps, nextProps) => {
   return (
-    prevProps.artifacts === nextProps.artifacts &&
+    prevProps.isMobile === nextProps.isMobile &&
+    prevProps.currentConversationId === nextProps.currentConversationId &&
     prevProps.currentArtifacts === nextProps.currentArtifacts &&
-    prevProps.messageId === nextProps.messageId
+    prevProps.selectedFile === nextProps.selectedFile &&
+    prevProps.isEditing === nextProps.isEditing &&
+    prevProps.viewMode === nextProps.viewMode &&
+    prevProps.mobilePanel === nextProps.mobilePanel &&
+    prevProps.searchTerm === nextProps.searchTerm &&
+    prevProps.expandedFolders === nextProps.expandedFolders
   );
 });
 
-// 🎯 OPTIMIZED ARTIFACT ITEM
-const ArtifactItem = React.memo(({ artifact, isInProject, messageId, onAddToProject }) => {
-  const handleAddToProject = useCallback(() => {
-    const enhancedArtifact = {
-      ...artifact,
-      id: generateSafeId(`file-${artifact.path}`),
-      type: 'file',
-      createdBy: 'ai',
-      timestamp: new Date().toISOString(),
-      addedToProject: true
-    };
-    onAddToProject(enhancedArtifact);
-  }, [artifact, onAddToProject]);
+// 🎯 GENERATION OPTIONS PANEL
+const GenerationOptionsPanel = React.memo(({ isOpen, options, autoContext, onChange, onReset, onClose }) => {
+  const [stopDraft, setStopDraft] = useState('');
 
-  const handleCopy = useCallback(() => {
-    navigator.clipboard.writeText(artifact.content);
-  }, [artifact.content]);
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
+
+  const setField = useCallback((key, rawValue) => {
+    const value = rawValue === '' ? null : Number(rawValue);
+    onChange({ ...options, [key]: Number.isFinite(value) ? value : null });
+  }, [options, onChange]);
+
+  const addStopSequence = useCallback(() => {
+    // Allow escaped newlines so "\n\n" can be typed into a single-line input
+    const sequence = stopDraft.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    if (!sequence || options.stop.includes(sequence)) return;
+    onChange({ ...options, stop: [...options.stop, sequence] });
+    setStopDraft('');
+  }, [stopDraft, options, onChange]);
+
+  const removeStopSequence = useCallback((sequence) => {
+    onChange({ ...options, stop: options.stop.filter(s => s !== sequence) });
+  }, [options, onChange]);
+
+  if (!isOpen) return null;
 
   return (
-    <div className={`artifact-item ${isInProject ? 'added' : ''}`}>
-      <div className="artifact-header">
-        <div className="artifact-info">
-          <div className="file-icon">
-            {isInProject ? <Check size={14} className="added-icon" /> : <FileText size={14} />}
-          </div>
-          <div className="file-details">
-            <span className="file-name">{artifact.path}</span>
-            <div className="file-meta">
-              <span className="file-language">{artifact.language}</span>
-              <span className="file-size">
-                {artifact.lineCount} lines • {formatBytes(artifact.size || artifact.content.length)}
-              </span>
-            </div>
-            {isInProject && (
-              <span className="file-status-badge">
-                <Check size={10} />
-                In Project
-              </span>
-            )}
-          </div>
-        </div>
-        <div className="artifact-actions">
-          {!isInProject ? (
-            <button 
-              onClick={handleAddToProject}
-              className="add-to-project-btn"
-              title="Add to project"
-            >
-              <Plus size={14} />
-              Add
-            </button>
-          ) : null}
-          <button 
-            onClick={handleCopy}
-            className="copy-artifact-btn"
-            title="Copy code"
-          >
-            <Copy size={14} />
-            Copy
+    <div className="storage-management-modal generation-options-modal">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Generation Options</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close generation options">
+            <X size={20} />
           </button>
         </div>
-      </div>
-      {!isInProject && (
-        <div className="artifact-notice">
-          <small>Click "Add" to include this file in your project</small>
-        </div>
-      )}
-    </div>
-  );
-}, (prevProps, nextProps) => {
-  return (
-    prevProps.artifact.id === nextProps.artifact.id &&
-    prevProps.isInProject === nextProps.isInProject
-  );
-});
 
-// 🎯 OPTIMIZED MESSAGE ROW
-const MessageRow = React.memo(({ message, copied, onCopy, onViewEdit, onAddToProject, currentArtifacts }) => {
-  const isUser = message.role === "user";
-  const isAssistant = message.role === "assistant";
-  
-  const handleCopy = useCallback(() => {
-    onCopy(message.id, message.content);
-  }, [onCopy, message.id, message.content]);
-  
-  const handleRetry = useCallback(() => {
-    // This would need to be implemented in parent component
-    console.log("Retry requested for message:", message.id);
-  }, [message.id]);
-  
-  return (
-    <motion.div
-      key={message.id}
-      layout
-      initial={{ opacity: 0, y: 8 }}
-      animate={{ opacity: 1, y: 0 }}
-      exit={{ opacity: 0, y: -8 }}
-      className={`message-row ${isUser ? "message-row-user" : "message-row-assistant"}`}
-    >
-      <Avatar role={message.role} />
-      <div className={`bubble ${isUser ? "bubble-user" : message.isError ? "bubble-error" : "bubble-assistant"}`}>
-        {isAssistant ? (
-          <>
-            {message.content && (
-              <div className="message-text">
-                <ReactMarkdown 
-                  rehypePlugins={[rehypeRaw]} 
-                  components={{
-                    code: ({ node, inline, className, children, ...props }) => {
-                      const match = /language-(\w+)/.exec(className || '');
-                      if (!inline && match) {
-                        return (
-                          <div className="code-block-wrapper">
-                            <div className="code-block-header">
-                              <button className="code-block-toggle">
-                                <span className="code-block-language">{match[1]?.toUpperCase() || 'CODE'}</span>
-                              </button>
-                              <div className="code-block-actions">
-                                <button 
-                                  onClick={() => navigator.clipboard.writeText(String(children))}
-                                  className="code-copy-button"
-                                  title="Copy code"
-                                >
-                                  <Copy size={14} />
-                                </button>
-                              </div>
-                            </div>
-                            <SyntaxHighlighter style={oneDark} language={match[1]} PreTag="div" showLineNumbers={false}>
-                              {String(children)}
-                            </SyntaxHighlighter>
-                          </div>
-                        );
-                      }
-                      return <code className="inline-code">{children}</code>;
-                    },
-                    p: ({ children, node }) => {
-                      return <div className="message-paragraph">{children}</div>;
-                    },
-                  }}
-                >
-                  {message.content}
-                </ReactMarkdown>
-              </div>
-            )}
-            
-            {/* Show "Thinking..." or typing indicator when streaming */}
-            {message.isStreaming && (!message.content || message.content.trim() === '') && (
-              <div className="typing-dots-container">
-                <div className="typing-dots"><span></span><span></span><span></span></div>
-              </div>
-            )}
-            
-            {/* Show parsed content if available */}
-            {message.parsedResponse && (
-              <>
-                {message.parsedResponse.instructions?.length > 0 && (
-                  <div className="instructions-display">
-                    <div className="instructions-header">
-                      <Play size={16} />
-                      <span>Instructions</span>
-                    </div>
-                    <div className="instructions-content">
-                      {message.parsedResponse.instructions.slice(0, 5).map((instruction, index) => (
-                        <div key={index} className="instruction-step">
-                          <div className="step-number">{index + 1}</div>
-                          <div className="step-content">
-                            <div className="instruction-text">{instruction}</div>
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {message.parsedResponse.edits?.length > 0 && (
-                  <div className="edits-notification">
-                    <div className="edits-header">
-                      <Edit size={16} />
-                      <span>Suggested File Changes ({message.parsedResponse.edits.length})</span>
-                    </div>
-                    <div className="edits-list">
-                      {message.parsedResponse.edits.slice(0, 3).map((edit) => (
-                        <div 
-                          key={edit.id} 
-                          className="edit-notification" 
-                          onClick={() => onViewEdit(edit)}
-                          style={{ cursor: 'pointer' }}
-                          role="button"
-                          tabIndex={0}
-                        >
-                          <FileText size={14} />
-                          <span className="edit-file">{edit.path}</span>
-                          <span className="edit-badge context">
-                            {edit.operationCount} operations
-                          </span>
-                          <ChevronRight size={14} />
-                        </div>
-                      ))}
+        <div className="storage-content">
+          <p className="generation-options-intro">
+            Saved with this conversation. Leave a field empty to use the model default.
+          </p>
+
+          <div className="generation-options-grid">
+            {GENERATION_OPTION_FIELDS.map(field => {
+              const value = options[field.key];
+              const isDisabled = field.requires && !options[field.requires];
+              const hasRange = field.min !== undefined && field.max !== undefined;
+
+              return (
+                <label key={field.key} className={`generation-option ${isDisabled ? 'disabled' : ''}`}>
+                  <span className="generation-option-label">
+                    {field.label}
+                    <code className="generation-option-key">{field.key}</code>
+                  </span>
+                  {field.options ? (
+                    <select
+                      value={value ?? 0}
+                      onChange={(e) => setField(field.key, e.target.value)}
+                      className="generation-option-input"
+                    >
+                      {field.options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+                    </select>
+                  ) : (
+                    <div className="generation-option-controls">
+                      {hasRange && (
+                        <input
+                          type="range"
+                          min={field.min}
+                          max={field.max}
+                          step={field.step}
+                          value={value ?? field.min}
+                          onChange={(e) => setField(field.key, e.target.value)}
+                          disabled={isDisabled}
+                          className="generation-option-range"
+                          aria-label={`${field.label} slider`}
+                        />
+                      )}
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        value={value ?? ''}
+                        placeholder={field.key === 'num_ctx' && autoContext ? `auto (${autoContext})` : 'default'}
+                        onChange={(e) => setField(field.key, e.target.value)}
+                        disabled={isDisabled}
+                        className="generation-option-input"
+                      />
                     </div>
-                  </div>
-                )}
-                
-                {message.parsedResponse.artifacts?.length > 0 && (
-                  <ArtifactsDisplay 
-                    artifacts={message.parsedResponse.artifacts}
-                    currentArtifacts={currentArtifacts}
-                    messageId={message.id}
-                    onAddToProject={onAddToProject}
-                  />
-                )}
-              </>
-            )}
-          </>
-        ) : (
-          <div className="user-text">{message.content}</div>
-        )}
-        
-        {/* Error message with retry option */}
-        {message.isError && (
-          <button 
-            onClick={handleRetry}
-            className="retry-button"
-            style={{ marginTop: '8px', padding: '4px 8px', fontSize: '12px' }}
-          >
-            <RotateCcw size={12} /> Retry
+                  )}
+                  <small className="generation-option-hint">{field.hint}</small>
+                </label>
+              );
+            })}
+          </div>
+
+          <div className="generation-option generation-option-stop">
+            <span className="generation-option-label">
+              Stop Sequences
+              <code className="generation-option-key">stop</code>
+            </span>
+            <div className="stop-sequence-list">
+              {options.stop.length === 0 && <small className="generation-option-hint">None</small>}
+              {options.stop.map(sequence => (
+                <span key={sequence} className="stop-sequence-chip">
+                  <code>{JSON.stringify(sequence)}</code>
+                  <button onClick={() => removeStopSequence(sequence)} aria-label={`Remove stop sequence ${sequence}`}>
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="generation-option-controls">
+              <input
+                type="text"
+                value={stopDraft}
+                onChange={(e) => setStopDraft(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addStopSequence(); } }}
+                placeholder='e.g. </answer> or \n\n'
+                className="generation-option-input"
+                aria-label="New stop sequence"
+              />
+              <button onClick={addStopSequence} className="action-button generation-option-add" disabled={!stopDraft}>
+                <Plus size={14} />
+                Add
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="generation-options-footer">
+          <button onClick={onReset} className="action-button secondary">
+            <RotateCcw size={16} />
+            Reset to Defaults
           </button>
-        )}
-        
-        {!isUser && !message.isStreaming && !message.isError && (
-          <button onClick={handleCopy} className="copy-button" aria-label="Copy message">
-            {copied === message.id ? <Check className="icon-small" /> : <Copy className="icon-small" />}
+          <button onClick={onClose} className="action-button primary">
+            <Check size={16} />
+            Done
           </button>
-        )}
-        
-        {/* Keep typing dots at bottom when streaming with content */}
-        {message.isStreaming && message.content && message.content.trim() !== '' && (
-          <div className="typing-dots-container" style={{ marginTop: '8px' }}>
-            <div className="typing-dots"><span></span><span></span><span></span></div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// 🎯 MODEL MANAGER
+const getPullProgress = (pull) => {
+  const layers = Object.values(pull.layers || {});
+  const total = layers.reduce((sum, layer) => sum + (layer.total || 0), 0);
+  const completed = layers.reduce((sum, layer) => sum + (layer.completed || 0), 0);
+  return { total, completed, percent: total > 0 ? (completed / total) * 100 : 0 };
+};
+
+const ProgressBar = React.memo(({ percent, state }) => (
+  <div className="storage-bar">
+    <div
+      className={`storage-progress ${state === 'error' ? 'near-limit' : ''}`}
+      style={{ width: `${Math.min(Math.max(percent, 0), 100)}%` }}
+    ></div>
+  </div>
+));
+
+const PullProgressItem = React.memo(({ pull, onCancel, onResume, onDismiss }) => {
+  const { total, completed, percent } = getPullProgress(pull);
+  const isActive = pull.status === 'pulling';
+
+  return (
+    <div className={`model-pull-item ${pull.status}`}>
+      <div className="model-pull-header">
+        <div className="model-pull-title">
+          <Download size={14} />
+          <span className="model-pull-name">{pull.name}</span>
+          <span className={`model-pull-status ${pull.status}`}>
+            {pull.status === 'error' ? pull.error : pull.message}
+          </span>
+        </div>
+        <div className="model-pull-actions">
+          {isActive && (
+            <button onClick={() => onCancel(pull.name)} className="backup-action-btn danger" title="Cancel download" aria-label={`Cancel pulling ${pull.name}`}>
+              <Pause size={14} />
+            </button>
+          )}
+          {(pull.status === 'cancelled' || pull.status === 'error') && (
+            <button onClick={() => onResume(pull.name)} className="backup-action-btn primary" title="Resume download" aria-label={`Resume pulling ${pull.name}`}>
+              <Play size={14} />
+            </button>
+          )}
+          {!isActive && (
+            <button onClick={() => onDismiss(pull.name)} className="backup-action-btn" title="Dismiss" aria-label={`Dismiss ${pull.name}`}>
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {total > 0 && (
+        <div className="model-pull-overall">
+          <ProgressBar percent={percent} state={pull.status} />
+          <small>{formatBytes(completed)} / {formatBytes(total)} ({percent.toFixed(1)}%)</small>
+        </div>
+      )}
+
+      {Object.keys(pull.layers || {}).length > 1 && (
+        <details className="model-pull-layers">
+          <summary>{Object.keys(pull.layers).length} layers</summary>
+          {Object.entries(pull.layers).map(([digest, layer]) => {
+            const layerPercent = layer.total ? (layer.completed / layer.total) * 100 : 0;
+            return (
+              <div key={digest} className="model-pull-layer">
+                <code>{digest.replace(/^sha256:/, '').substring(0, 12)}</code>
+                <ProgressBar percent={layerPercent} state={pull.status} />
+                <small>{formatBytes(layer.total || 0)}</small>
+              </div>
+            );
+          })}
+        </details>
+      )}
+    </div>
+  );
+});
+
+const InstalledModelItem = React.memo(({ model, isSelected, isLoaded, keepAlive, onKeepAliveChange, onDelete, onCopy }) => {
+  const [copyTarget, setCopyTarget] = useState(null);
+  const details = model.details || {};
+
+  const submitCopy = () => {
+    const destination = (copyTarget || '').trim();
+    if (!destination) return;
+    onCopy(model.name, destination);
+    setCopyTarget(null);
+  };
+
+  return (
+    <div className="backup-item installed-model-item">
+      <div className="backup-info">
+        <div className="backup-header">
+          <span className={`loaded-indicator ${isLoaded ? 'loaded' : ''}`} title={isLoaded ? 'Loaded in memory' : 'Not loaded'}>●</span>
+          <span className="backup-date">{model.name}</span>
+          {isSelected && <span className="backup-latest-tag">Selected</span>}
+        </div>
+        <div className="backup-details">
+          <span className="backup-detail"><HardDrive size={12} />{formatBytes(model.size || 0)}</span>
+          {details.parameter_size && <span className="backup-detail"><Package size={12} />{details.parameter_size}</span>}
+          {details.quantization_level && <span className="backup-detail">{details.quantization_level}</span>}
+          {model.modified_at && <span className="backup-detail"><Clock size={12} />{formatDate(model.modified_at)}</span>}
+        </div>
+        {copyTarget !== null && (
+          <div className="installed-model-copy">
+            <input
+              type="text"
+              value={copyTarget}
+              onChange={(e) => setCopyTarget(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitCopy();
+                if (e.key === 'Escape') setCopyTarget(null);
+              }}
+              placeholder="new-name:tag"
+              className="generation-option-input"
+              aria-label={`Copy ${model.name} as`}
+              autoFocus
+            />
+            <button onClick={submitCopy} className="backup-action-btn primary" disabled={!copyTarget.trim()} aria-label="Confirm copy">
+              <Check size={14} />
+            </button>
+            <button onClick={() => setCopyTarget(null)} className="backup-action-btn" aria-label="Cancel copy">
+              <X size={14} />
+            </button>
           </div>
         )}
       </div>
-    </motion.div>
+      <div className="backup-actions">
+        <KeepAliveSelect model={model.name} value={keepAlive} onChange={onKeepAliveChange} />
+        <button
+          onClick={() => setCopyTarget(`${model.name.split(':')[0]}-copy`)}
+          className="backup-action-btn"
+          title="Copy / alias model"
+          aria-label={`Copy ${model.name}`}
+        >
+          <Copy size={14} />
+        </button>
+        <button
+          onClick={() => onDelete(model.name)}
+          className="backup-action-btn danger"
+          title="Delete model"
+          aria-label={`Delete ${model.name}`}
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
   );
-}, (prevProps, nextProps) => {
+});
+
+const KeepAliveSelect = React.memo(({ model, value, onChange }) => (
+  <select
+    value={value || ''}
+    onChange={(e) => onChange(model, e.target.value)}
+    className="generation-option-input keep-alive-select"
+    title="How long the model stays in memory after a request"
+    aria-label={`Keep ${model} loaded for`}
+  >
+    {KEEP_ALIVE_OPTIONS.map(option => (
+      <option key={option.value} value={option.value}>{option.label}</option>
+    ))}
+  </select>
+));
+
+const LoadedModelItem = React.memo(({ model, keepAlive, onKeepAliveChange, onUnload }) => {
+  const vramShare = model.size > 0 ? (model.size_vram / model.size) * 100 : 0;
+
   return (
-    prevProps.message.id === nextProps.message.id &&
-    prevProps.message.content === nextProps.message.content &&
-    prevProps.message.isStreaming === nextProps.message.isStreaming &&
-    prevProps.message.parsedResponse === nextProps.message.parsedResponse &&
-    prevProps.copied === nextProps.copied &&
-    prevProps.currentArtifacts === nextProps.currentArtifacts
+    <div className="backup-item loaded-model-item">
+      <div className="backup-info">
+        <div className="backup-header">
+          <span className="loaded-indicator loaded" aria-hidden="true">●</span>
+          <span className="backup-date">{model.name}</span>
+        </div>
+        <div className="backup-details">
+          <span className="backup-detail" title="Total memory in use">
+            <MemoryStick size={12} />{formatBytes(model.size || 0)}
+          </span>
+          <span className="backup-detail" title="Share of the model held in GPU memory">
+            <Cpu size={12} />
+            {vramShare >= 99.5 ? '100% GPU' : vramShare <= 0.5 ? '100% CPU' : `${vramShare.toFixed(0)}% GPU / ${(100 - vramShare).toFixed(0)}% CPU`}
+          </span>
+          {model.context_length && (
+            <span className="backup-detail">ctx {model.context_length.toLocaleString()}</span>
+          )}
+          <span className="backup-detail"><Clock size={12} />unloads {formatExpiry(model.expires_at)}</span>
+        </div>
+      </div>
+      <div className="backup-actions">
+        <KeepAliveSelect model={model.name} value={keepAlive} onChange={onKeepAliveChange} />
+        <button
+          onClick={() => onUnload(model.name)}
+          className="backup-action-btn danger"
+          title="Unload from memory"
+          aria-label={`Unload ${model.name}`}
+        >
+          <Power size={14} />
+        </button>
+      </div>
+    </div>
   );
 });
 
-// 🎯 OPTIMIZED FILE TREE ITEM
-const FileTreeItem = React.memo(({ item, level, isSelected, isExpanded, onSelect, onToggle, onDelete }) => {
-  const handleSelect = useCallback((e) => {
-    e.stopPropagation();
-    onSelect(item);
-  }, [onSelect, item]);
+const ModelManager = React.memo(({
+  isOpen,
+  onClose,
+  installedModels,
+  selectedModel,
+  isLoadingModels,
+  pulls,
+  onPull,
+  onCancelPull,
+  onDismissPull,
+  onDeleteModel,
+  onCopyModel,
+  onRefresh,
+  loadedModels,
+  keepAliveSettings,
+  onKeepAliveChange,
+  onUnloadModel,
+  warmupOnSelect,
+  onToggleWarmup,
+  onRefreshLoaded
+}) => {
+  const [pullName, setPullName] = useState('');
+  const [filter, setFilter] = useState('');
 
-  const handleToggle = useCallback((e) => {
-    e.stopPropagation();
-    onToggle(item.fullPath);
-  }, [onToggle, item.fullPath]);
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
 
-  const handleDelete = useCallback((e) => {
-    e.stopPropagation();
-    onDelete(item.fullPath || item.path);
-  }, [onDelete, item]);
+  const submitPull = () => {
+    const name = pullName.trim();
+    if (!name) return;
+    onPull(name);
+    setPullName('');
+  };
 
-  if (item.isFolder) {
-    return (
-      <div className="folder-container">
-        <div 
-          className={`file-tree-item folder-item ${isExpanded ? 'expanded' : ''}`}
-          onClick={handleToggle}
-          style={{ paddingLeft: `${level * 16 + 16}px` }}
-        >
-          <div className="folder-icon">
-            <ChevronRight size={12} className={`folder-chevron ${isExpanded ? 'expanded' : ''}`} />
-            <Folder size={14} />
-          </div>
-          <span className="folder-name">{item.name}</span>
-          {Object.keys(item.children || {}).length > 0 && (
-            <span className="folder-count">{Object.keys(item.children).length}</span>
-          )}
+  const visibleModels = useMemo(() => {
+    const filterLower = filter.trim().toLowerCase();
+    const sorted = [...installedModels].sort((a, b) => a.name.localeCompare(b.name));
+    return filterLower ? sorted.filter(m => m.name.toLowerCase().includes(filterLower)) : sorted;
+  }, [installedModels, filter]);
+
+  const pullList = Object.values(pulls);
+
+  // Poll while the manager is open so expiry times and memory stay current
+  useEffect(() => {
+    if (!isOpen) return;
+    onRefreshLoaded();
+    const interval = setInterval(onRefreshLoaded, 5000);
+    return () => clearInterval(interval);
+  }, [isOpen, onRefreshLoaded]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="storage-management-modal model-manager-modal">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Model Manager</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close model manager">
+            <X size={20} />
+          </button>
         </div>
-        {isExpanded && item.children && (
-          <div className="folder-children">
-            {Object.values(item.children).map((child) => (
-              <FileTreeItem 
-                key={child.id || child.fullPath}
-                item={child}
-                level={level + 1}
-                isSelected={isSelected}
-                isExpanded={isExpanded}
-                onSelect={onSelect}
-                onToggle={onToggle}
-                onDelete={onDelete}
+
+        <div className="storage-content">
+          <div className="action-section">
+            <h3>Pull a Model</h3>
+            <div className="model-pull-form">
+              <input
+                type="text"
+                value={pullName}
+                onChange={(e) => setPullName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') submitPull(); }}
+                placeholder="e.g. llama3.2, qwen2.5-coder:7b"
+                className="generation-option-input"
+                aria-label="Model name to pull"
               />
-            ))}
+              <button onClick={submitPull} className="action-button primary" disabled={!pullName.trim()}>
+                <Download size={16} />
+                Pull
+              </button>
+            </div>
+            <small className="generation-option-hint">
+              Cancelled downloads keep their finished layers, so resuming picks up where it stopped.
+            </small>
           </div>
-        )}
+
+          <div className="backups-section loaded-models-section">
+            <div className="backups-header">
+              <h3>Loaded in Memory ({loadedModels.length})</h3>
+              <label className="warmup-toggle">
+                <input type="checkbox" checked={warmupOnSelect} onChange={(e) => onToggleWarmup(e.target.checked)} />
+                <span>Warm up on select</span>
+              </label>
+            </div>
+            {loadedModels.length === 0 ? (
+              <small className="generation-option-hint">No models are loaded. The next request will load its model from disk.</small>
+            ) : (
+              <div className="backups-list">
+                {loadedModels.map(model => (
+                  <LoadedModelItem
+                    key={model.digest || model.name}
+                    model={model}
+                    keepAlive={keepAliveSettings[model.name]}
+                    onKeepAliveChange={onKeepAliveChange}
+                    onUnload={onUnloadModel}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+
+          {pullList.length > 0 && (
+            <div className="model-pull-list">
+              {pullList.map(pull => (
+                <PullProgressItem
+                  key={pull.name}
+                  pull={pull}
+                  onCancel={onCancelPull}
+                  onResume={onPull}
+                  onDismiss={onDismissPull}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="backups-section">
+            <div className="backups-header">
+              <h3>Installed Models ({installedModels.length})</h3>
+              <div className="backups-header-actions">
+                <button onClick={onRefresh} className="cleanup-backups-btn secondary" disabled={isLoadingModels}>
+                  <RotateCcw size={14} />
+                  {isLoadingModels ? 'Refreshing...' : 'Refresh'}
+                </button>
+              </div>
+            </div>
+
+            {installedModels.length > 5 && (
+              <div className="search-box">
+                <Search size={14} />
+                <input
+                  type="text"
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  placeholder="Filter models..."
+                  className="search-input"
+                  aria-label="Filter installed models"
+                />
+              </div>
+            )}
+
+            {visibleModels.length === 0 ? (
+              <div className="empty-backups">
+                <Package size={32} />
+                <p>No models installed</p>
+                <small>Pull a model above to get started</small>
+              </div>
+            ) : (
+              <div className="backups-list">
+                {visibleModels.map(model => (
+                  <InstalledModelItem
+                    key={model.digest || model.name}
+                    model={model}
+                    isSelected={model.name === selectedModel}
+                    isLoaded={loadedModels.some(loaded => loaded.name === model.name)}
+                    keepAlive={keepAliveSettings[model.name]}
+                    onKeepAliveChange={onKeepAliveChange}
+                    onDelete={onDeleteModel}
+                    onCopy={onCopyModel}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
       </div>
-    );
-  }
+    </div>
+  );
+});
+
+// 🎯 SERVER PROFILES PANEL
+const ServerProfilesPanel = React.memo(({ isOpen, profiles, activeProfileId, onSave, onActivate, onTest, onClose }) => {
+  const [drafts, setDrafts] = useState(profiles);
+  const [editingId, setEditingId] = useState(activeProfileId);
+  const [testResults, setTestResults] = useState({});
+
+  // Start from the saved profiles each time the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      setDrafts(profiles);
+      setEditingId(activeProfileId);
+      setTestResults({});
+    }
+  }, [isOpen, profiles, activeProfileId]);
+
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const editing = drafts.find(profile => profile.id === editingId) || drafts[0];
+  const isDirty = JSON.stringify(drafts) !== JSON.stringify(profiles);
+  const invalidProfile = drafts.find(profile => !profile.name.trim() || !/^https?:\/\/\S+$/i.test(profile.url.trim()));
+
+  const updateEditing = (patch) => {
+    setDrafts(prev => prev.map(profile => profile.id === editing.id ? { ...profile, ...patch } : profile));
+    setTestResults(prev => ({ ...prev, [editing.id]: undefined }));
+  };
+
+  const updateHeader = (index, patch) => {
+    updateEditing({ headers: editing.headers.map((header, i) => i === index ? { ...header, ...patch } : header) });
+  };
+
+  const updateTimeout = (key, seconds) => {
+    const value = Math.max(1, Number(seconds) || 1) * 1000;
+    updateEditing({ timeouts: { ...editing.timeouts, [key]: value } });
+  };
+
+  const addProfile = () => {
+    const profile = createServerProfile();
+    setDrafts(prev => [...prev, profile]);
+    setEditingId(profile.id);
+  };
+
+  const removeProfile = (id) => {
+    if (drafts.length <= 1) return;
+    const remaining = drafts.filter(profile => profile.id !== id);
+    setDrafts(remaining);
+    if (editingId === id) setEditingId(remaining[0].id);
+  };
+
+  const testProfile = async (profile) => {
+    setTestResults(prev => ({ ...prev, [profile.id]: 'testing' }));
+    const ok = await onTest({ ...profile, url: profile.url.trim() });
+    setTestResults(prev => ({ ...prev, [profile.id]: ok ? 'ok' : 'failed' }));
+  };
+
+  const saveDrafts = () => {
+    if (invalidProfile) return;
+    onSave(drafts.map(profile => ({
+      ...profile,
+      name: profile.name.trim(),
+      url: profile.url.trim(),
+      headers: profile.headers.filter(header => header.key.trim())
+    })));
+  };
 
   return (
-    <div 
-      key={item.id}
-      className={`file-tree-item file-item ${isSelected ? 'selected' : ''}`}
-      onClick={handleSelect}
-      style={{ paddingLeft: `${level * 16 + 32}px` }}
-    >
-      <div className="file-icon">
-        <FileText size={14} />
+    <div className="storage-management-modal server-profiles-modal">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Servers</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close server settings">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="storage-content">
+          <div className="backups-section">
+            <div className="backups-header">
+              <h3>Profiles ({drafts.length})</h3>
+              <div className="backups-header-actions">
+                <button onClick={addProfile} className="cleanup-backups-btn secondary">
+                  <Plus size={14} />
+                  Add Server
+                </button>
+              </div>
+            </div>
+            <div className="backups-list">
+              {drafts.map(profile => (
+                <div
+                  key={profile.id}
+                  className={`backup-item server-profile-item ${profile.id === editing.id ? 'editing' : ''}`}
+                  onClick={() => setEditingId(profile.id)}
+                >
+                  <div className="backup-info">
+                    <div className="backup-header">
+                      <Server size={14} />
+                      <span className="backup-date">{profile.name || 'Untitled'}</span>
+                      {profile.id === activeProfileId && <span className="backup-latest-tag">Active</span>}
+                      {testResults[profile.id] === 'ok' && <span className="server-test-result ok">Reachable</span>}
+                      {testResults[profile.id] === 'failed' && <span className="server-test-result failed">Unreachable</span>}
+                    </div>
+                    <div className="backup-details">
+                      <span className="backup-detail"><Globe size={12} />{profile.url}</span>
+                      <span className="backup-detail">{getProvider(profile).label}</span>
+                      {profile.headers.length > 0 && (
+                        <span className="backup-detail">{profile.headers.length} header{profile.headers.length === 1 ? '' : 's'}</span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="backup-actions">
+                    <button
+                      onClick={(e) => { e.stopPropagation(); testProfile(profile); }}
+                      className="backup-action-btn"
+                      disabled={testResults[profile.id] === 'testing'}
+                      title="Test connection"
+                      aria-label={`Test connection to ${profile.name}`}
+                    >
+                      <Plug size={14} />
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); removeProfile(profile.id); }}
+                      className="backup-action-btn danger"
+                      disabled={drafts.length <= 1}
+                      title={drafts.length <= 1 ? 'At least one server is required' : 'Delete server'}
+                      aria-label={`Delete ${profile.name}`}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {editing && (
+            <div className="action-section server-profile-editor">
+              <h3>Edit {editing.name || 'Server'}</h3>
+              <div className="generation-options-grid">
+                <label className="generation-option">
+                  <span className="generation-option-label">Name</span>
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => updateEditing({ name: e.target.value })}
+                    className="generation-option-input"
+                  />
+                </label>
+                <label className="generation-option">
+                  <span className="generation-option-label">API</span>
+                  <select
+                    value={getProvider(editing).id}
+                    onChange={(e) => updateEditing({ provider: e.target.value })}
+                    className="generation-option-input"
+                  >
+                    {Object.values(CHAT_PROVIDERS).map(provider => (
+                      <option key={provider.id} value={provider.id}>{provider.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="generation-option">
+                  <span className="generation-option-label">URL</span>
+                  <input
+                    type="url"
+                    value={editing.url}
+                    onChange={(e) => updateEditing({ url: e.target.value })}
+                    placeholder={getProvider(editing).managesModels ? 'http://127.0.0.1:11434' : 'http://127.0.0.1:8080/v1'}
+                    className="generation-option-input"
+                  />
+                  {!getProvider(editing).managesModels && (
+                    <small className="generation-option-hint">llama.cpp server, vLLM, LM Studio or any server with /v1/chat/completions.</small>
+                  )}
+                </label>
+                <label className="generation-option">
+                  <span className="generation-option-label">Health check timeout (s)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={Math.round((editing.timeouts?.health || 3000) / 1000)}
+                    onChange={(e) => updateTimeout('health', e.target.value)}
+                    className="generation-option-input"
+                  />
+                </label>
+                <label className="generation-option">
+                  <span className="generation-option-label">Request timeout (s)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={Math.round((editing.timeouts?.request || 120000) / 1000)}
+                    onChange={(e) => updateTimeout('request', e.target.value)}
+                    className="generation-option-input"
+                  />
+                  <small className="generation-option-hint">Time allowed for the server to start answering, including model load.</small>
+                </label>
+              </div>
+
+              <div className="server-headers">
+                <span className="generation-option-label">Custom headers</span>
+                {editing.headers.map((header, index) => (
+                  <div key={index} className="server-header-row">
+                    <input
+                      type="text"
+                      value={header.key}
+                      onChange={(e) => updateHeader(index, { key: e.target.value })}
+                      placeholder="Authorization"
+                      className="generation-option-input"
+                      aria-label="Header name"
+                    />
+                    <input
+                      type="text"
+                      value={header.value}
+                      onChange={(e) => updateHeader(index, { value: e.target.value })}
+                      placeholder="Bearer ..."
+                      className="generation-option-input"
+                      aria-label="Header value"
+                    />
+                    <button
+                      onClick={() => updateEditing({ headers: editing.headers.filter((_, i) => i !== index) })}
+                      className="backup-action-btn"
+                      aria-label="Remove header"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => updateEditing({ headers: [...editing.headers, { key: '', value: '' }] })}
+                  className="cleanup-backups-btn secondary"
+                >
+                  <Plus size={14} />
+                  Add Header
+                </button>
+                <small className="generation-option-hint">
+                  Sent with every request to this server, e.g. for an authenticating reverse proxy.
+                </small>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="generation-options-footer">
+          {invalidProfile && <small className="capability-warning">Each server needs a name and an http(s) URL.</small>}
+          <button
+            onClick={() => onActivate(editing.id)}
+            className="action-button secondary"
+            disabled={isDirty || editing.id === activeProfileId}
+            title={isDirty ? 'Save changes first' : undefined}
+          >
+            Use This Server
+          </button>
+          <button onClick={saveDrafts} className="action-button primary" disabled={!isDirty || !!invalidProfile}>
+            <Check size={16} />
+            Save
+          </button>
+        </div>
       </div>
-      <span className="file-name">{item.name}</span>
-      <span className="file-language-badge">{item.language}</span>
     </div>
   );
-}, (prevProps, nextProps) => {
-  return (
-    prevProps.item.id === nextProps.item.id &&
-    prevProps.isSelected === nextProps.isSelected &&
-    prevProps.isExpanded === nextProps.isExpanded &&
-    prevProps.level === nextProps.level
-  );
 });
 
-// 🎯 OPTIMIZED ARTIFACT MANAGER
-const ArtifactManager = React.memo(({ 
-  isMobile, 
-  currentConversationId, 
-  currentArtifacts,
-  selectedFile,
-  isEditing,
-  viewMode,
-  mobilePanel,
-  searchTerm,
-  expandedFolders,
-  onSelectFile,
-  onSetEditing,
-  onSetViewMode,
-  onSetMobilePanel,
-  onSetSearchTerm,
-  onSetExpandedFolders,
-  onSaveFile,
-  onCancelEdit,
-  onDeleteFile,
-  onCreateFile,
-  onCreateFolder
-}) => {
-  const debouncedSearchTerm = useDebounce(searchTerm, APP_CONFIG.TIMEOUTS.DEBOUNCE_DELAY);
-  const editorTextareaRef = useRef(null);
-  const isComposingRef = useRef(false);
-  const [editorContent, setEditorContent] = useState('');
-  const fileChangeCounterRef = useRef(0);
-
-  const buildFileTree = useCallback((artifacts) => {
-    const tree = {};
-    
-    artifacts.forEach(artifact => {
-      const parts = artifact.path.split('/');
-      let currentLevel = tree;
-      
-      for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        const isLastPart = i === parts.length - 1;
-        
-        if (isLastPart) {
-          currentLevel[part] = {
-            ...artifact,
-            name: part,
-            isFile: true,
-            fullPath: artifact.path
-          };
-        } else {
-          if (!currentLevel[part]) {
-            currentLevel[part] = {
-              name: part,
-              isFolder: true,
-              fullPath: parts.slice(0, i + 1).join('/'),
-              children: {}
-            };
-          }
-          currentLevel = currentLevel[part].children;
-        }
-      }
-    });
-    
-    return tree;
-  }, []);
-
-  const getFilteredArtifacts = useCallback(() => {
-    if (!searchTerm.trim()) {
-      return currentArtifacts;
-    }
-    
-    const searchLower = searchTerm.toLowerCase();
-    return currentArtifacts.filter(artifact => 
-      artifact.path.toLowerCase().includes(searchLower) ||
-      artifact.content.toLowerCase().includes(searchLower) ||
-      artifact.language.toLowerCase().includes(searchLower)
-    );
-  }, [currentArtifacts, searchTerm]);
+const formatOptionValue = (value) => Array.isArray(value) ? value.map(v => JSON.stringify(v)).join(', ') : String(value);
 
-  const filteredFileTree = useMemo(() => {
-    const filteredArtifacts = getFilteredArtifacts();
-    return buildFileTree(filteredArtifacts);
-  }, [getFilteredArtifacts, buildFileTree]);
+const MessageOptionsSummary = React.memo(({ model, options }) => {
+  if (!options || Object.keys(options).length === 0) return null;
 
-  const toggleFolder = useCallback((folderPath, e) => {
-    if (e) e.stopPropagation();
-    onSetExpandedFolders(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(folderPath)) newSet.delete(folderPath);
-      else newSet.add(folderPath);
-      return newSet;
-    });
-  }, [onSetExpandedFolders]);
+  return (
+    <details className="message-options">
+      <summary>
+        <SlidersHorizontal size={12} />
+        <span>{model ? `${model} • ` : ''}{Object.keys(options).length} settings</span>
+      </summary>
+      <div className="message-options-list">
+        {Object.entries(options).map(([key, value]) => (
+          <span key={key} className="message-option">
+            <code>{key}</code> {formatOptionValue(value)}
+          </span>
+        ))}
+      </div>
+    </details>
+  );
+});
 
-  const handleEditorChange = useCallback((e) => {
-    const value = e.target.value;
-    setEditorContent(value);
-    
-    if (!isComposingRef.current && editorTextareaRef.current) {
-      requestAnimationFrame(() => {
-        if (editorTextareaRef.current) {
-          editorTextareaRef.current.style.height = 'auto';
-          editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
-        }
-      });
-    }
-  }, []);
+// 🎯 MESSAGE STATS
+// Durations follow Ollama and are in nanoseconds
+const NS_PER_SECOND = 1e9;
 
-  const handleCompositionStart = useCallback((e) => {
-    isComposingRef.current = true;
-  }, []);
+// A tool-calling turn makes several requests: token counts and durations add up,
+// while the prompt size and stop reason of the last request describe the answer
+const mergeStreamStats = (previous, next) => {
+  if (!previous) return next;
+  const sum = (key) => (previous[key] ?? 0) + (next[key] ?? 0);
+  return {
+    ...next,
+    completionTokens: sum('completionTokens'),
+    totalDuration: sum('totalDuration'),
+    loadDuration: sum('loadDuration'),
+    promptDuration: sum('promptDuration'),
+    evalDuration: sum('evalDuration')
+  };
+};
 
-  const handleCompositionEnd = useCallback((e) => {
-    isComposingRef.current = false;
-  }, []);
+const formatSeconds = (ns) => {
+  const seconds = ns / NS_PER_SECOND;
+  return seconds < 10 ? `${seconds.toFixed(2)}s` : `${seconds.toFixed(1)}s`;
+};
 
-  const handleSave = useCallback(() => {
-    if (selectedFile && editorContent) {
-      onSaveFile(editorContent);
-    }
-  }, [selectedFile, editorContent, onSaveFile]);
+const DONE_REASON_LABELS = {
+  stop: 'finished',
+  length: 'token limit',
+  load: 'loaded',
+  unload: 'unloaded',
+  tool_calls: 'tool calls'
+};
 
-  const handleCancelEdit = useCallback(() => {
-    if (selectedFile) {
-      const originalContent = selectedFile.content;
-      setEditorContent(originalContent);
-      
-      if (editorTextareaRef.current) {
-        editorTextareaRef.current.value = originalContent;
-        
-        requestAnimationFrame(() => {
-          if (editorTextareaRef.current) {
-            editorTextareaRef.current.style.height = 'auto';
-            editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
-          }
-        });
-      }
-      
-      onCancelEdit();
-    }
-  }, [selectedFile, onCancelEdit]);
+const MessageStats = React.memo(({ stats }) => {
+  const tokensPerSecond = stats.completionTokens && stats.evalDuration
+    ? stats.completionTokens / (stats.evalDuration / NS_PER_SECOND)
+    : null;
+  const items = [
+    tokensPerSecond !== null && { key: 'speed', label: `${tokensPerSecond.toFixed(1)} tok/s`, title: 'Generation speed' },
+    stats.promptTokens !== null && { key: 'prompt', label: `${stats.promptTokens.toLocaleString()} prompt`, title: stats.promptDuration ? `Prompt processed in ${formatSeconds(stats.promptDuration)}` : 'Prompt tokens' },
+    stats.completionTokens !== null && { key: 'response', label: `${stats.completionTokens.toLocaleString()} response`, title: 'Response tokens' },
+    stats.loadDuration > 0 && { key: 'load', label: `load ${formatSeconds(stats.loadDuration)}`, title: 'Time spent loading the model' },
+    stats.totalDuration > 0 && { key: 'total', label: `total ${formatSeconds(stats.totalDuration)}`, title: 'Total request time' },
+    stats.doneReason && { key: 'reason', label: DONE_REASON_LABELS[stats.doneReason] || stats.doneReason, title: `done_reason: ${stats.doneReason}` }
+  ].filter(Boolean);
+
+  if (items.length === 0) return null;
 
-  const handleDelete = useCallback((filePath, e) => {
-    if (e) e.stopPropagation();
-    if (!confirm(`Are you sure you want to delete "${filePath}"?\n\nThis will remove the file from your project and cannot be undone.`)) return;
-    
-    onDeleteFile(filePath);
-  }, [onDeleteFile]);
+  return (
+    <div className="message-stats">
+      {items.map(item => (
+        <span key={item.key} className={`message-stat ${item.key === 'reason' && stats.doneReason === 'length' ? 'warning' : ''}`} title={item.title}>
+          {item.label}
+        </span>
+      ))}
+    </div>
+  );
+});
 
-  const handleFileSelect = useCallback((file, e) => {
-    if (e) e.stopPropagation();
-    
-    // Get the latest version of the file from currentArtifacts
-    const currentFileFromState = currentArtifacts.find(f => f.path === file.path);
-    const freshFile = currentFileFromState 
-      ? { ...currentFileFromState } 
-      : { ...file };
-    
-    onSelectFile(freshFile);
-    onSetEditing(false);
-    onSetViewMode('editor');
-    if (isMobile) onSetMobilePanel('editor');
-    
-    // Force update the editor content
-    setEditorContent(freshFile.content);
-  }, [onSelectFile, onSetEditing, onSetViewMode, isMobile, onSetMobilePanel, currentArtifacts]);
+const TruncationWarning = React.memo(() => (
+  <div className="truncation-warning" role="alert">
+    <AlertTriangle size={14} />
+    <span>
+      The answer was cut off because the model hit its token limit. Press Continue, or raise <code>num_predict</code> or <code>num_ctx</code> in Generation Options.
+    </span>
+  </div>
+));
 
-  // Sync editor content when selectedFile changes
-  useEffect(() => {
-    if (selectedFile) {
-      setEditorContent(selectedFile.content);
-      
-      if (editorTextareaRef.current) {
-        editorTextareaRef.current.value = selectedFile.content;
-        
-        requestAnimationFrame(() => {
-          if (editorTextareaRef.current) {
-            editorTextareaRef.current.style.height = 'auto';
-            editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
-          }
-        });
-      }
-    } else {
-      setEditorContent('');
-    }
-  }, [selectedFile]);
+// 🎯 CONTEXT WINDOW UI
+const CONTEXT_STATES = [
+  { value: 'verbatim', label: 'Verbatim', hint: 'Sent as written' },
+  { value: 'summarized', label: 'Summarized', hint: 'Replaced by the running summary' },
+  { value: 'pending', label: 'To summarize', hint: 'Folded into the summary on the next send' },
+  { value: 'dropped', label: 'Dropped', hint: 'Outside the budget and not sent' },
+  { value: 'excluded', label: 'Excluded', hint: 'Left out of the next request in the context inspector' }
+];
+
+const ContextStateChip = React.memo(({ state }) => {
+  const info = CONTEXT_STATES.find(item => item.value === state);
+  if (!info) return null;
+  return (
+    <span className={`context-state-chip ${state}`} title={info.hint}>
+      <Layers size={11} />
+      {info.label}
+    </span>
+  );
+});
 
-  // Watch for changes in currentArtifacts and update if selectedFile changes
-  useEffect(() => {
-    if (selectedFile && currentArtifacts.length > 0) {
-      const updatedFile = currentArtifacts.find(file => file.path === selectedFile.path);
-      if (updatedFile && updatedFile.content !== editorContent && !isEditing) {
-        console.log('📁 Detected external file change, updating editor');
-        setEditorContent(updatedFile.content);
-        
-        if (editorTextareaRef.current) {
-          editorTextareaRef.current.value = updatedFile.content;
-          
-          requestAnimationFrame(() => {
-            if (editorTextareaRef.current) {
-              editorTextareaRef.current.style.height = 'auto';
-              editorTextareaRef.current.style.height = `${editorTextareaRef.current.scrollHeight}px`;
-            }
-          });
-        }
-      }
-    }
-  }, [currentArtifacts, selectedFile, isEditing, editorContent]);
+const ContextWindowCard = React.memo(({
+  plan, summary, settings, embeddingModel, parserSettings, onSettingsChange, onParserSettingsChange, onResetSummary
+}) => {
+  const [showSummary, setShowSummary] = useState(false);
+  const counts = useMemo(() => Object.values(plan.states).reduce((acc, state) => {
+    acc[state] = (acc[state] || 0) + 1;
+    return acc;
+  }, {}), [plan.states]);
+  const usedPercent = plan.budget > 0 ? Math.min(100, Math.round((plan.usedTokens / plan.budget) * 100)) : 100;
 
-  useEffect(() => {
-    if (isEditing && selectedFile && editorTextareaRef.current) {
-      const timer = setTimeout(() => {
-        if (editorTextareaRef.current) {
-          editorTextareaRef.current.focus();
-          const length = editorTextareaRef.current.value.length;
-          editorTextareaRef.current.setSelectionRange(length, length);
-        }
-      }, 100);
-      
-      return () => clearTimeout(timer);
-    }
-  }, [isEditing, selectedFile]);
+  return (
+    <div className="model-info-card context-window-card">
+      <div className="context-usage">
+        <div className="context-usage-bar">
+          <div className={`context-usage-fill ${usedPercent >= 90 ? 'full' : ''}`} style={{ width: `${usedPercent}%` }} />
+        </div>
+        <span className="context-usage-text">
+          ~{plan.usedTokens.toLocaleString()} / {plan.budget.toLocaleString()} tokens
+        </span>
+      </div>
 
-  const TreePanel = useMemo(() => (
-    (!isMobile || mobilePanel === 'tree') && (
-      <div className="file-tree-panel">
-        <div className="panel-header">
-          <div className="panel-title">
-            <FolderOpen size={16} />
-            <span>Project Files</span>
-            <span className="file-count">{currentArtifacts.length}</span>
+      {Object.keys(counts).length > 0 && (
+        <div className="context-state-counts">
+          {CONTEXT_STATES.filter(({ value }) => counts[value]).map(({ value, label, hint }) => (
+            <span key={value} className={`context-state-chip ${value}`} title={hint}>
+              {counts[value]} {label.toLowerCase()}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {summary?.text && (
+        <div className="context-summary">
+          <div className="context-summary-header">
+            <button type="button" className="context-summary-toggle" onClick={() => setShowSummary(prev => !prev)}>
+              {showSummary ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+              Running summary
+              <span className="context-summary-meta">~{summary.tokens.toLocaleString()} tokens</span>
+            </button>
+            <button type="button" className="context-summary-reset" onClick={onResetSummary} title="Discard the summary; older messages get summarized again">
+              <RotateCcw size={12} />
+            </button>
           </div>
+          {showSummary && <div className="context-summary-text">{summary.text}</div>}
         </div>
-        
-        <div className="search-box">
-          <Search size={14} />
+      )}
+
+      <div className="context-settings">
+        <label className="context-setting">
+          <span>History budget</span>
           <input
-            type="text"
-            value={searchTerm}
-            onChange={(e) => onSetSearchTerm(e.target.value)}
-            placeholder="Search files..."
-            className="search-input"
-            aria-label="Search files"
+            type="number"
+            min={256}
+            step={256}
+            value={settings.budget ?? ''}
+            placeholder={`auto (${plan.budget.toLocaleString()})`}
+            onChange={(e) => onSettingsChange({ budget: Number(e.target.value) > 0 ? Number(e.target.value) : null })}
           />
-          {searchTerm && (
-            <button onClick={() => onSetSearchTerm('')} className="search-clear" aria-label="Clear search">
-              <X size={12} />
-            </button>
-          )}
+        </label>
+        <label className="context-setting checkbox">
+          <input
+            type="checkbox"
+            checked={settings.summarize}
+            onChange={(e) => onSettingsChange({ summarize: e.target.checked })}
+          />
+          <span>Summarize older messages</span>
+        </label>
+        <label className="context-setting checkbox">
+          <input
+            type="checkbox"
+            checked={settings.retrieval}
+            onChange={(e) => onSettingsChange({ retrieval: e.target.checked })}
+          />
+          <span>Send only relevant parts of large projects</span>
+        </label>
+        {settings.retrieval && (
+          <>
+            <label className="context-setting">
+              <span>Project file budget</span>
+              <input
+                type="number"
+                min={256}
+                step={256}
+                value={settings.fileBudget}
+                onChange={(e) => Number(e.target.value) > 0 && onSettingsChange({ fileBudget: Number(e.target.value) })}
+              />
+            </label>
+            <p className="context-setting-hint">
+              {embeddingModel
+                ? `Ranked with ${embeddingModel}, the search embedding model.`
+                : 'Ranked by shared words; choose an embedding model under Conversations for better matches.'}
+            </p>
+          </>
+        )}
+        <label className="context-setting">
+          <span>Files and edits per reply</span>
+          <input
+            type="number"
+            min={1}
+            step={10}
+            value={parserSettings.maxBlocks}
+            onChange={(e) => Number(e.target.value) > 0 && onParserSettingsChange({ maxBlocks: Math.floor(Number(e.target.value)) })}
+          />
+        </label>
+        <p className="context-setting-hint">
+          A safety limit for very long replies: blocks past it stay in the text and are listed under the reply.
+        </p>
+      </div>
+    </div>
+  );
+});
+
+const InspectorSection = React.memo(({ section, excluded, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  return (
+    <div className={`inspector-item ${excluded ? 'excluded' : ''}`}>
+      <div className="inspector-item-header">
+        <input
+          type="checkbox"
+          checked={!excluded}
+          onChange={() => onToggle(section.id)}
+          aria-label={`Include ${section.label}`}
+        />
+        <button type="button" className="inspector-item-toggle" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          <span className="inspector-item-label">{section.label}</span>
+        </button>
+        <span className="inspector-item-tokens">~{section.tokens.toLocaleString()}</span>
+      </div>
+      {section.truncation?.length > 0 && (
+        <ul className="inspector-truncation">
+          {section.truncation.map(note => <li key={note}>{note}</li>)}
+        </ul>
+      )}
+      {expanded && <pre className="inspector-item-preview">{section.content}</pre>}
+    </div>
+  );
+});
+
+// Drawer listing every part of the next request with token estimates; anything unchecked is
+// left out of that one request
+const ContextInspector = React.memo(({
+  isOpen, onClose, sections, messages, states, exclusions, onToggleSection, onToggleMessage, onResetExclusions, estimate
+}) => {
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const usedPercent = estimate.contextSize > 0 ? Math.min(100, Math.round((estimate.total / estimate.contextSize) * 100)) : 0;
+  const hasExclusions = exclusions.sections.length > 0 || exclusions.messages.length > 0;
+
+  return (
+    <div className="storage-management-modal context-inspector">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Context Inspector</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close context inspector">
+            <X size={20} />
+          </button>
         </div>
-        
-        <div className="file-tree-container">
-          {currentArtifacts.length === 0 ? (
-            <div className="empty-tree-state">
-              <FileCode size={24} />
-              <p>No files yet</p>
-              <button 
-                onClick={() => onCreateFile()}
-                className="create-first-file-btn small"
-              >
-                <FilePlus size={12} />
-                Create First File
-              </button>
+
+        <div className="storage-content">
+          <div className="context-usage">
+            <div className="context-usage-bar">
+              <div className={`context-usage-fill ${usedPercent >= 90 ? 'full' : ''}`} style={{ width: `${usedPercent}%` }} />
             </div>
-          ) : (
-            <div className="file-tree">
-              {Object.values(filteredFileTree).map((item) => (
-                <FileTreeItem 
-                  key={item.id || item.fullPath}
-                  item={item}
-                  level={0}
-                  isSelected={selectedFile?.path === item.path}
-                  isExpanded={expandedFolders.has(item.fullPath)}
-                  onSelect={handleFileSelect}
-                  onToggle={toggleFolder}
-                  onDelete={handleDelete}
-                />
-              ))}
+            <span className="context-usage-text">
+              ~{estimate.total.toLocaleString()} / {estimate.contextSize.toLocaleString()} tokens
+              {' '}(system {estimate.systemTokens.toLocaleString()}, history {estimate.historyTokens.toLocaleString()}, message {estimate.inputTokens.toLocaleString()})
+            </span>
+          </div>
+
+          <div className="inspector-group">
+            <div className="inspector-group-header">
+              <h3>System</h3>
+              {hasExclusions && (
+                <button onClick={onResetExclusions} className="cleanup-backups-btn secondary">Include Everything</button>
+              )}
             </div>
-          )}
+            {sections.map(section => (
+              <InspectorSection
+                key={section.id}
+                section={section}
+                excluded={exclusions.sections.includes(section.id)}
+                onToggle={onToggleSection}
+              />
+            ))}
+          </div>
+
+          <div className="inspector-group">
+            <div className="inspector-group-header">
+              <h3>Messages</h3>
+            </div>
+            {messages.length === 0 && <p className="generation-options-intro">No earlier messages.</p>}
+            {messages.map(msg => {
+              const state = states[msg.id];
+              const excluded = exclusions.messages.includes(msg.id);
+              return (
+                <div key={msg.id} className={`inspector-item ${excluded || state !== 'verbatim' ? 'excluded' : ''}`}>
+                  <div className="inspector-item-header">
+                    <input
+                      type="checkbox"
+                      checked={!excluded}
+                      onChange={() => onToggleMessage(msg.id)}
+                      aria-label={`Include ${msg.role} message`}
+                    />
+                    <span className="inspector-item-role">{msg.role}</span>
+                    <span className="inspector-item-snippet">
+                      {getMessageImages(msg).length > 0 && <ImageIcon size={12} />}
+                      {msg.content.substring(0, 120)}
+                    </span>
+                    {state !== 'verbatim' && <ContextStateChip state={state} />}
+                    <span className="inspector-item-tokens">~{estimateMessageTokens(msg).toLocaleString()}</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="generation-options-footer">
+          <span className="inspector-footer-note">Exclusions apply to the next request only.</span>
+          <button onClick={onClose} className="action-button primary">
+            <Check size={16} />
+            Done
+          </button>
         </div>
       </div>
-    )
-  ), [
-    isMobile,
-    mobilePanel,
-    currentArtifacts.length,
-    searchTerm,
-    filteredFileTree,
-    selectedFile,
-    expandedFolders,
-    onSetSearchTerm,
-    onCreateFile,
-    handleFileSelect,
-    toggleFolder,
-    handleDelete
-  ]);
+    </div>
+  );
+});
 
-  const EditorPanel = useMemo(() => (
-    (!isMobile || mobilePanel === 'editor') && (
-      <div className="file-editor-panel">
-        {isMobile && (
-          <div className="mobile-editor-header">
-            <button 
-              onClick={() => onSetMobilePanel('tree')}
-              className="mobile-back-btn"
-              aria-label="Back to files"
-            >
-              <ChevronLeft size={16} />
-              Back to Files
-            </button>
-            <span className="mobile-file-count">{currentArtifacts.length} files</span>
+// 🎯 BRANCH MINIMAP
+const BranchSegment = React.memo(({ segment, onSelect }) => (
+  <li className="branch-segment">
+    <button
+      onClick={() => onSelect(segment.id)}
+      className={`branch-segment-button ${segment.active ? 'active' : ''}`}
+      title={segment.label}
+    >
+      <span className="branch-segment-dot" />
+      <span className="branch-segment-label">{segment.label}</span>
+      <span className="branch-segment-count">{segment.count}</span>
+    </button>
+    {segment.children.length > 0 && (
+      <ul className="branch-segment-children">
+        {segment.children.map(child => <BranchSegment key={child.id} segment={child} onSelect={onSelect} />)}
+      </ul>
+    )}
+  </li>
+));
+
+const BranchMinimap = React.memo(({ outline, onSelect }) => (
+  <ul className="branch-minimap">
+    {outline.map(segment => <BranchSegment key={segment.id} segment={segment} onSelect={onSelect} />)}
+  </ul>
+));
+
+// 🎯 MODEL ARENA
+const ARENA_UPDATE_INTERVAL = 80;
+
+const loadArenaTally = () => {
+  try {
+    return JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.ARENA_TALLY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// `winner` null records a tie between every model in the round
+const recordArenaVote = (tally, models, winner) => {
+  const next = { ...tally };
+  models.forEach(model => {
+    const entry = { wins: 0, losses: 0, ties: 0, ...next[model] };
+    if (winner === null) entry.ties += 1;
+    else if (model === winner) entry.wins += 1;
+    else entry.losses += 1;
+    next[model] = entry;
+  });
+  return next;
+};
+
+const getArenaWinRate = ({ wins, losses, ties }) => {
+  const rounds = wins + losses + ties;
+  return rounds > 0 ? wins / rounds : 0;
+};
+
+const arenaTallyToCsv = (tally) => {
+  const escape = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const rows = Object.entries(tally)
+    .sort(([, a], [, b]) => getArenaWinRate(b) - getArenaWinRate(a))
+    .map(([model, entry]) => [
+      escape(model), entry.wins, entry.losses, entry.ties,
+      entry.wins + entry.losses + entry.ties, getArenaWinRate(entry).toFixed(3)
+    ].join(','));
+  return ['model,wins,losses,ties,rounds,win_rate', ...rows].join('\n');
+};
+
+const ARENA_STATUS_LABELS = {
+  streaming: 'Generating…',
+  done: 'Done',
+  stopped: 'Stopped',
+  error: 'Failed'
+};
+
+const ArenaColumn = React.memo(({ column, canVote, onStop, onVote, onPromote }) => {
+  const fileCount = column.parsed?.artifacts.length || 0;
+  const editCount = column.parsed?.edits.length || 0;
+
+  return (
+    <div className={`arena-column ${column.isWinner ? 'winner' : ''}`}>
+      <div className="arena-column-header">
+        <span className="arena-column-model" title={column.model}>{column.model}</span>
+        <span className={`arena-column-status ${column.status}`}>{ARENA_STATUS_LABELS[column.status]}</span>
+        {column.status === 'streaming' && (
+          <button onClick={() => onStop(column.id)} className="arena-column-stop" title="Stop this model" aria-label={`Stop ${column.model}`}>
+            <Square size={12} />
+          </button>
+        )}
+      </div>
+
+      <div className="arena-column-body">
+        {column.thinking && (
+          <ThinkingSection
+            thinking={column.thinking}
+            startedAt={column.startedAt}
+            endedAt={column.thinkingEndedAt}
+            isStreaming={column.status === 'streaming'}
+          />
+        )}
+        {column.error
+          ? <div className="arena-column-error">{column.error}</div>
+          : <div className="arena-column-content">{column.content}</div>}
+      </div>
+
+      <div className="arena-column-footer">
+        {column.stats && <MessageStats stats={column.stats} />}
+        {column.parsed && (fileCount > 0 || editCount > 0) && (
+          <div className="arena-column-parsed">
+            <FileText size={12} /> {fileCount} file{fileCount === 1 ? '' : 's'}, {editCount} edit{editCount === 1 ? '' : 's'}
           </div>
         )}
-        
-        {selectedFile ? (
-          <div className="editor-container">
-            <div className="editor-header">
-              <div className="file-info">
-                <FileCode size={16} />
-                <div className="file-details">
-                  <span className="file-path">{selectedFile.path}</span>
-                  <span className="file-language">{selectedFile.language}</span>
-                </div>
-              </div>
-              
-              <div className="editor-actions">
-                <button 
-                  onClick={() => onSetViewMode(prev => prev === 'editor' ? 'preview' : 'editor')} 
-                  className="icon-button small"
-                  aria-label={viewMode === 'editor' ? 'Switch to preview mode' : 'Switch to edit mode'}
-                >
-                  {viewMode === 'editor' ? <Eye size={14} /> : <EyeOff size={14} />}
-                </button>
-                {isEditing ? (
-                  <>
-                    <button onClick={handleSave} className="icon-button small success" aria-label="Save changes">
-                      <Check size={14} />
-                    </button>
-                    <button onClick={handleCancelEdit} className="icon-button small" aria-label="Cancel edit">
-                      <X size={14} />
-                    </button>
-                  </>
-                ) : (
-                  <button onClick={() => onSetEditing(true)} className="icon-button small" aria-label="Edit file">
-                    <Edit size={14} />
-                  </button>
-                )}
-                <button 
-                  onClick={() => navigator.clipboard.writeText(selectedFile.content)} 
-                  className="icon-button small"
-                  aria-label="Copy file content"
-                >
-                  <Copy size={14} />
-                </button>
-                <button 
-                  onClick={(e) => handleDelete(selectedFile.path, e)} 
-                  className="icon-button small danger"
-                  aria-label="Delete file"
-                >
-                  <Trash2 size={14} />
-                </button>
+        {column.promoted && <div className="arena-column-promoted"><Check size={12} /> {column.promoted}</div>}
+        <div className="arena-column-actions">
+          <button onClick={() => onVote(column.model)} className="action-button secondary" disabled={!canVote}>
+            <Trophy size={14} /> Best
+          </button>
+          <button
+            onClick={() => onPromote(column.id)}
+            className="action-button secondary"
+            disabled={column.status !== 'done' || (fileCount === 0 && editCount === 0) || !!column.promoted}
+            title="Add this answer's files and edits to the project"
+          >
+            <Upload size={14} /> Promote
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * Streams one prompt to several models side by side. Each model gets the project files and
+ * system prompt but not the chat history. Votes feed a per-model tally kept in localStorage.
+ */
+const ArenaPanel = React.memo(({ isOpen, onClose, models, onStream, parseResponse, onPromote }) => {
+  const [selectedModels, setSelectedModels] = useState([]);
+  const [prompt, setPrompt] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [voted, setVoted] = useState(false);
+  const [tally, setTally] = useState(loadArenaTally);
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    const handleEscape = (e) => { if (e.key === 'Escape' && isOpen) onClose(); };
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => document.removeEventListener('keydown', handleEscape);
+    }
+  }, [isOpen, onClose]);
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  const isRunning = columns.some(column => column.status === 'streaming');
+  const canVote = columns.length > 1 && !isRunning && !voted && columns.some(column => column.status === 'done');
+
+  const toggleModel = useCallback((model) => {
+    setSelectedModels(prev => prev.includes(model) ? prev.filter(name => name !== model) : [...prev, model]);
+  }, []);
+
+  const updateColumn = useCallback((columnId, patch) => {
+    setColumns(prev => prev.map(column => column.id === columnId ? { ...column, ...patch } : column));
+  }, []);
+
+  const runColumn = useCallback(async (column, text) => {
+    const controller = new AbortController();
+    controllersRef.current.set(column.id, controller);
+    let content = '';
+    let thinking = '';
+    let stats = null;
+    let thinkingEndedAt = null;
+    let lastUpdate = 0;
+
+    const split = () => {
+      const inline = splitInlineThinking(content);
+      if (!thinkingEndedAt && (thinking || inline.thinking) && inline.content.trim() && !inline.isOpen) thinkingEndedAt = Date.now();
+      return { content: inline.content, thinking: [thinking.trim(), inline.thinking].filter(Boolean).join('\n\n'), thinkingEndedAt };
+    };
+
+    try {
+      await onStream({ model: column.model, prompt: text, signal: controller.signal }, (chunk) => {
+        if (chunk.stats) stats = mergeStreamStats(stats, chunk.stats);
+        if (chunk.thinking) thinking += chunk.thinking;
+        if (chunk.content) content += chunk.content;
+        const now = Date.now();
+        if (now - lastUpdate > ARENA_UPDATE_INTERVAL) {
+          lastUpdate = now;
+          updateColumn(column.id, split());
+        }
+      });
+      const result = split();
+      updateColumn(column.id, { ...result, stats, status: 'done', parsed: parseResponse(result.content, undefined, column.id) });
+    } catch (error) {
+      updateColumn(column.id, {
+        ...split(),
+        stats,
+        status: error.name === 'AbortError' ? 'stopped' : 'error',
+        error: error.name === 'AbortError' ? null : error.message
+      });
+    } finally {
+      controllersRef.current.delete(column.id);
+    }
+  }, [onStream, parseResponse, updateColumn]);
+
+  const startRound = useCallback(() => {
+    const text = prompt.trim();
+    if (!text || selectedModels.length < 2 || isRunning) return;
+    const startedAt = Date.now();
+    const nextColumns = selectedModels.map(model => ({
+      id: generateSafeId('arena'),
+      model,
+      content: '',
+      thinking: '',
+      status: 'streaming',
+      startedAt,
+      stats: null,
+      parsed: null
+    }));
+    setColumns(nextColumns);
+    setVoted(false);
+    nextColumns.forEach(column => runColumn(column, text));
+  }, [prompt, selectedModels, isRunning, runColumn]);
+
+  const stopColumn = useCallback((columnId) => controllersRef.current.get(columnId)?.abort(), []);
+  const stopAll = useCallback(() => controllersRef.current.forEach(controller => controller.abort()), []);
+
+  const vote = useCallback((winner) => {
+    const next = recordArenaVote(tally, columns.map(column => column.model), winner);
+    setTally(next);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.ARENA_TALLY, JSON.stringify(next));
+    setColumns(prev => prev.map(column => ({ ...column, isWinner: column.model === winner })));
+    setVoted(true);
+  }, [tally, columns]);
+
+  const promote = useCallback((columnId) => {
+    const column = columns.find(item => item.id === columnId);
+    if (column?.parsed) updateColumn(columnId, { promoted: onPromote(column.parsed) });
+  }, [columns, onPromote, updateColumn]);
+
+  const exportTally = useCallback(() => {
+    const blob = new Blob([arenaTallyToCsv(tally)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ollama-arena-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, [tally]);
+
+  const resetTally = useCallback(() => {
+    if (!confirm("Reset the arena tally for all models?")) return;
+    setTally({});
+    localStorage.removeItem(APP_CONFIG.STORAGE_KEYS.ARENA_TALLY);
+  }, []);
+
+  const tallyRows = useMemo(
+    () => Object.entries(tally).sort(([, a], [, b]) => getArenaWinRate(b) - getArenaWinRate(a)),
+    [tally]
+  );
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="storage-management-modal arena-modal">
+      <div className="modal-overlay" onClick={onClose}></div>
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Model Arena</h2>
+          <button onClick={onClose} className="modal-close" aria-label="Close model arena">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="storage-content">
+          <div className="arena-models" role="group" aria-label="Models in this round">
+            {models.map(model => (
+              <button
+                key={model}
+                onClick={() => toggleModel(model)}
+                className={`arena-model-chip ${selectedModels.includes(model) ? 'selected' : ''}`}
+                disabled={isRunning}
+                aria-pressed={selectedModels.includes(model)}
+              >
+                {model}
+              </button>
+            ))}
+          </div>
+
+          <div className="arena-prompt">
+            <textarea
+              value={prompt}
+              onChange={(e) => setPrompt(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter' && e.ctrlKey) { e.preventDefault(); startRound(); } }}
+              placeholder="Prompt for every selected model (Ctrl+Enter to run)"
+              rows={3}
+              aria-label="Arena prompt"
+            />
+            {isRunning ? (
+              <button onClick={stopAll} className="action-button secondary">
+                <Square size={14} /> Stop All
+              </button>
+            ) : (
+              <button onClick={startRound} className="action-button primary" disabled={!prompt.trim() || selectedModels.length < 2}>
+                <Play size={14} /> Run {selectedModels.length} Models
+              </button>
+            )}
+          </div>
+          {selectedModels.length < 2 && <p className="generation-options-intro">Pick at least two models.</p>}
+
+          {columns.length > 0 && (
+            <>
+              <div className="arena-columns" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(260px, 1fr))` }}>
+                {columns.map(column => (
+                  <ArenaColumn
+                    key={column.id}
+                    column={column}
+                    canVote={canVote && column.status === 'done'}
+                    onStop={stopColumn}
+                    onVote={vote}
+                    onPromote={promote}
+                  />
+                ))}
               </div>
-            </div>
-            
-            <div className="editor-content">
-              {viewMode === 'editor' ? (
-                <textarea
-                  ref={editorTextareaRef}
-                  value={editorContent}
-                  onChange={handleEditorChange}
-                  onCompositionStart={handleCompositionStart}
-                  onCompositionEnd={handleCompositionEnd}
-                  className="code-editor"
-                  spellCheck="false"
-                  disabled={!isEditing}
-                  aria-label="Code editor"
-                  autoComplete="off"
-                  autoCorrect="off"
-                  autoCapitalize="off"
-                  data-gramm="false"
-                  data-gramm_editor="false"
-                  data-enable-grammarly="false"
-                  suppressHydrationWarning
-                  key={`editor-${selectedFile?.id}-${isEditing ? 'editing' : 'readonly'}`}
-                />
-              ) : (
-                <div className="code-preview">
-                  <SyntaxHighlighter 
-                    language={selectedFile.language} 
-                    style={oneDark} 
-                    showLineNumbers={true} 
-                    wrapLongLines={false}
-                  >
-                    {selectedFile.content}
-                  </SyntaxHighlighter>
+              {canVote && (
+                <div className="arena-tie">
+                  <button onClick={() => vote(null)} className="cleanup-backups-btn secondary">It's a Tie</button>
                 </div>
               )}
+            </>
+          )}
+
+          <div className="arena-tally">
+            <div className="inspector-group-header">
+              <h3>Tally</h3>
+              <div className="backups-header-actions">
+                <button onClick={exportTally} className="cleanup-backups-btn secondary" disabled={tallyRows.length === 0}>
+                  <Download size={14} /> Export CSV
+                </button>
+                <button onClick={resetTally} className="cleanup-backups-btn secondary" disabled={tallyRows.length === 0}>
+                  Reset
+                </button>
+              </div>
             </div>
+            {tallyRows.length === 0 ? (
+              <p className="generation-options-intro">No votes yet.</p>
+            ) : (
+              <table className="arena-tally-table">
+                <thead>
+                  <tr><th>Model</th><th>Wins</th><th>Losses</th><th>Ties</th><th>Win rate</th></tr>
+                </thead>
+                <tbody>
+                  {tallyRows.map(([model, entry]) => (
+                    <tr key={model}>
+                      <td>{model}</td>
+                      <td>{entry.wins}</td>
+                      <td>{entry.losses}</td>
+                      <td>{entry.ties}</td>
+                      <td>{Math.round(getArenaWinRate(entry) * 100)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
-        ) : (
-          <div className="no-file-selected">
-            <FileCode size={48} />
-            <h3>No file selected</h3>
-            <p>Select a file from the sidebar to view or edit its contents</p>
-            <button 
-              onClick={() => onCreateFile()} 
-              className="create-file-button"
-              aria-label="Create new file"
-            >
-              <FilePlus size={16} />Create New File
-            </button>
-          </div>
-        )}
+        </div>
       </div>
-    )
-  ), [
-    isMobile,
-    mobilePanel,
-    currentArtifacts.length,
-    selectedFile,
-    viewMode,
-    isEditing,
-    editorContent,
-    handleSave,
-    handleCancelEdit,
-    handleDelete,
-    handleEditorChange,
-    handleCompositionStart,
-    handleCompositionEnd,
-    onSetMobilePanel,
-    onSetViewMode,
-    onSetEditing,
-    onCreateFile
-  ]);
-
-  return (
-    <div className={`artifact-manager ${isMobile ? 'mobile' : ''}`}>
-      {TreePanel}
-      {EditorPanel}
     </div>
   );
-}, (prevProps, nextProps) => {
+});
+
+// 🎯 CONVERSATION SEARCH
+// The side panel remounts on every app render, so the query box is uncontrolled and only reports
+// back on submit
+const ConversationSearch = React.memo(({ models, model, status, search, titles, onModelChange, onSearch, onRebuild, onOpen }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSearch(String(new FormData(e.currentTarget).get('query') || ''));
+  };
+
   return (
-    prevProps.isMobile === nextProps.isMobile &&
-    prevProps.currentConversationId === nextProps.currentConversationId &&
-    prevProps.currentArtifacts === nextProps.currentArtifacts &&
-    prevProps.selectedFile === nextProps.selectedFile &&
-    prevProps.isEditing === nextProps.isEditing &&
-    prevProps.viewMode === nextProps.viewMode &&
-    prevProps.mobilePanel === nextProps.mobilePanel &&
-    prevProps.searchTerm === nextProps.searchTerm &&
-    prevProps.expandedFolders === nextProps.expandedFolders
+    <div className="conversation-search">
+      <form onSubmit={handleSubmit} className="conversation-search-form" role="search">
+        <Search size={14} />
+        <input
+          name="query"
+          type="search"
+          defaultValue={search.query}
+          placeholder={model ? "Search all conversations…" : "Pick an embedding model to search"}
+          disabled={!model}
+          aria-label="Search conversations"
+        />
+        {search.isSearching && <LoaderCircle size={14} className="tool-step-spinner" />}
+      </form>
+
+      {search.error && <div className="conversation-search-error">{search.error}</div>}
+      {search.results && (search.results.length === 0 ? (
+        <div className="conversation-search-empty">No matches for “{search.query}”</div>
+      ) : (
+        <div className="conversation-search-results">
+          {search.results.map(hit => (
+            <button key={hit.id} onClick={() => onOpen(hit)} className="conversation-search-hit">
+              <div className="conversation-search-hit-header">
+                <span className="conversation-search-hit-title">{titles[hit.conversationId] || 'Conversation'}</span>
+                <span className="conversation-search-hit-score">{Math.round(hit.score * 100)}%</span>
+              </div>
+              <div className="conversation-search-hit-source">
+                {hit.path ? <><FileText size={11} /> {hit.path}</> : hit.role === 'user' ? 'You' : 'Assistant'}
+              </div>
+              <div className="conversation-search-hit-snippet">{hit.snippet}</div>
+            </button>
+          ))}
+        </div>
+      ))}
+
+      <div className="conversation-search-settings">
+        <select value={model} onChange={(e) => onModelChange(e.target.value)} aria-label="Embedding model">
+          <option value="">No embedding model</option>
+          {models.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        {model && (
+          <button onClick={onRebuild} className="cleanup-backups-btn secondary" disabled={status.indexing} title="Embed every conversation again">
+            Rebuild
+          </button>
+        )}
+      </div>
+      {model && (
+        <div className={`conversation-search-status ${status.error ? 'error' : ''}`}>
+          {status.error
+            ? `Indexing failed: ${status.error}`
+            : status.indexing
+              ? `Indexing ${status.indexed}/${status.total}…`
+              : `${status.total} messages and files indexed`}
+        </div>
+      )}
+    </div>
   );
 });
 
@@ -1426,8 +6322,11 @@ export default function App() {
   const [showUnrecommended, setShowUnrecommended] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
   const [isOnline] = useState(navigator.onLine);
-  const [imageFile, setImageFile] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  const [imageAttachments, setImageAttachments] = useState([]);
+  const [imageSettings, setImageSettings] = useState(loadImageSettings);
+  const [parserSettings, setParserSettings] = useState(loadParserSettings);
+  const [zoomedImages, setZoomedImages] = useState(null);
+  const [documentAttachments, setDocumentAttachments] = useState([]);
   const [isDragOver, setIsDragOver] = useState(false);
   const [showSidePanel, setShowSidePanel] = useState(false);
   const [conversations, setConversations] = useState([]);
@@ -1449,21 +6348,66 @@ export default function App() {
   const [searchTerm, setSearchTerm] = useState('');
   const [viewMode, setViewMode] = useState('editor');
   const [fileChangeCounter, setFileChangeCounter] = useState(0);
+  const [generationOptions, setGenerationOptions] = useState(() => normalizeGenerationOptions());
+  const [structuredOutput, setStructuredOutput] = useState(() => normalizeStructuredOutput());
+  const [showStructuredOutput, setShowStructuredOutput] = useState(false);
+  const [showGenerationOptions, setShowGenerationOptions] = useState(false);
+  const [installedModels, setInstalledModels] = useState([]);
+  const [showModelManager, setShowModelManager] = useState(false);
+  const [modelPulls, setModelPulls] = useState({});
+  const [modelDetails, setModelDetails] = useState({});
+  const [loadedModels, setLoadedModels] = useState([]);
+  const [warmingModel, setWarmingModel] = useState(null);
+  const [keepAliveSettings, setKeepAliveSettings] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.KEEP_ALIVE) || '{}');
+    } catch {
+      return {};
+    }
+  });
+  const [warmupOnSelect, setWarmupOnSelect] = useState(() => localStorage.getItem(APP_CONFIG.STORAGE_KEYS.WARMUP_ON_SELECT) === 'true');
+  const [serverProfiles, setServerProfiles] = useState(loadServerProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(() => localStorage.getItem(APP_CONFIG.STORAGE_KEYS.ACTIVE_SERVER_PROFILE) || DEFAULT_SERVER_PROFILE_ID);
+  const [showServerProfiles, setShowServerProfiles] = useState(false);
+  const [toolsEnabled, setToolsEnabled] = useState(() => localStorage.getItem(APP_CONFIG.STORAGE_KEYS.TOOLS_ENABLED) !== 'false');
+  const [thinkEnabled, setThinkEnabled] = useState(() => localStorage.getItem(APP_CONFIG.STORAGE_KEYS.THINK_ENABLED) !== 'false');
+  const [contextSettings, setContextSettings] = useState(loadContextSettings);
+  const [contextExclusions, setContextExclusions] = useState(EMPTY_CONTEXT_EXCLUSIONS);
+  const [showContextInspector, setShowContextInspector] = useState(false);
+  const [showArena, setShowArena] = useState(false);
+  const [searchSettings, setSearchSettings] = useState(loadSearchSettings);
+  const [searchIndexStatus, setSearchIndexStatus] = useState({ indexing: false, indexed: 0, total: 0, error: null });
+  const [conversationSearch, setConversationSearch] = useState({ query: '', results: null, isSearching: false, error: null });
+  const [pinnedMessageId, setPinnedMessageId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
 
   const abortControllerRef = useRef(null);
+  const searchIndexControllerRef = useRef(null);
+  const attachmentUrlsRef = useRef([]);
+  const arenaFileContextRef = useRef(null);
   const messagesEndRef = useRef(null);
   const textareaRef = useRef(null);
   const copyTimeoutRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const fileInputRef = useRef(null);
+  const documentInputRef = useRef(null);
   const scrollTimerRef = useRef(null);
   const loadTimerRef = useRef(null);
   const createMenuRef = useRef(null);
   const folderInputRef = useRef(null);
   const saveTimeoutRef = useRef(null);
   const lastSaveRef = useRef(Date.now());
+  const pullControllersRef = useRef({});
+  const modelDetailsRequestsRef = useRef(new Set());
 
   const currentArtifactsRef = useRef([]);
+
+  const activeProfile = useMemo(
+    () => serverProfiles.find(profile => profile.id === activeProfileId) || serverProfiles[0],
+    [serverProfiles, activeProfileId]
+  );
+  const profileInUseRef = useRef(activeProfile);
+  const canManageModels = getProvider(activeProfile).managesModels;
   
   const currentArtifacts = useMemo(() => {
     const arts = artifacts[currentConversationId] || [];
@@ -1480,14 +6424,12 @@ export default function App() {
     const searchReplaceRegex = /<<<<<<< SEARCH\s*\n([\s\S]*?)\n=======\s*\n([\s\S]*?)\n>>>>>>> REPLACE/g;
     
     let match;
-    let count = 0;
-    while ((match = searchReplaceRegex.exec(content)) !== null && count < 10) {
+    while ((match = searchReplaceRegex.exec(content)) !== null) {
       operations.push({
         search: match[1],
         replace: match[2],
         type: 'search_replace'
       });
-      count++;
     }
     
     return operations;
@@ -1502,8 +6444,6 @@ export default function App() {
     let appliedCount = 0;
     let failedOps = [];
     
-    const limitedOperations = operations.slice(0, 20);
-    
     const normalizeForComparison = (str) => {
       return str.split('\n').map(line => {
         const leadingWhitespace = line.match(/^[\s]*/)[0];
@@ -1512,7 +6452,7 @@ export default function App() {
       });
     };
     
-    const sortedOperations = [...limitedOperations].map((op, index) => ({
+    const sortedOperations = operations.map((op, index) => ({
       ...op,
       originalIndex: index
     }));
@@ -1584,6 +6524,13 @@ export default function App() {
     return { result, appliedCount, failedOps };
   }, []);
 
+  // SEARCH/REPLACE edits, unified diff patches and proposed rewrites share the edit cards and the diff viewer
+  const applyEdit = useCallback((content, edit, skippedHunks = []) => {
+    if (edit.type === 'rewrite') return applyUnifiedPatch(content, buildDiffHunks(content, edit.content), skippedHunks);
+    if (edit.type === 'patch') return applyUnifiedPatch(edit.action === 'create' ? '' : content, edit.hunks, skippedHunks);
+    return applySearchReplace(content, edit.operations);
+  }, [applySearchReplace]);
+
   const calculateSimilarity = useCallback((str1, str2) => {
     if (str1 === str2) return 1;
     
@@ -1605,172 +6552,188 @@ export default function App() {
     return intersection.size / union.size;
   }, []);
 
-  const parseLLMResponse = useCallback((message) => {
-    try {
-      if (!message || typeof message !== 'string') {
-        return { content: '', artifacts: [], edits: [] };
+  /**
+   * Turns closed fenced blocks into files and edits one at a time: block by block as a reply
+   * streams, in one pass once it is done. Each block gives its own cards, with ids from where it
+   * starts in the reply, so a block parsed while streaming and again at the end is the same card.
+   * `scope` (the message id) keeps ids apart between replies.
+   */
+  const createReplyParser = useCallback((maxBlocks, scope) => {
+    const artifacts = [];
+    const edits = [];
+    const removed = [];
+    const skipped = [];
+    let recognized = 0;
+
+    // Blocks past the safety limit stay in the text and are reported instead of parsed
+    const admit = (range, kind, path) => {
+      recognized++;
+      if (recognized > maxBlocks) {
+        skipped.push({ index: recognized, line: range.line, kind, path });
+        return false;
       }
+      removed.push(range);
+      return true;
+    };
 
-      const maxMessageSize = 50000;
-      const limitedMessage = message.length > maxMessageSize 
-        ? message.substring(0, maxMessageSize) + '\n... (truncated for performance)' 
-        : message;
-
-      const artifacts = [];
-      const edits = [];
-      let regularContent = limitedMessage;
-
-      const editBlockRegex = /```(?:edit)?\s*\r?\n([\s\S]*?)```/gi;
-      const editBlocks = [];
-      let editMatch;
-      
-      while ((editMatch = editBlockRegex.exec(limitedMessage)) !== null && editBlocks.length < 5) {
-        editBlocks.push({
-          fullMatch: editMatch[0],
-          content: editMatch[1],
-          index: editMatch.index
+    const addBlock = (block) => {
+      const rawContent = block.raw;
+      const isEditFence = block.info === '' || EDIT_FENCES.includes(block.info);
+
+      // The directives of a block are one edit, so they are reviewed and applied together
+      if (block.info === FILE_OPS_FENCE) {
+        const fileOps = block.body.split('\n').map(parseFileOperation).filter(Boolean);
+        if (fileOps.length === 0) return;
+        const summary = fileOps.map(describeFileOperation).join(', ');
+        if (!admit(block, 'files', summary)) return;
+
+        edits.push({
+          path: summary,
+          fileOps,
+          id: toBlockId('edit', scope, block.start, FILE_OPS_FENCE),
+          type: 'file_ops',
+          timestamp: new Date().toISOString(),
+          rawContent,
+          parsedContent: block.body,
+          applied: false,
+          operationCount: fileOps.length
         });
+        return;
       }
 
-      const editsByFile = new Map();
-      
-      for (const block of editBlocks) {
-        const fileMarkerMatch = block.content.match(/(?:@@@|\/\/\/|#|File:|file:|filename:)\s*(.+)/i);
-        let targetFile = null;
-        let editContent = block.content;
-        
-        if (fileMarkerMatch) {
-          targetFile = validateAndSanitizePath(fileMarkerMatch[1].trim());
-          editContent = block.content.replace(fileMarkerMatch[0], '').trim();
-        } else {
-          const lines = block.content.split('\n');
-          for (let i = 0; i < Math.min(3, lines.length); i++) {
-            const lineMatch = lines[i].match(/(?:@@@|\/\/\/|#|File:|file:|filename:)\s*(.+)/i);
-            if (lineMatch) {
-              targetFile = validateAndSanitizePath(lineMatch[1].trim());
-              editContent = lines.slice(i + 1).join('\n').trim();
-              break;
-            }
-          }
-        }
-        
-        const operations = parseSearchReplace(editContent);
-        
-        if (operations.length > 0) {
-          regularContent = regularContent.replace(block.fullMatch, '');
-          
-          const finalPath = targetFile || 'unknown';
-          
-          if (editsByFile.has(finalPath)) {
-            const existingEdit = editsByFile.get(finalPath);
-            existingEdit.operations.push(...operations);
-            existingEdit.operationCount += operations.length;
+      if (isEditFence && !block.body.includes('<<<<<<< SEARCH') && isUnifiedDiff(block.body)) {
+        const patches = parseUnifiedDiff(block.body);
+        if (patches.length === 0) return;
+        const paths = patches.map(patch => (patch.path ? validateAndSanitizePath(patch.path) : 'unknown'));
+        if (!admit(block, 'patch', paths.join(', '))) return;
+
+        // A diff may list a file twice; its hunks are still one edit
+        const patchesByFile = new Map();
+        patches.forEach((patch, index) => {
+          const finalPath = paths[index];
+          if (patchesByFile.has(finalPath)) {
+            const existingEdit = patchesByFile.get(finalPath);
+            existingEdit.hunks.push(...patch.hunks);
+            existingEdit.operationCount = existingEdit.hunks.length;
           } else {
-            const editGroup = {
+            patchesByFile.set(finalPath, {
               path: finalPath,
-              operations: operations,
-              id: generateSafeId(`edit-${finalPath}`),
-              type: 'search_replace',
+              hunks: [...patch.hunks],
+              action: patch.action,
+              id: toBlockId('edit', scope, block.start, finalPath),
+              type: 'patch',
               timestamp: new Date().toISOString(),
-              rawContent: block.fullMatch,
-              parsedContent: editContent,
+              rawContent,
+              parsedContent: block.body,
               applied: false,
-              operationCount: operations.length
-            };
-            
-            editsByFile.set(finalPath, editGroup);
+              operationCount: patch.hunks.length
+            });
           }
-        }
+        });
+        edits.push(...patchesByFile.values());
+        return;
       }
-      
-      const consolidatedEdits = Array.from(editsByFile.values());
-      edits.push(...consolidatedEdits);
 
-      const filePatterns = [
-        /```(\w+)?\s*\r?\n\s*(?:\/\/|#)\s*(?:filename|file):\s*([^\r\n]+)\r?\n([\s\S]*?)```/gi,
-        /```(\w+)?\s*\r?\n\s*\/\*\s*(?:filename|file):\s*([^\r\n]+?)\s*\*\/\r?\n([\s\S]*?)```/gi,
-        /```(\w+)?\s*\r?\n\s*([a-zA-Z0-9_\-\/\.]+\.\w+)\r?\n([\s\S]*?)```/gi,
-      ];
+      if (isEditFence) {
+        // The file an edit targets is named in one of its first three lines
+        const lines = block.body.split('\n');
+        const markerIndex = lines.slice(0, 3).findIndex(line =>
+          ['edit-marker', 'file-comment', 'inline-file'].includes(tokenizeReplyLine(line).type)
+        );
+        const targetFile = markerIndex === -1 ? null : validateAndSanitizePath(tokenizeReplyLine(lines[markerIndex]).path);
+        const editContent = (markerIndex === -1 ? block.body : lines.slice(markerIndex + 1).join('\n')).trim();
+        const operations = parseSearchReplace(editContent);
 
-      for (const pattern of filePatterns) {
-        let match;
-        pattern.lastIndex = 0;
-        
-        while ((match = pattern.exec(regularContent)) !== null && artifacts.length < 10) {
-          const language = match[1] || 'text';
-          const rawFilePath = match[2].trim();
-          const content = match[3].trim();
-          
-          if (content.includes('<<<<<<< SEARCH') || content.includes('=======') || content.includes('>>>>>>> REPLACE')) {
-            continue;
-          }
-          
-          if (rawFilePath.includes('(') || rawFilePath.includes('{') || rawFilePath.includes('=')) {
-            continue;
-          }
-          
-          const filePath = validateAndSanitizePath(rawFilePath);
-          const detectedLanguage = language === 'text' ? getLanguageFromPath(filePath) : language;
-          
-          const artifact = {
-            path: filePath,
-            content: content,
-            language: detectedLanguage,
-            id: generateSafeId(`artifact-${filePath}`),
-            type: 'file',
-            createdBy: 'ai',
+        if (operations.length > 0) {
+          const finalPath = targetFile || 'unknown';
+          if (!admit(block, 'edit', finalPath)) return;
+
+          edits.push({
+            path: finalPath,
+            operations: operations,
+            id: toBlockId('edit', scope, block.start, finalPath),
+            type: 'search_replace',
             timestamp: new Date().toISOString(),
-            source: 'parsed',
-            lineCount: content.split('\n').length,
-            size: content.length,
-            addedToProject: false
-          };
-          
-          artifacts.push(artifact);
-          regularContent = regularContent.replace(match[0], '');
+            rawContent,
+            parsedContent: editContent,
+            applied: false,
+            operationCount: operations.length
+          });
+          return;
         }
       }
 
-      const inlineFilePatterns = [
-        /File:\s*([^\s]+)\s*\n```(\w+)?\s*\n([\s\S]*?)```/gi,
-        /filename:\s*([^\s]+)\s*\n```(\w+)?\s*\n([\s\S]*?)```/gi,
-        /##\s*FILE:\s*([^\n]+)\s*\n```(\w+)?\s*\n([\s\S]*?)```/gi
-      ];
-      
-      for (const pattern of inlineFilePatterns) {
-        let match;
-        pattern.lastIndex = 0;
-        
-        while ((match = pattern.exec(regularContent)) !== null && artifacts.length < 5) {
-          const rawFilePath = match[1].trim();
-          const language = match[2] || 'text';
-          const content = match[3].trim();
-          
-          if (content.includes('<<<<<<< SEARCH') || content.includes('=======') || content.includes('>>>>>>> REPLACE')) {
-            continue;
-          }
-          
-          const filePath = validateAndSanitizePath(rawFilePath);
-          const detectedLanguage = language === 'text' ? getLanguageFromPath(filePath) : language;
-          
-          const artifact = {
-            path: filePath,
-            content: content,
-            language: detectedLanguage,
-            id: generateSafeId(`artifact-${filePath}`),
-            type: 'file',
-            createdBy: 'ai',
-            timestamp: new Date().toISOString(),
-            source: 'inline',
-            lineCount: content.split('\n').length,
-            size: content.length,
-            addedToProject: false
-          };
-          
-          artifacts.push(artifact);
-          regularContent = regularContent.replace(match[0], '');
+      if (EDIT_FENCES.includes(block.info)) return;
+      if (block.body.includes('<<<<<<< SEARCH') || block.body.includes('=======') || block.body.includes('>>>>>>> REPLACE')) {
+        return;
+      }
+
+      // A file is named by a comment or a bare path on its first line, or by a "File:" line
+      // just above the fence
+      const lines = block.body.split('\n');
+      const firstLine = lines.findIndex(line => line.trim());
+      const header = firstLine === -1 ? null : tokenizeReplyLine(lines[firstLine]);
+      let rawFilePath = null;
+      let content = block.body;
+      let range = block;
+      let source = 'parsed';
+
+      if (header?.type === 'file-comment' || (header?.type === 'text' && BARE_PATH_LINE.test(lines[firstLine]))) {
+        const named = header.type === 'file-comment' ? header.path : lines[firstLine].trim();
+        if (!named.includes('(') && !named.includes('{') && !named.includes('=')) {
+          rawFilePath = named;
+          content = lines.slice(firstLine + 1).join('\n');
         }
       }
+      if (!rawFilePath && block.previous?.token.type === 'inline-file') {
+        rawFilePath = block.previous.token.path;
+        range = { ...block, start: block.previous.start };
+        source = 'inline';
+      }
+      if (!rawFilePath) return;
+
+      const filePath = validateAndSanitizePath(rawFilePath.trim());
+      if (!admit(range, 'file', filePath)) return;
+
+      const trimmedContent = content.trim();
+      const language = block.info || 'text';
+      artifacts.push({
+        path: filePath,
+        content: trimmedContent,
+        language: language === 'text' ? getLanguageFromPath(filePath) : language,
+        id: toBlockId('artifact', scope, block.start, filePath),
+        type: 'file',
+        createdBy: 'ai',
+        timestamp: new Date().toISOString(),
+        source,
+        lineCount: trimmedContent.split('\n').length,
+        size: trimmedContent.length,
+        addedToProject: false
+      });
+    };
+
+    return { addBlock, artifacts, edits, removed, skipped };
+  }, [parseSearchReplace]);
+
+  const parseLLMResponse = useCallback((message, maxBlocks = parserSettings.maxBlocks, scope = 'reply') => {
+    try {
+      if (!message || typeof message !== 'string') {
+        return { content: '', artifacts: [], edits: [] };
+      }
+
+      const parser = createReplyParser(maxBlocks, scope);
+      findFencedBlocks(message).forEach(parser.addBlock);
+      const { artifacts, edits, removed, skipped } = parser;
+
+      // The text around the blocks that became files and edits, stitched together in one go
+      const kept = [];
+      let cursor = 0;
+      removed.forEach(range => {
+        kept.push(message.slice(cursor, range.start));
+        cursor = range.end;
+      });
+      kept.push(message.slice(cursor));
+      let regularContent = kept.join('');
 
       regularContent = regularContent
         .replace(/\n\s*\n\s*\n/g, '\n\n')
@@ -1795,13 +6758,15 @@ export default function App() {
 
       return {
         content: regularContent,
-        artifacts: artifacts.slice(0, 10),
-        edits: edits.slice(0, 5),
+        artifacts,
+        edits,
         instructions: instructions,
         metadata: {
           totalArtifacts: artifacts.length,
           totalEdits: edits.length,
-          parsedAt: new Date().toISOString()
+          parsedAt: new Date().toISOString(),
+          blockLimit: maxBlocks,
+          skipped
         }
       };
     } catch (error) {
@@ -1819,7 +6784,7 @@ export default function App() {
         }
       };
     }
-  }, [parseSearchReplace]);
+  }, [createReplyParser, parserSettings.maxBlocks]);
 
   const saveArtifacts = useCallback((newArtifacts) => {
     try {
@@ -1891,6 +6856,45 @@ export default function App() {
     }
   }, []);
 
+  // Persists conversation-level settings without touching its messages
+  const updateConversationMeta = useCallback((conversationId, patch) => {
+    if (!conversationId) return;
+    try {
+      const savedConversations = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS) || '[]');
+      if (!savedConversations.some(conv => conv.id === conversationId)) return;
+
+      const updatedConversations = savedConversations.map(conv =>
+        conv.id === conversationId ? { ...conv, ...patch } : conv
+      );
+      localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(updatedConversations));
+      setConversations(updatedConversations);
+    } catch (error) {
+      console.error("❌ [SAVE] Error updating conversation:", error);
+    }
+  }, []);
+
+  // 🎯 SERVER PROFILES
+  const switchServerProfile = useCallback((profileId) => {
+    setActiveProfileId(profileId);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.ACTIVE_SERVER_PROFILE, profileId);
+  }, []);
+
+  const handleServerSwitch = useCallback((profileId) => {
+    if (profileId === activeProfileId) return;
+    switchServerProfile(profileId);
+    updateConversationMeta(currentConversationId, { serverProfileId: profileId });
+  }, [activeProfileId, switchServerProfile, updateConversationMeta, currentConversationId]);
+
+  const saveServerProfiles = useCallback((profiles) => {
+    setServerProfiles(profiles);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.SERVER_PROFILES, JSON.stringify(profiles));
+    if (!profiles.some(profile => profile.id === activeProfileId)) {
+      switchServerProfile(profiles[0].id);
+    }
+  }, [activeProfileId, switchServerProfile]);
+
+  const closeServerProfiles = useCallback(() => setShowServerProfiles(false), []);
+
   const saveConversations = useCallback(() => {
     try {
       if (!currentConversationId && messages.length > 0) {
@@ -1901,7 +6905,10 @@ export default function App() {
           messages: [...messages],
           lastUpdated: new Date().toISOString(),
           active: true,
-          artifactCount: currentArtifacts.length
+          artifactCount: currentArtifacts.length,
+          generationOptions,
+          structuredOutput,
+          serverProfileId: activeProfile.id
         };
         
         const savedConversations = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS) || '[]');
@@ -1938,7 +6945,10 @@ export default function App() {
             title: messages.length > 0 
               ? (messages[0]?.content?.substring(0, 50) + (messages[0]?.content?.length > 50 ? '...' : '')) 
               : conv.title || 'New Conversation',
-            artifactCount: currentArtifacts.length
+            artifactCount: currentArtifacts.length,
+            generationOptions,
+            structuredOutput,
+            serverProfileId: activeProfile.id
           };
         }
         return { ...conv, active: false };
@@ -1952,7 +6962,10 @@ export default function App() {
           messages: [...messages],
           lastUpdated: new Date().toISOString(),
           active: true,
-          artifactCount: currentArtifacts.length
+          artifactCount: currentArtifacts.length,
+          generationOptions,
+          structuredOutput,
+          serverProfileId: activeProfile.id
         };
         conversationsWithCurrentUpdated.unshift(newConversation);
       }
@@ -1974,7 +6987,7 @@ export default function App() {
     } catch (error) {
       console.error("❌ [SAVE] Error saving conversations:", error);
     }
-  }, [currentConversationId, messages, conversations, currentArtifacts.length, artifacts, saveArtifacts]);
+  }, [currentConversationId, messages, conversations, currentArtifacts.length, artifacts, saveArtifacts, generationOptions, structuredOutput, activeProfile.id]);
 
   const getStorageInfo = useCallback(() => {
     try {
@@ -2021,8 +7034,6 @@ export default function App() {
   const findTargetFileForEdit = useCallback((artifacts, editPath) => {
     if (!artifacts || artifacts.length === 0) return null;
     
-    const limitedArtifacts = artifacts.slice(0, 50);
-    
     const normalizePath = (path) => {
       if (!path) return '';
       return path.toLowerCase()
@@ -2034,17 +7045,17 @@ export default function App() {
     
     const normalizedEditPath = normalizePath(editPath);
     
-    for (const art of limitedArtifacts) {
+    for (const art of artifacts) {
       if (normalizePath(art.path) === normalizedEditPath) return art;
     }
     
     const editFileName = normalizedEditPath.split('/').pop();
-    for (const art of limitedArtifacts) {
+    for (const art of artifacts) {
       const artFileName = normalizePath(art.path).split('/').pop();
       if (artFileName === editFileName) return art;
     }
     
-    for (const art of limitedArtifacts) {
+    for (const art of artifacts) {
       const normalizedArtPath = normalizePath(art.path);
       if (normalizedArtPath.includes(normalizedEditPath) || 
           normalizedEditPath.includes(normalizedArtPath)) {
@@ -2052,7 +7063,7 @@ export default function App() {
       }
     }
     
-    for (const art of limitedArtifacts) {
+    for (const art of artifacts) {
       if (art.path.toLowerCase().includes(editPath.toLowerCase()) ||
           editPath.toLowerCase().includes(art.path.toLowerCase())) {
         return art;
@@ -2062,7 +7073,9 @@ export default function App() {
     return null;
   }, []);
 
-  const getEnhancedFileContext = useCallback((artifacts, userInput) => {
+  // Without `excerpts` the first files are sent whole (up to a cap); with them only those chunks
+  // are, and the remaining files are listed by name
+  const getEnhancedFileContext = useCallback((artifacts, excerpts = null) => {
     if (!artifacts || artifacts.length === 0) {
       return '\n\nPROJECT CONTEXT: No existing files. Starting fresh project.';
     }
@@ -2082,16 +7095,28 @@ export default function App() {
     contextParts.push('CRITICAL: Make MINIMAL changes - only change what is necessary.');
     contextParts.push('CRITICAL: User may have modified these files since last AI response.');
     
-    const filesToShow = artifacts.slice(0, 15);
+    if (excerpts) {
+      const shown = new Set(excerpts.map(chunk => chunk.path));
+      artifacts.filter(file => shown.has(file.path)).forEach(file => {
+        const latest = { ...file, content: getLatestArtifactContent(file.path) };
+        contextParts.push(formatFileExcerpts(latest, excerpts.filter(chunk => chunk.path === file.path)));
+      });
+      const others = artifacts.filter(file => !shown.has(file.path)).map(file => file.path);
+      if (others.length > 0) {
+        contextParts.push(`Other project files (not shown, ask or use the tools if you need them): ${others.join(', ')}`);
+        contextParts.push('');
+      }
+    }
+
+    const filesToShow = excerpts ? [] : artifacts.slice(0, FILE_CONTEXT_MAX_FILES);
     
     filesToShow.forEach(file => {
       const latestContent = getLatestArtifactContent(file.path);
       const lineCount = latestContent.split('\n').length;
       
-      const maxContentLength = 2000;
       let content = latestContent;
-      if (content.length > maxContentLength) {
-        content = content.substring(0, maxContentLength) + '\n// ... (content truncated for context)';
+      if (content.length > FILE_CONTEXT_MAX_CHARS) {
+        content = content.substring(0, FILE_CONTEXT_MAX_CHARS) + '\n// ... (content truncated for context)';
       }
       
       contextParts.push(`### FILE: ${file.path} (${lineCount} lines, ${file.language})`);
@@ -2101,8 +7126,8 @@ export default function App() {
       contextParts.push('');
     });
 
-    if (artifacts.length > 15) {
-      contextParts.push(`... and ${artifacts.length - 15} more files (truncated for performance)`);
+    if (!excerpts && artifacts.length > FILE_CONTEXT_MAX_FILES) {
+      contextParts.push(`... and ${artifacts.length - FILE_CONTEXT_MAX_FILES} more files (truncated for performance)`);
     }
 
     contextParts.push('## EDITING INSTRUCTIONS:');
@@ -2179,8 +7204,10 @@ export default function App() {
     
     saveArtifacts(updatedArtifacts);
     
-    if (conversations.length > 0) {
-      const updatedConversations = conversations.map(conv => 
+    // Read back from storage so fields saved since the last render aren't overwritten
+    const savedConversations = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS) || '[]');
+    if (savedConversations.length > 0) {
+      const updatedConversations = savedConversations.map(conv => 
         conv.id === currentConversationId 
           ? { ...conv, artifactCount: deduplicated.length, lastUpdated: new Date().toISOString() }
           : conv
@@ -2234,6 +7261,11 @@ export default function App() {
     };
   }, []);
 
+  useEffect(() => {
+    const pullControllers = pullControllersRef.current;
+    return () => Object.values(pullControllers).forEach(controller => controller.abort());
+  }, []);
+
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (createMenuRef.current && !createMenuRef.current.contains(event.target)) {
@@ -2293,24 +7325,19 @@ export default function App() {
   }, [messages.length]);
 
   // 🎯 HEALTH CHECK
-  const checkOllamaHealth = useCallback(async () => {
+  const checkOllamaHealth = useCallback(async (profile = activeProfile) => {
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
-      
-      const response = await fetch(`${APP_CONFIG.OLLAMA_BASE}/api/tags`, {
+      const response = await profileFetch(profile, getProvider(profile).healthPath(profile), {
         method: 'GET',
-        headers: { 'Content-Type': 'application/json' },
-        signal: controller.signal
+        timeout: profile.timeouts?.health || 3000
       });
       
-      clearTimeout(timeoutId);
       return response.ok;
     } catch (error) {
       console.error('Health check failed:', error);
       return false;
     }
-  }, []);
+  }, [activeProfile]);
 
   useEffect(() => {
     const checkConnection = async () => {
@@ -2329,26 +7356,123 @@ export default function App() {
   }, [checkOllamaHealth, ollamaError]);
 
   // 🎯 EVENT HANDLERS
-  const handleImageSelect = useCallback((file) => {
-    if (file && file.type.startsWith('image/')) {
-      if (file.size > APP_CONFIG.LIMITS.MAX_IMAGE_SIZE) {
-        setOllamaError(`Image too large. Max: ${APP_CONFIG.LIMITS.MAX_IMAGE_SIZE / 1024 / 1024}MB`);
-        return;
-      }
-      setImageFile(file);
-      const reader = new FileReader();
-      reader.onload = (e) => setImagePreview(e.target.result);
-      reader.readAsDataURL(file);
+  // Accepts any mix of files from the picker, a drop or the clipboard; non-images are ignored
+  const handleImageSelect = useCallback((files) => {
+    const images = [...files].filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+    const maxMb = APP_CONFIG.LIMITS.MAX_IMAGE_SIZE / 1024 / 1024;
+    const fitting = images.filter(file => file.size <= APP_CONFIG.LIMITS.MAX_IMAGE_SIZE);
+    const room = APP_CONFIG.LIMITS.MAX_IMAGES_PER_MESSAGE - imageAttachments.length;
+    const added = fitting.slice(0, Math.max(0, room));
+
+    if (added.length > 0) {
+      setImageAttachments(prev => [
+        ...prev,
+        ...added.map(file => ({ id: generateSafeId('image'), file, url: URL.createObjectURL(file) }))
+      ]);
+    }
+    const oversized = images.length - fitting.length;
+    if (oversized > 0) {
+      setOllamaError(`${oversized} image${oversized === 1 ? ' is' : 's are'} too large. Max: ${maxMb}MB each`);
+    } else if (added.length < fitting.length) {
+      setOllamaError(`Up to ${APP_CONFIG.LIMITS.MAX_IMAGES_PER_MESSAGE} images per message.`);
+    } else {
       setOllamaError(null);
     }
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  }, [imageAttachments.length]);
+
+  const removeImage = useCallback((imageId) => {
+    setImageAttachments(prev => prev.filter(image => image.id !== imageId));
   }, []);
 
-  const removeImage = useCallback(() => {
-    setImageFile(null);
-    setImagePreview(null);
-    if (fileInputRef.current) fileInputRef.current.value = '';
+  const moveImage = useCallback((from, to) => {
+    setImageAttachments(prev => moveListItem(prev, from, to));
   }, []);
 
+  const handleToggleDownscale = useCallback(() => {
+    const next = { ...imageSettings, downscale: !imageSettings.downscale };
+    setImageSettings(next);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.IMAGE_SETTINGS, JSON.stringify(next));
+  }, [imageSettings]);
+
+  const zoomComposerImage = useCallback((index) => {
+    setZoomedImages({ images: imageAttachments.map(image => image.url), index });
+  }, [imageAttachments]);
+
+  const zoomMessageImage = useCallback((images, index) => setZoomedImages({ images, index }), []);
+  const closeZoomedImages = useCallback(() => setZoomedImages(null), []);
+
+  // Text is extracted right away so the chip shows its size, or why the file can't be used
+  const handleDocumentSelect = useCallback((files) => {
+    const candidates = [...files].filter(file => !file.type.startsWith('image/'));
+    if (documentInputRef.current) documentInputRef.current.value = '';
+    if (candidates.length === 0) return;
+    const supported = candidates.filter(file => getDocumentKind(file));
+    const fitting = supported.filter(file => file.size <= APP_CONFIG.LIMITS.MAX_DOCUMENT_SIZE);
+    const room = APP_CONFIG.LIMITS.MAX_DOCUMENTS_PER_MESSAGE - documentAttachments.length;
+    const added = fitting.slice(0, Math.max(0, room)).map(file => ({
+      id: generateSafeId('doc'),
+      file,
+      name: file.name,
+      kind: getDocumentKind(file),
+      size: file.size,
+      status: 'reading',
+      text: '',
+      chars: 0,
+      error: null
+    }));
+
+    if (supported.length < candidates.length) {
+      setOllamaError(`Unsupported file type: ${candidates.filter(file => !getDocumentKind(file)).map(file => file.name).join(', ')}`);
+    } else if (fitting.length < supported.length) {
+      setOllamaError(`Documents can be up to ${APP_CONFIG.LIMITS.MAX_DOCUMENT_SIZE / 1024 / 1024}MB each.`);
+    } else if (added.length < fitting.length) {
+      setOllamaError(`Up to ${APP_CONFIG.LIMITS.MAX_DOCUMENTS_PER_MESSAGE} documents per message.`);
+    } else {
+      setOllamaError(null);
+    }
+    if (added.length === 0) return;
+
+    setDocumentAttachments(prev => [...prev, ...added]);
+    added.forEach(async (doc) => {
+      let update;
+      try {
+        const text = (await extractDocumentText(doc.file, doc.kind)).replace(/\r\n/g, '\n');
+        update = text.trim()
+          ? { status: 'ready', text, chars: text.length }
+          : { status: 'error', error: 'No text found (scanned PDFs need OCR first)' };
+      } catch (error) {
+        update = { status: 'error', error: `Could not read: ${error.message}` };
+      }
+      setDocumentAttachments(prev => prev.map(item => item.id === doc.id ? { ...item, ...update } : item));
+    });
+  }, [documentAttachments.length]);
+
+  const removeDocument = useCallback((documentId) => {
+    setDocumentAttachments(prev => prev.filter(doc => doc.id !== documentId));
+  }, []);
+
+  // Dropped or pasted files are split between the image and document pipelines
+  const handleAttachFiles = useCallback((files) => {
+    handleImageSelect(files);
+    handleDocumentSelect(files);
+  }, [handleImageSelect, handleDocumentSelect]);
+
+  // Pasted screenshots and files become attachments; pasted text goes into the textarea as usual
+  const handlePaste = useCallback((e) => {
+    if (e.clipboardData.files.length === 0) return;
+    if (!e.clipboardData.getData('text/plain')) e.preventDefault();
+    handleAttachFiles(e.clipboardData.files);
+  }, [handleAttachFiles]);
+
+  // Object URLs of thumbnails that left the composer are released
+  useEffect(() => {
+    const current = new Set(imageAttachments.map(image => image.url));
+    attachmentUrlsRef.current.filter(url => !current.has(url)).forEach(url => URL.revokeObjectURL(url));
+    attachmentUrlsRef.current = [...current];
+  }, [imageAttachments]);
+
   const copyToClipboard = useCallback(async (text, id) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -2362,8 +7486,9 @@ export default function App() {
     if (!confirm("Clear all messages? This cannot be undone.")) return;
     
     setMessages([]);
-    setImageFile(null);
-    setImagePreview(null);
+    setImageAttachments([]);
+    setDocumentAttachments([]);
+    updateConversationMeta(currentConversationId, { branchTree: null, projectSnapshots: null });
     
     if (currentConversationId) {
       const updatedArtifacts = { ...artifacts };
@@ -2371,7 +7496,7 @@ export default function App() {
       setArtifacts(updatedArtifacts);
       saveArtifacts(updatedArtifacts);
     }
-  }, [currentConversationId, artifacts, saveArtifacts]);
+  }, [currentConversationId, artifacts, saveArtifacts, updateConversationMeta]);
 
   const createNewConversation = useCallback(() => {
     const newConversation = {
@@ -2380,7 +7505,9 @@ export default function App() {
       messages: [],
       lastUpdated: new Date().toISOString(),
       active: true,
-      artifactCount: 0
+      artifactCount: 0,
+      generationOptions: normalizeGenerationOptions(),
+      structuredOutput: normalizeStructuredOutput()
     };
     
     const savedConversations = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS) || '[]');
@@ -2398,8 +7525,10 @@ export default function App() {
     setConversations(updatedConversations);
     setCurrentConversationId(newConversation.id);
     setMessages([]);
-    setImageFile(null);
-    setImagePreview(null);
+    setGenerationOptions(newConversation.generationOptions);
+    setStructuredOutput(newConversation.structuredOutput);
+    setImageAttachments([]);
+    setDocumentAttachments([]);
     setShowSidePanel(false);
     setShowArtifacts(false);
     setShowEmptyState(true);
@@ -2428,11 +7557,16 @@ export default function App() {
     
     const conversationMessages = conversation.messages || [];
     setMessages(conversationMessages);
+    setGenerationOptions(normalizeGenerationOptions(conversation.generationOptions));
+    setStructuredOutput(normalizeStructuredOutput(conversation.structuredOutput));
+    if (serverProfiles.some(profile => profile.id === conversation.serverProfileId)) {
+      switchServerProfile(conversation.serverProfileId);
+    }
     
     localStorage.setItem("ollama-chat-history", JSON.stringify(conversationMessages));
     
-    setImageFile(null);
-    setImagePreview(null);
+    setImageAttachments([]);
+    setDocumentAttachments([]);
     setShowSidePanel(false);
     
     const conversationArtifacts = artifacts[conversation.id] || [];
@@ -2446,7 +7580,7 @@ export default function App() {
       setShowArtifacts(false);
       setShowEmptyState(true);
     }
-  }, [conversations, currentConversationId, messages, artifacts, saveConversations]);
+  }, [conversations, currentConversationId, messages, artifacts, saveConversations, serverProfiles, switchServerProfile]);
 
   const deleteConversation = useCallback((conversationId) => {
     if (!confirm("Delete this conversation?")) return;
@@ -2455,8 +7589,8 @@ export default function App() {
     
     if (isDeletingCurrent) {
       setMessages([]);
-      setImageFile(null);
-      setImagePreview(null);
+      setImageAttachments([]);
+      setDocumentAttachments([]);
       setShowEmptyState(true);
     }
     
@@ -2473,6 +7607,11 @@ export default function App() {
       const nextConv = updated[0];
       setCurrentConversationId(nextConv.id);
       setMessages(nextConv.messages || []);
+      setGenerationOptions(normalizeGenerationOptions(nextConv.generationOptions));
+      setStructuredOutput(normalizeStructuredOutput(nextConv.structuredOutput));
+      if (serverProfiles.some(profile => profile.id === nextConv.serverProfileId)) {
+        switchServerProfile(nextConv.serverProfileId);
+      }
       
       const updatedWithActive = updated.map((conv, idx) => ({ 
         ...conv, 
@@ -2489,7 +7628,7 @@ export default function App() {
       localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(updated));
       setConversations(updated);
     }
-  }, [currentConversationId, artifacts, saveArtifacts]);
+  }, [currentConversationId, artifacts, saveArtifacts, serverProfiles, switchServerProfile]);
 
   const clearAllConversations = useCallback(() => {
     if (!confirm("Clear all conversations? This cannot be undone.")) return;
@@ -2501,8 +7640,10 @@ export default function App() {
     setConversations([]);
     setMessages([]);
     setCurrentConversationId(null);
-    setImageFile(null);
-    setImagePreview(null);
+    setGenerationOptions(normalizeGenerationOptions());
+    setStructuredOutput(normalizeStructuredOutput());
+    setImageAttachments([]);
+    setDocumentAttachments([]);
     setShowEmptyState(true);
     
     setArtifacts({});
@@ -2580,18 +7721,21 @@ export default function App() {
     setOllamaError(null);
   
     try {
-      const response = await fetch(`${APP_CONFIG.OLLAMA_BASE}/api/tags`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-  
-      const data = await response.json();
-      if (!data.models || data.models.length === 0) {
+      const installed = await getProvider(activeProfile).listModels(activeProfile);
+      setInstalledModels(installed);
+      // Drop cached capabilities for models that were removed or re-pulled
+      const installedNames = new Set(installed.map(m => m.name));
+      setModelDetails(prev => Object.fromEntries(
+        Object.entries(prev).filter(([name]) => installedNames.has(name))
+      ));
+      if (installed.length === 0) {
         setModels({ cloud: [], nonCloud: [] });
         setSelectedModel("");
         setOllamaError("No models found. Pull a model first.");
         return;
       }
   
-      const modelNames = data.models.map(m => m.name).sort();
+      const modelNames = installed.map(m => m.name).sort();
       const cloudModels = modelNames.filter(n => n.toLowerCase().includes('cloud') || n.includes(':cloud'));
       const nonCloudModels = modelNames.filter(n => !cloudModels.includes(n));
   
@@ -2618,15 +7762,462 @@ export default function App() {
       }
       setOllamaError("Cannot connect to Ollama. Make sure it's running.");
       setModels({ cloud: [], nonCloud: [] });
+      setInstalledModels([]);
       setSelectedModel("");
     } finally {
       setIsLoadingModels(false);
     }
-  }, [retryCount]);
+  }, [retryCount, activeProfile]);
+
+  // Another server has other models, so the model list and capabilities start over
+  useEffect(() => {
+    if (profileInUseRef.current === activeProfile) return;
+    profileInUseRef.current = activeProfile;
+    setModelDetails({});
+    setRetryCount(0);
+    if (!getProvider(activeProfile).managesModels) setShowModelManager(false);
+    fetchModels();
+  }, [activeProfile, fetchModels]);
+
+  const fetchModelDetails = useCallback(async (modelName) => {
+    if (!modelName || modelDetailsRequestsRef.current.has(modelName)) return;
+    // Only Ollama reports capabilities; elsewhere every feature is left enabled
+    if (!getProvider(activeProfile).managesModels) return;
+    modelDetailsRequestsRef.current.add(modelName);
+
+    try {
+      const res = await profileFetch(activeProfile, '/api/show', {
+        method: "POST",
+        body: JSON.stringify({ model: modelName }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      const data = await res.json();
+      setModelDetails(prev => ({ ...prev, [modelName]: parseModelDetails(data) }));
+    } catch (err) {
+      console.warn(`Could not load details for ${modelName}:`, err);
+    } finally {
+      modelDetailsRequestsRef.current.delete(modelName);
+    }
+  }, [activeProfile]);
+
+  useEffect(() => {
+    if (selectedModel && !modelDetails[selectedModel]) {
+      fetchModelDetails(selectedModel);
+    }
+  }, [selectedModel, modelDetails, fetchModelDetails]);
+
+  const selectedModelDetails = modelDetails[selectedModel] || null;
+  const imageUnsupported = imageAttachments.length > 0 && !hasCapability(selectedModelDetails, 'vision');
+  const toolsSupported = hasCapability(selectedModelDetails, 'tools');
+  const thinkingSupported = !!selectedModelDetails?.capabilities.includes('thinking');
+
+  // 🎯 MODEL MANAGEMENT
+  const updatePull = useCallback((name, updater) => {
+    setModelPulls(prev => {
+      const current = prev[name] || { name, status: 'pulling', message: '', layers: {}, error: null };
+      return { ...prev, [name]: { ...current, ...updater(current) } };
+    });
+  }, []);
+
+  const pullModel = useCallback(async (name) => {
+    if (!name || pullControllersRef.current[name]) return;
+
+    const controller = new AbortController();
+    pullControllersRef.current[name] = controller;
+    updatePull(name, () => ({ status: 'pulling', message: 'Starting download...', error: null }));
+
+    try {
+      const res = await profileFetch(activeProfile, '/api/pull', {
+        method: "POST",
+        body: JSON.stringify({ model: name, stream: true }),
+        signal: controller.signal,
+      });
+
+      if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`HTTP ${res.status}: ${errorText}`);
+      }
+      if (!res.body) throw new Error("Streaming not supported");
+
+      await readNDJSON(res.body, (json) => {
+        updatePull(name, (current) => {
+          if (!json.digest) return { message: json.status || current.message };
+          const previousLayer = current.layers[json.digest] || {};
+          return {
+            message: json.status || current.message,
+            layers: {
+              ...current.layers,
+              [json.digest]: {
+                total: json.total ?? previousLayer.total ?? 0,
+                completed: json.completed ?? previousLayer.completed ?? 0
+              }
+            }
+          };
+        });
+      });
+
+      updatePull(name, () => ({ status: 'success', message: 'Download complete' }));
+      fetchModels();
+    } catch (err) {
+      if (err.name === "AbortError") {
+        updatePull(name, () => ({ status: 'cancelled', message: 'Cancelled' }));
+      } else {
+        console.error("❌ Pull error:", err);
+        updatePull(name, () => ({ status: 'error', error: err.message }));
+      }
+    } finally {
+      delete pullControllersRef.current[name];
+    }
+  }, [activeProfile, updatePull, fetchModels]);
+
+  const cancelPull = useCallback((name) => {
+    pullControllersRef.current[name]?.abort();
+  }, []);
+
+  const dismissPull = useCallback((name) => {
+    setModelPulls(prev => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+  }, []);
+
+  const deleteModel = useCallback(async (name) => {
+    if (!confirm(`Delete model "${name}"?\n\nThis removes it from disk. You can pull it again later.`)) return;
+
+    try {
+      const res = await profileFetch(activeProfile, '/api/delete', {
+        method: "DELETE",
+        body: JSON.stringify({ model: name }),
+      });
+      if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`HTTP ${res.status}: ${errorText}`);
+      }
+    } catch (err) {
+      console.error("❌ Delete model error:", err);
+      alert(`Failed to delete ${name}: ${err.message}`);
+    } finally {
+      fetchModels();
+    }
+  }, [activeProfile, fetchModels]);
+
+  const copyModel = useCallback(async (source, destination) => {
+    try {
+      const res = await profileFetch(activeProfile, '/api/copy', {
+        method: "POST",
+        body: JSON.stringify({ source, destination }),
+      });
+      if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`HTTP ${res.status}: ${errorText}`);
+      }
+    } catch (err) {
+      console.error("❌ Copy model error:", err);
+      alert(`Failed to copy ${source}: ${err.message}`);
+    } finally {
+      fetchModels();
+    }
+  }, [activeProfile, fetchModels]);
+
+  const refreshModels = useCallback(() => fetchModels(), [fetchModels]);
+
+  // 🎯 LOADED MODELS
+  const fetchLoadedModels = useCallback(async () => {
+    if (!getProvider(activeProfile).managesModels) {
+      setLoadedModels([]);
+      return;
+    }
+    try {
+      const res = await profileFetch(activeProfile, '/api/ps');
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setLoadedModels(data.models || []);
+    } catch (err) {
+      console.warn("Could not list loaded models:", err);
+      setLoadedModels([]);
+    }
+  }, [activeProfile]);
+
+  useEffect(() => {
+    fetchLoadedModels();
+    const interval = setInterval(fetchLoadedModels, 15000);
+    return () => clearInterval(interval);
+  }, [fetchLoadedModels]);
+
+  // A generate request without a prompt only loads (or, with keep_alive 0, unloads) the model
+  const sendKeepAliveRequest = useCallback(async (modelName, keepAlive) => {
+    const res = await profileFetch(activeProfile, '/api/generate', {
+      method: "POST",
+      body: JSON.stringify({ model: modelName, keep_alive: keepAlive }),
+    });
+    if (!res.ok) {
+      const errorText = await res.text();
+      throw new Error(`HTTP ${res.status}: ${errorText}`);
+    }
+  }, [activeProfile]);
+
+  const unloadModel = useCallback(async (modelName) => {
+    try {
+      await sendKeepAliveRequest(modelName, 0);
+    } catch (err) {
+      console.error("❌ Unload error:", err);
+      alert(`Failed to unload ${modelName}: ${err.message}`);
+    } finally {
+      fetchLoadedModels();
+    }
+  }, [sendKeepAliveRequest, fetchLoadedModels]);
+
+  const warmUpModel = useCallback(async (modelName) => {
+    if (!getProvider(activeProfile).managesModels) return;
+    setWarmingModel(modelName);
+    try {
+      await sendKeepAliveRequest(modelName, toKeepAliveParam(keepAliveSettings[modelName]));
+    } catch (err) {
+      console.warn(`Warm-up of ${modelName} failed:`, err);
+    } finally {
+      setWarmingModel(current => current === modelName ? null : current);
+      fetchLoadedModels();
+    }
+  }, [activeProfile, sendKeepAliveRequest, keepAliveSettings, fetchLoadedModels]);
+
+  const handleKeepAliveChange = useCallback((modelName, value) => {
+    setKeepAliveSettings(prev => {
+      const next = { ...prev };
+      if (value) next[modelName] = value;
+      else delete next[modelName];
+      localStorage.setItem(APP_CONFIG.STORAGE_KEYS.KEEP_ALIVE, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const handleToggleWarmup = useCallback((enabled) => {
+    setWarmupOnSelect(enabled);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.WARMUP_ON_SELECT, enabled.toString());
+  }, []);
+
+  const handleToggleThink = useCallback(() => {
+    const enabled = !thinkEnabled;
+    setThinkEnabled(enabled);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.THINK_ENABLED, enabled.toString());
+  }, [thinkEnabled]);
+
+  const handleToggleTools = useCallback(() => {
+    const enabled = !toolsEnabled;
+    setToolsEnabled(enabled);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.TOOLS_ENABLED, enabled.toString());
+  }, [toolsEnabled]);
+
+  const handleModelSelect = useCallback((modelName) => {
+    setSelectedModel(modelName);
+    saveSelectedModel(modelName);
+    if (warmupOnSelect && !loadedModels.some(m => m.name === modelName)) {
+      warmUpModel(modelName);
+    }
+  }, [saveSelectedModel, warmupOnSelect, loadedModels, warmUpModel]);
+
+  const selectedModelLoadState = warmingModel === selectedModel
+    ? 'warming'
+    : loadedModels.some(m => m.name === selectedModel) ? 'loaded' : 'cold';
+
+  const closeModelManager = useCallback(() => setShowModelManager(false), []);
+
+  // Builds the project files section for one prompt. Projects within the file budget go whole;
+  // larger ones are chunked and ranked against `query`, by embeddings when a search model is set.
+  // Returns the section text and a record of the excerpts for the reply.
+  const retrieveFileContext = useCallback(async (query, signal) => {
+    const files = currentArtifactsRef.current;
+    const budget = contextSettings.fileBudget;
+    if (files.length === 0 || !contextSettings.retrieval) {
+      return { fileContext: getEnhancedFileContext(files), retrieval: null };
+    }
+
+    const chunks = files.flatMap(chunkProjectFile);
+    const finish = (method, excerpts, model = null) => ({
+      fileContext: getEnhancedFileContext(files, excerpts),
+      retrieval: toRetrievalRecord({ method, model, budget, chunks, excerpts })
+    });
+    if (chunks.reduce((sum, chunk) => sum + chunk.tokens, 0) <= budget) return finish('all', chunks);
+    if (!query.trim()) return finish('order', selectChunksWithinBudget(chunks, budget));
+
+    const model = searchSettings.model;
+    const byKeywords = () => finish('keywords', selectChunksWithinBudget(chunks, budget, scoreChunksByKeywords(chunks, query)));
+    if (!model) return byKeywords();
+
+    try {
+      const provider = getProvider(activeProfile);
+      const inputs = chunks.map(toChunkEmbeddingInput);
+      const keys = inputs.map(text => `${model}:${hashText(text)}`);
+      const vectors = await readChunkVectors(keys);
+      const missing = keys.flatMap((key, index) => vectors.has(key) ? [] : [index]);
+
+      for (let i = 0; i < missing.length; i += SEARCH_EMBED_BATCH) {
+        const batch = missing.slice(i, i + SEARCH_EMBED_BATCH);
+        const embeddings = await provider.embed(activeProfile, { model, input: batch.map(index => inputs[index]), signal });
+        if (embeddings.length !== batch.length) throw new Error(`${model} returned ${embeddings.length} embeddings for ${batch.length} inputs`);
+        const records = batch.map((index, position) => ({ key: keys[index], vector: Float32Array.from(embeddings[position]) }));
+        await writeChunkVectors(records);
+        records.forEach(record => vectors.set(record.key, record.vector));
+      }
+
+      const [queryVector] = await provider.embed(activeProfile, { model, input: [query], signal });
+      if (!queryVector) throw new Error(`${model} returned no embedding`);
+      const scores = new Map(chunks.map((chunk, index) => [chunk.id, cosineSimilarity(vectors.get(keys[index]), queryVector)]));
+      return finish('embeddings', selectChunksWithinBudget(chunks, budget, scores), model);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn("⚠️ Embedding project files failed, ranking by keywords instead:", error);
+      return byKeywords();
+    }
+  }, [contextSettings, searchSettings.model, activeProfile, getEnhancedFileContext]);
+
+  // Retrieval for a turn that is already on screen: the reply shows a status meanwhile and keeps
+  // the record of which excerpts it was given
+  const prepareFileContext = useCallback(async (assistantMessageId, query, exclusions, signal) => {
+    if (exclusions.sections.includes('files')) return '';
+    const updateTurn = (patch) => setMessages(prev => prev.map(m => m.id === assistantMessageId ? { ...m, ...patch } : m));
+    if (currentArtifactsRef.current.length > 0) updateTurn({ statusText: "Finding relevant project files…" });
+    const { fileContext, retrieval } = await retrieveFileContext(query, signal);
+    updateTurn({ statusText: null, retrieval });
+    return fileContext;
+  }, [retrieveFileContext]);
+
+  // 🎯 CONTEXT WINDOW
+  const currentConversation = useMemo(
+    () => conversations.find(conv => conv.id === currentConversationId) || null,
+    [conversations, currentConversationId]
+  );
+  const contextSummary = currentConversation?.contextSummary || null;
+  const branchTree = currentConversation?.branchTree || null;
+  const projectSnapshots = currentConversation?.projectSnapshots || null;
+
+  // Which excerpts a message gets depends on the message, so the preview fills the file budget in
+  // file order; the estimate is right even if the excerpts differ
+  const promptSections = useMemo(() => {
+    const chunks = contextSettings.retrieval ? currentArtifacts.flatMap(chunkProjectFile) : null;
+    return buildPromptSections({
+      tools: toolsEnabled && toolsSupported,
+      fileContext: chunks && currentArtifacts.length > 0
+        ? getEnhancedFileContext(currentArtifacts, selectChunksWithinBudget(chunks, contextSettings.fileBudget))
+        : getEnhancedFileContext(currentArtifacts),
+      customPrompt: systemPrompt,
+      fileNotes: chunks ? describeRetrieval(chunks, contextSettings.fileBudget) : describeFileContextTruncation(currentArtifacts)
+    });
+  }, [toolsEnabled, toolsSupported, getEnhancedFileContext, currentArtifacts, systemPrompt, contextSettings.retrieval, contextSettings.fileBudget]);
+
+  const historyMessages = useMemo(() => messages.filter(m => !m.isStreaming), [messages]);
+  const composerTokens = estimateMessageTokens({
+    content: input,
+    images: imageAttachments,
+    attachments: documentAttachments.filter(doc => doc.status === 'ready')
+  });
+
+  // What the next request would send, shown on the messages, in the side panel and the inspector
+  const { contextPlan, requestEstimate } = useMemo(() => {
+    const requestOptions = buildOllamaOptions(generationOptions, selectedModelDetails);
+    const systemTokens = estimateTokens(composeSystemPrompt(promptSections, contextExclusions.sections));
+    const budget = getHistoryBudget({
+      settings: contextSettings,
+      contextSize: requestOptions.num_ctx,
+      systemTokens,
+      inputTokens: composerTokens,
+      numPredict: requestOptions.num_predict
+    });
+    const plan = planContextWindow(
+      historyMessages.filter(m => !contextExclusions.messages.includes(m.id)),
+      budget,
+      contextSummary,
+      contextSettings.summarize
+    );
+    contextExclusions.messages.forEach(id => { plan.states[id] = 'excluded'; });
+
+    return {
+      contextPlan: plan,
+      requestEstimate: {
+        systemTokens,
+        historyTokens: plan.usedTokens,
+        inputTokens: composerTokens,
+        total: systemTokens + plan.usedTokens + composerTokens,
+        contextSize: requestOptions.num_ctx || DEFAULT_CONTEXT_SIZE
+      }
+    };
+  }, [historyMessages, generationOptions, selectedModelDetails, contextSettings, promptSections, composerTokens, contextSummary, contextExclusions]);
+
+  const inspectorSections = useMemo(
+    () => withSummarySection(promptSections, contextPlan.summary),
+    [promptSections, contextPlan.summary]
+  );
+
+  const toggleExcludedSection = useCallback((sectionId) => {
+    setContextExclusions(prev => ({
+      ...prev,
+      sections: prev.sections.includes(sectionId)
+        ? prev.sections.filter(id => id !== sectionId)
+        : [...prev.sections, sectionId]
+    }));
+  }, []);
+
+  const toggleExcludedMessage = useCallback((messageId) => {
+    setContextExclusions(prev => ({
+      ...prev,
+      messages: prev.messages.includes(messageId)
+        ? prev.messages.filter(id => id !== messageId)
+        : [...prev.messages, messageId]
+    }));
+  }, []);
+
+  const resetContextExclusions = useCallback(() => setContextExclusions(EMPTY_CONTEXT_EXCLUSIONS), []);
+  const closeContextInspector = useCallback(() => setShowContextInspector(false), []);
+  const closeArena = useCallback(() => setShowArena(false), []);
+
+  const handleContextSettingsChange = useCallback((patch) => {
+    const next = { ...contextSettings, ...patch };
+    setContextSettings(next);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONTEXT_SETTINGS, JSON.stringify(next));
+  }, [contextSettings]);
+
+  const handleParserSettingsChange = useCallback((patch) => {
+    const next = { ...parserSettings, ...patch };
+    setParserSettings(next);
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.PARSER_SETTINGS, JSON.stringify(next));
+  }, [parserSettings]);
+
+  const handleResetContextSummary = useCallback(() => {
+    updateConversationMeta(currentConversationId, { contextSummary: null });
+  }, [updateConversationMeta, currentConversationId]);
+
+  // Folds `pendingMessages` into the running summary with the current model
+  const summarizeHistory = useCallback(async (previousSummary, pendingMessages, { contextSize, signal }) => {
+    const size = contextSize || DEFAULT_CONTEXT_SIZE;
+    const maxChars = Math.max(2000, (size - 1024) * CHARS_PER_TOKEN);
+    let transcript = buildSummaryTranscript(pendingMessages.map(withoutThinking));
+    if (transcript.length > maxChars) transcript = transcript.slice(-maxChars);
+
+    const prompt = [
+      previousSummary?.text && `Current summary:\n${previousSummary.text}`,
+      `Messages to fold into the summary:\n${transcript}`
+    ].filter(Boolean).join('\n\n');
+
+    let summary = "";
+    await getProvider(activeProfile).streamChat(activeProfile, {
+      model: selectedModel,
+      messages: [
+        { role: "system", content: CONTEXT_SUMMARY_PROMPT },
+        { role: "user", content: prompt }
+      ],
+      options: { temperature: 0.2, ...(contextSize && { num_ctx: contextSize }) },
+      keepAlive: toKeepAliveParam(keepAliveSettings[selectedModel]),
+      think: selectedModelDetails?.capabilities.includes('thinking') ? false : undefined,
+      signal
+    }, (chunk) => {
+      if (chunk.content) summary += chunk.content;
+    });
 
-  const getCurrentFileContext = useCallback(() => {
-    return getEnhancedFileContext(currentArtifactsRef.current, input);
-  }, [getEnhancedFileContext, input]);
+    const text = splitInlineThinking(summary).content.trim();
+    if (!text) throw new Error("The model returned an empty summary");
+    return text;
+  }, [activeProfile, selectedModel, selectedModelDetails, keepAliveSettings]);
 
   const handleCreateNewFile = useCallback((folderPath = '') => {
     const defaultExtensions = {
@@ -2711,7 +8302,9 @@ if __name__ == "__main__":
         messages: [],
         lastUpdated: new Date().toISOString(),
         active: true,
-        artifactCount: 1
+        artifactCount: 1,
+        generationOptions,
+        structuredOutput
       };
       
       const savedConversations = JSON.parse(localStorage.getItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS) || '[]');
@@ -2747,7 +8340,7 @@ if __name__ == "__main__":
     setShowEmptyState(false);
     setShowArtifacts(true);
     setShowCreateMenu(false);
-  }, [currentConversationId, currentArtifacts, artifacts, saveArtifacts, isMobile]);
+  }, [currentConversationId, currentArtifacts, artifacts, saveArtifacts, isMobile, generationOptions, structuredOutput]);
 
   const handleCreateNewFolder = useCallback((parentPath = '') => {
     if (!newFolderName.trim()) {
@@ -2795,29 +8388,6 @@ if __name__ == "__main__":
     setShowEmptyState(false);
   }, [currentArtifacts, currentConversationId, artifacts, saveArtifacts, newFolderName]);
 
-const retryMessage = useCallback(async (messageId) => {
-  const messageToRetry = messages.find(m => m.id === messageId);
-  if (!messageToRetry || messageToRetry.role !== 'user') return;
-  
-  // Remove the failed assistant response if exists
-  const messageIndex = messages.findIndex(m => m.id === messageId);
-  if (messageIndex < messages.length - 1) {
-    const nextMessage = messages[messageIndex + 1];
-    if (nextMessage.role === 'assistant' && (nextMessage.isError || nextMessage.content.includes('Error'))) {
-      setMessages(prev => prev.filter((_, idx) => idx !== messageIndex + 1));
-    }
-  }
-  
-  // Set input and send
-  setInput(messageToRetry.content);
-  
-  // Use a small delay to ensure state updates, then manually trigger send
-  setTimeout(() => {
-    // Instead of calling sendMessage directly, we'll handle this differently
-    // by triggering the send action through state or ref
-  }, 100);
-}, [messages]); // ✅ Remove sendMessage from dependencies
-
   // 🎯 INITIAL LOAD
   useEffect(() => {
     if (loadTimerRef.current) clearTimeout(loadTimerRef.current);
@@ -2858,70 +8428,390 @@ const retryMessage = useCallback(async (messageId) => {
             artifactCount: 0
           };
           
-          loadedConversations = [defaultConversation];
-          loadedArtifacts[newConvId] = [];
+          loadedConversations = [defaultConversation];
+          loadedArtifacts[newConvId] = [];
+          
+          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(loadedConversations));
+          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.ARTIFACTS, JSON.stringify(loadedArtifacts));
+        }
+        
+        const activeConv = loadedConversations.find(c => c.active) || loadedConversations[0];
+        const activeConvId = activeConv?.id;
+        
+        setConversations(loadedConversations);
+        setArtifacts(loadedArtifacts);
+        setCurrentConversationId(activeConvId);
+        
+        if (activeConv && activeConv.messages) {
+          setMessages(activeConv.messages);
+        }
+        setGenerationOptions(normalizeGenerationOptions(activeConv?.generationOptions));
+        setStructuredOutput(normalizeStructuredOutput(activeConv?.structuredOutput));
+        
+        const savedPrompt = localStorage.getItem("ollama-additional-system-prompt");
+        if (savedPrompt) setSystemPrompt(savedPrompt);
+        
+        const savedModel = localStorage.getItem("ollama-selected-model");
+        if (savedModel) setSelectedModel(savedModel);
+        
+        const conversationArtifacts = loadedArtifacts[activeConvId] || [];
+        if (conversationArtifacts.length > 0) {
+          const savedPreference = localStorage.getItem(APP_CONFIG.STORAGE_KEYS.SHOW_ARTIFACTS);
+          const shouldShow = savedPreference === null ? true : savedPreference === 'true';
+          setShowArtifacts(shouldShow);
+          setShowEmptyState(false);
+        } else {
+          setShowArtifacts(false);
+          setShowEmptyState(true);
+        }
+        
+        setInitialLoadComplete(true);
+        
+      } catch (error) {
+        console.error("❌ [LOAD] Initial load error:", error);
+        createNewConversation();
+        setInitialLoadComplete(true);
+      }
+    }, 50);
+    
+    return () => {
+      if (loadTimerRef.current) clearTimeout(loadTimerRef.current);
+    };
+  }, []);
+
+  // 🎯 FETCH MODELS ON MOUNT
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchModels();
+    }, 200);
+    
+    return () => clearTimeout(timer);
+  }, []);
+  
+  // Streams one assistant turn into `assistantMessageId`: tool rounds, live updates, then parsing
+  // and artifacts once the answer is complete. With `previous` the new tokens continue that
+  // message instead of replacing it.
+  const streamAssistantTurn = useCallback(async ({
+    assistantMessageId,
+    model,
+    apiMessages: initialMessages,
+    requestOptions,
+    tools,
+    think,
+    format,
+    outputSchema,
+    structured,
+    signal,
+    previous = null,
+    ownedPaths = new Set()
+  }) => {
+    let fullContent = "";
+    let fieldThinking = "";
+    let thinkingStartedAt = previous?.thinkingStartedAt ?? null;
+    let thinkingEndedAt = previous?.thinkingEndedAt ?? null;
+    let streamStats = previous?.stats ?? null;
+    let lastUpdateTime = Date.now();
+    const UPDATE_INTERVAL = 50; // Increased for better reliability
+
+    // Reasoning arrives either in its own field or inline in <think> tags; the answer is what's left
+    const splitReasoning = (content) => {
+      const inline = splitInlineThinking(content);
+      const thinking = [previous?.thinking, fieldThinking.trim(), inline.thinking].filter(Boolean).join('\n\n');
+      if (thinking && !thinkingStartedAt) thinkingStartedAt = Date.now();
+      if (thinkingStartedAt && !thinkingEndedAt && !inline.isOpen && inline.content.trim()) thinkingEndedAt = Date.now();
+      // A continuation is appended to the answer that was already there
+      return { content: previous ? joinContinuation(previous.content, inline.content) : inline.content, thinking };
+    };
+
+    // A limit raised for this reply alone still holds when it is continued
+    const blockLimit = Math.max(parserSettings.maxBlocks, previous?.parsedResponse?.metadata?.blockLimit || 0);
+    // Structured replies are data, so only free-form ones get cards while streaming. Cards get the
+    // same ids as in the final parse, so what is applied while streaming stays applied
+    const liveParser = structured ? null : createStreamingParser(() => createReplyParser(blockLimit, assistantMessageId));
+
+    const updateMessageContent = (content) => {
+      const reasoning = splitReasoning(content);
+      const liveParse = liveParser ? liveParser.push(reasoning.content) : null;
+      // Use functional update to ensure we're working with latest state
+      setMessages(prev => prev.map(m => 
+        m.id === assistantMessageId ? { 
+          ...m, 
+          content: reasoning.content,
+          thinking: reasoning.thinking,
+          thinkingStartedAt,
+          thinkingEndedAt,
+          liveParse: carryOverParseState(m.liveParse || previous?.parsedResponse || null, liveParse),
+          isStreaming: true  // Keep streaming flag true while receiving
+        } : m
+      ));
+    };
+
+    const updateToolSteps = (steps) => {
+      setMessages(prev => prev.map(m => 
+        m.id === assistantMessageId ? { ...m, toolSteps: steps } : m
+      ));
+    };
+
+    try {
+      // Tools work on a running copy so several calls in one turn see each other's changes.
+      // Read from the ref: switching branches may have replaced the files since this was created
+      let projectFiles = currentArtifactsRef.current;
+      const project = {
+        getFiles: () => projectFiles,
+        setFiles: (files) => {
+          projectFiles = files;
+          handleArtifactUpdate(files);
+        },
+        applySearchReplace
+      };
+      let toolSteps = previous?.toolSteps || [];
+      let apiMessages = initialMessages;
+
+      // Force initial render
+      updateMessageContent("");
+
+      for (let round = 0; ; round++) {
+        let roundContent = "";
+        const roundToolCalls = [];
+        const lastRound = round >= APP_CONFIG.LIMITS.MAX_TOOL_ROUNDS;
+
+        await getProvider(activeProfile).streamChat(activeProfile, {
+          model,
+          messages: apiMessages,
+          options: requestOptions,
+          keepAlive: toKeepAliveParam(keepAliveSettings[model]),
+          // The last round goes without tools so the model has to answer
+          tools: lastRound ? undefined : tools,
+          format,
+          think,
+          signal
+        }, async (chunk) => {
+          if (chunk.stats) streamStats = mergeStreamStats(streamStats, chunk.stats);
+          if (chunk.toolCalls?.length) roundToolCalls.push(...chunk.toolCalls);
+          if (chunk.thinking) fieldThinking += chunk.thinking;
+          if (!chunk.content && !chunk.thinking) return;
+          if (chunk.content) {
+            if (!roundContent && fullContent) fullContent += "\n\n";
+            roundContent += chunk.content;
+            fullContent += chunk.content;
+          }
+          
+          const now = Date.now();
+          // Update more aggressively for immediate feedback
+          if (now - lastUpdateTime > UPDATE_INTERVAL || fullContent.length % 2 === 0) {
+            updateMessageContent(fullContent);
+            lastUpdateTime = now;
+          }
+          
+          // Force a re-render periodically
+          if (fullContent.length % 10 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+        });
+
+        // Tool calls a server sends back in the last round anyway are not run
+        if (roundToolCalls.length === 0 || lastRound) break;
+
+        apiMessages = [...apiMessages, { role: "assistant", content: splitInlineThinking(roundContent).content, toolCalls: roundToolCalls }];
+        for (const call of roundToolCalls) {
+          toolSteps = [...toolSteps, { id: call.id, name: call.name, arguments: call.arguments, status: 'running', result: null }];
+          updateToolSteps(toolSteps);
+
+          const { ok, output } = await runProjectTool(call, project);
+          const result = JSON.stringify(output, null, 2);
+          toolSteps = toolSteps.map(step => step.id === call.id ? { ...step, status: ok ? 'done' : 'error', result } : step);
+          updateToolSteps(toolSteps);
+
+          apiMessages = [...apiMessages, { role: "tool", content: result, toolCallId: call.id, toolName: call.name }];
+        }
+      }
+      console.log("✅ Stream completed normally");
+
+      // Files may have been added or edited while the reply streamed, so new files are merged into
+      // the project as it is now rather than as the turn found it
+      projectFiles = currentArtifactsRef.current;
+
+      // Final update with complete content
+      updateMessageContent(fullContent);
+
+      // Reasoning never reaches the parser, so drafts inside it can't become files or edits
+      const { content: answerContent, thinking } = splitReasoning(fullContent);
+      if (thinkingStartedAt && !thinkingEndedAt) thinkingEndedAt = Date.now();
+
+      // Parse response AFTER stream completes, on the whole answer so blocks split by a stop
+      // and continue still parse as one. Structured replies are data, not files and edits
+      const parsedResponse = structured
+        ? { content: answerContent, artifacts: [], edits: [] }
+        : parseLLMResponse(answerContent, blockLimit, assistantMessageId);
+      const structuredResult = structured ? evaluateStructuredResponse(answerContent, outputSchema) : null;
+
+      // A changed copy of an existing file waits in the diff viewer instead of being dropped as a
+      // duplicate; files an earlier variant of this turn created are still rewritten below
+      const proposed = parsedResponse.artifacts.filter(artifact => !ownedPaths.has(artifact.path) &&
+        projectFiles.some(existing => existing.path === artifact.path && existing.content !== artifact.content));
+      if (proposed.length > 0) {
+        parsedResponse.artifacts = parsedResponse.artifacts.filter(artifact => !proposed.includes(artifact));
+        parsedResponse.edits = [
+          ...parsedResponse.edits,
+          ...proposed.map(artifact => toProposedUpdate(artifact, projectFiles.find(existing => existing.path === artifact.path)))
+        ];
+      }
+
+      // Handle artifacts
+      if (parsedResponse.artifacts.length > 0) {
+        // Files an earlier variant of this turn created are rewritten, not skipped as duplicates
+        const rewritten = parsedResponse.artifacts.filter(artifact =>
+          ownedPaths.has(artifact.path) && projectFiles.some(existing => existing.path === artifact.path)
+        );
+        const enhancedArtifacts = parsedResponse.artifacts.map(artifact => {
+          if (rewritten.includes(artifact)) return null;
+
+          const isDuplicate = projectFiles.some(existing => 
+            existing.path === artifact.path || 
+            (existing.content && artifact.content && existing.content === artifact.content)
+          );
+          
+          if (isDuplicate) {
+            return null;
+          }
+          
+          return toProjectArtifact(artifact);
+        }).filter(Boolean);
+      
+        if (enhancedArtifacts.length > 0 || rewritten.length > 0) {
+          const rewrittenContent = new Map(rewritten.map(artifact => [artifact.path, artifact.content]));
+          const updatedArtifacts = [
+            ...projectFiles.map(file => rewrittenContent.has(file.path)
+              ? { ...file, content: rewrittenContent.get(file.path), timestamp: new Date().toISOString() }
+              : file),
+            ...enhancedArtifacts
+          ];
+          
+          handleArtifactUpdate(updatedArtifacts);
+          
+          if (!showArtifacts && enhancedArtifacts.length > 0) {
+            setShowArtifacts(true);
+            localStorage.setItem(APP_CONFIG.STORAGE_KEYS.SHOW_ARTIFACTS, 'true');
+          }
           
-          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(loadedConversations));
-          localStorage.setItem(APP_CONFIG.STORAGE_KEYS.ARTIFACTS, JSON.stringify(loadedArtifacts));
-        }
-        
-        const activeConv = loadedConversations.find(c => c.active) || loadedConversations[0];
-        const activeConvId = activeConv?.id;
-        
-        setConversations(loadedConversations);
-        setArtifacts(loadedArtifacts);
-        setCurrentConversationId(activeConvId);
-        
-        if (activeConv && activeConv.messages) {
-          setMessages(activeConv.messages);
-        }
-        
-        const savedPrompt = localStorage.getItem("ollama-additional-system-prompt");
-        if (savedPrompt) setSystemPrompt(savedPrompt);
-        
-        const savedModel = localStorage.getItem("ollama-selected-model");
-        if (savedModel) setSelectedModel(savedModel);
-        
-        const conversationArtifacts = loadedArtifacts[activeConvId] || [];
-        if (conversationArtifacts.length > 0) {
-          const savedPreference = localStorage.getItem(APP_CONFIG.STORAGE_KEYS.SHOW_ARTIFACTS);
-          const shouldShow = savedPreference === null ? true : savedPreference === 'true';
-          setShowArtifacts(shouldShow);
           setShowEmptyState(false);
+          
+          // Update message with artifact info
+          parsedResponse.artifacts = [...enhancedArtifacts, ...rewritten].map(art => ({
+            ...art,
+            addedToProject: true
+          }));
         } else {
-          setShowArtifacts(false);
-          setShowEmptyState(true);
+          parsedResponse.artifacts = parsedResponse.artifacts.map(artifact => ({
+            ...artifact,
+            addedToProject: false,
+            isDuplicate: true
+          }));
         }
+      }
+
+      // Final update with parsed response. Edits applied while the reply streamed stay applied
+      setMessages(prev => prev.map(m => 
+        m.id === assistantMessageId ? withVariantSnapshot({ 
+          ...m, 
+          content: answerContent,
+          thinking,
+          thinkingStartedAt,
+          thinkingEndedAt,
+          parsedResponse: {
+            ...parsedResponse,
+            edits: carryOverParseState(m.liveParse || previous?.parsedResponse || null, parsedResponse).edits
+          },
+          liveParse: null,
+          isStreaming: false, // Mark as no longer streaming
+          stopped: false,
+          timestamp: new Date().toISOString(),
+          stats: streamStats,
+          ...(structuredResult && { structuredResult })
+        }) : m
+      ));
+      
+      // Save conversations
+      saveConversations();
+    } catch (err) {
+      console.error("❌ Chat error:", err);
+      const partial = splitReasoning(fullContent);
+      if (thinkingStartedAt && !thinkingEndedAt) thinkingEndedAt = Date.now();
+
+      if (err.name === "AbortError" || previous) {
+        const hasOutput = partial.content.trim() || partial.thinking;
+        if (err.name === "AbortError") console.log("⚠️ Request was aborted");
+        else setOllamaError(`Failed to continue: ${err.message}`);
+
+        // Whatever arrived is kept so it can be continued; a turn that produced nothing goes away
+        setMessages(prev => hasOutput
+          ? prev.map(m => m.id === assistantMessageId ? withVariantSnapshot({
+            ...m,
+            content: partial.content,
+            thinking: partial.thinking,
+            thinkingStartedAt,
+            thinkingEndedAt,
+            isStreaming: false,
+            stopped: true,
+            statusText: null,
+            stats: streamStats
+          }) : m)
+          : prev.map(m => m.id === assistantMessageId ? discardActiveVariant(m) : m).filter(Boolean)
+        );
+      } else {
+        // Update with error message
+        setMessages(prev => prev.map(m => 
+          m.id === assistantMessageId ? withVariantSnapshot({ 
+            ...m, 
+            content: `⚠️ Error: ${err.message}`, 
+            isError: true, 
+            isStreaming: false,
+            liveParse: null,
+            parsedResponse: null
+          }) : m
+        ));
         
-        setInitialLoadComplete(true);
-        
-      } catch (error) {
-        console.error("❌ [LOAD] Initial load error:", error);
-        createNewConversation();
-        setInitialLoadComplete(true);
+        setOllamaError(`Failed to get response: ${err.message}`);
       }
-    }, 50);
-    
-    return () => {
-      if (loadTimerRef.current) clearTimeout(loadTimerRef.current);
-    };
-  }, []);
+    }
+      
+  }, [activeProfile, keepAliveSettings, handleArtifactUpdate, applySearchReplace, parseLLMResponse, createReplyParser, parserSettings.maxBlocks, showArtifacts, saveConversations]);
 
-  // 🎯 FETCH MODELS ON MOUNT
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      fetchModels();
-    }, 200);
-    
-    return () => clearTimeout(timer);
-  }, []);
-  
   const sendMessage = useCallback(async () => {
     const trimmedInput = input.trim();
-    if ((!trimmedInput && !imageFile) || isLoading) return;
+    if ((!trimmedInput && imageAttachments.length === 0 && documentAttachments.length === 0) || isLoading) return;
     if (!selectedModel) { setOllamaError("Select a model to continue."); return; }
+    if (documentAttachments.some(doc => doc.status === 'reading')) { setOllamaError("Wait for the documents to finish loading."); return; }
+    if (imageAttachments.length > 0 && !hasCapability(selectedModelDetails, 'vision')) {
+      setOllamaError(`${selectedModel} does not support images. Remove the images or pick a vision model.`);
+      return;
+    }
     if (messages.length >= APP_CONFIG.LIMITS.MAX_MESSAGES) { setOllamaError("Max messages reached. Clear chat."); return; }
 
+    const { format, outputSchema, error: schemaError } = resolveStructuredFormat(structuredOutput);
+    if (schemaError) { setOllamaError(`Structured output schema is invalid: ${schemaError}`); return; }
+
+    let images;
+    try {
+      images = await Promise.all(imageAttachments.map(image => encodeImageFile(image.file, imageSettings)));
+    } catch (error) {
+      setOllamaError(`Could not read an image: ${error.message}`);
+      return;
+    }
+
+    // Documents that failed to load are left out; their chips show why
+    const attachments = documentAttachments
+      .filter(doc => doc.status === 'ready')
+      .map(({ id, name, kind, size, text }) => ({
+        id, name, kind, size,
+        text: text.slice(0, APP_CONFIG.LIMITS.MAX_DOCUMENT_CHARS),
+        chars: text.length
+      }));
+    if (!trimmedInput && images.length === 0 && attachments.length === 0) {
+      setOllamaError("None of the attached documents could be read.");
+      return;
+    }
+
     // Health check
     const isHealthy = await checkOllamaHealth();
     if (!isHealthy) {
@@ -2940,7 +8830,10 @@ const retryMessage = useCallback(async (messageId) => {
         messages: [],
         lastUpdated: new Date().toISOString(),
         active: true,
-        artifactCount: currentArtifacts.length
+        artifactCount: currentArtifacts.length,
+        generationOptions,
+        structuredOutput,
+        serverProfileId: activeProfile.id
       };
       
       // Update state immediately
@@ -2955,10 +8848,13 @@ const retryMessage = useCallback(async (messageId) => {
       localStorage.setItem(APP_CONFIG.STORAGE_KEYS.CONVERSATIONS, JSON.stringify(updatedConversations));
     }
 
-    const fileContext = getCurrentFileContext();
-    const combinedSystemPrompt = systemPrompt.trim() ? 
-      `${DEFAULT_SYSTEM_PROMPT}\n\n${fileContext}\n\nAdditional instructions:\n${systemPrompt.trim()}` : 
-      `${DEFAULT_SYSTEM_PROMPT}\n\n${fileContext}`;
+    // Only sent to models that declare the capability; others reject the flag
+    const think = selectedModelDetails?.capabilities.includes('thinking') ? thinkEnabled : undefined;
+    const tools = toolsEnabled && hasCapability(selectedModelDetails, 'tools')
+      ? PROJECT_TOOLS.map(toToolSchema)
+      : undefined;
+    const exclusions = contextExclusions;
+    const history = messages.filter(m => !exclusions.messages.includes(m.id));
 
     const messageId = generateSafeId('msg');
     const userMessage = { 
@@ -2966,18 +8862,30 @@ const retryMessage = useCallback(async (messageId) => {
       content: trimmedInput, 
       id: messageId, 
       timestamp: new Date().toISOString(), 
-      ...(imagePreview && { image: imagePreview }) 
+      ...(images.length > 0 && { images }),
+      ...(attachments.length > 0 && { attachments })
     };
+    updateConversationMeta(convId, {
+      projectSnapshots: addProjectSnapshot(
+        conversations.find(conv => conv.id === convId)?.projectSnapshots,
+        messageId,
+        currentArtifactsRef.current
+      )
+    });
     
     // Create assistant message with proper initial state
     const assistantMessageId = generateSafeId('msg-assistant');
+    const requestOptions = buildOllamaOptions(generationOptions, selectedModelDetails);
     const assistantMessage = { 
       role: "assistant", 
       content: "", 
       id: assistantMessageId, 
       isStreaming: true, 
       timestamp: new Date().toISOString(),
-      parsedResponse: null
+      parsedResponse: null,
+      model: selectedModel,
+      options: requestOptions,
+      ...(format && { structured: { mode: structuredOutput.mode, schema: outputSchema } })
     };
 
     // Add messages to state immediately
@@ -2994,217 +8902,375 @@ const retryMessage = useCallback(async (messageId) => {
 
     const controller = new AbortController();
     abortControllerRef.current = controller;
-
-    const historyForApi = [
-      { role: "system", content: combinedSystemPrompt }, 
-      ...messages.slice(-20), 
-      userMessage
-    ];
+    // Exclusions made in the context inspector only cover this request
+    setContextExclusions(EMPTY_CONTEXT_EXCLUSIONS);
 
     try {
-      const res = await fetch(`${APP_CONFIG.OLLAMA_BASE}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: selectedModel,
-          messages: historyForApi.map(msg => msg.image ? { 
-            role: msg.role, 
-            content: msg.content, 
-            images: [msg.image.split(',')[1]] 
-          } : msg),
-          stream: true,
-          options: { 
-            temperature: 0.7, 
-            top_p: 0.9,
-            num_ctx: 4096  // Add context size
-          }
-        }),
-        signal: controller.signal,
+      const fileContext = await prepareFileContext(assistantMessageId, trimmedInput, exclusions, controller.signal);
+      const promptParts = buildPromptSections({ tools: !!tools, fileContext, customPrompt: systemPrompt });
+      const historyBudget = getHistoryBudget({
+        settings: contextSettings,
+        contextSize: requestOptions.num_ctx,
+        systemTokens: estimateTokens(composeSystemPrompt(promptParts, exclusions.sections)),
+        inputTokens: estimateMessageTokens(userMessage),
+        numPredict: requestOptions.num_predict
       });
+      let windowPlan = planContextWindow(history, historyBudget, contextSummary, contextSettings.summarize);
 
-      if (!res.ok) {
-        const errorText = await res.text();
-        throw new Error(`HTTP ${res.status}: ${errorText}`);
+      // Older turns that no longer fit are folded into the conversation's running summary first
+      if (windowPlan.pending.length > 0) {
+        setMessages(prev => prev.map(m => 
+          m.id === assistantMessageId ? { ...m, statusText: "Summarizing earlier messages…" } : m
+        ));
+        try {
+          const text = await summarizeHistory(windowPlan.summary, windowPlan.pending, {
+            contextSize: requestOptions.num_ctx,
+            signal: controller.signal
+          });
+          const summary = {
+            text,
+            coversUntilId: windowPlan.pending[windowPlan.pending.length - 1].id,
+            tokens: estimateTokens(text),
+            updatedAt: new Date().toISOString()
+          };
+          updateConversationMeta(convId, { contextSummary: summary });
+          windowPlan = planContextWindow(history, historyBudget, summary, false);
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          console.warn("⚠️ Summarizing history failed, sending without the older messages:", error);
+        }
+        setMessages(prev => prev.map(m => 
+          m.id === assistantMessageId ? { ...m, statusText: null } : m
+        ));
       }
-      
-      if (!res.body) throw new Error("Streaming not supported");
 
-      const reader = res.body.getReader();
-      const decoder = new TextDecoder("utf-8");
-      let buffer = "";
-      let fullContent = "";
-      let lastUpdateTime = Date.now();
-      const UPDATE_INTERVAL = 50; // Increased for better reliability
+      const systemContent = composeSystemPrompt(withSummarySection(promptParts, windowPlan.summary), exclusions.sections);
+      const historyForApi = [
+        { role: "system", content: systemContent }, 
+        ...windowPlan.verbatim.map(withoutThinking), 
+        userMessage
+      ];
 
-      const updateMessageContent = (content) => {
-        // Use functional update to ensure we're working with latest state
-        setMessages(prev => prev.map(m => 
-          m.id === assistantMessageId ? { 
-            ...m, 
-            content: content,
-            isStreaming: true  // Keep streaming flag true while receiving
-          } : m
-        ));
-      };
+      await streamAssistantTurn({
+        assistantMessageId,
+        model: selectedModel,
+        apiMessages: historyForApi,
+        requestOptions,
+        tools,
+        think,
+        format,
+        outputSchema,
+        structured: !!format,
+        signal: controller.signal
+      });
+    } catch (err) {
+      // The turn reports its own failures; this is a stop while older messages were summarized
+      console.error("❌ Chat error:", err);
+      setMessages(prev => prev.filter(m => m.id !== assistantMessageId));
+      if (err.name !== "AbortError") setOllamaError(`Failed to get response: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+      abortControllerRef.current = null;
+      fetchLoadedModels();
+      setImageAttachments([]);
+      setDocumentAttachments([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      
+      // Refocus textarea after a delay
+      setTimeout(() => {
+        textareaRef.current?.focus();
+      }, 100);
+    }
+  }, [input, isLoading, messages, selectedModel, systemPrompt, imageAttachments, imageSettings, documentAttachments, currentConversationId, conversations, currentArtifacts, prepareFileContext, checkOllamaHealth, generationOptions, selectedModelDetails, fetchLoadedModels, activeProfile, toolsEnabled, structuredOutput, thinkEnabled, contextSettings, contextSummary, summarizeHistory, updateConversationMeta, contextExclusions, streamAssistantTurn]);
 
-      // Force initial render
-      updateMessageContent("");
+  // Picks up a stopped or truncated reply where it ended and appends to the same message
+  const continueMessage = useCallback(async (messageId) => {
+    if (isLoading) return;
+    const index = messages.findIndex(m => m.id === messageId);
+    const target = messages[index];
+    if (!target || target.role !== "assistant") return;
 
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done || controller.signal.aborted) {
-            console.log("✅ Stream completed normally");
-            break;
-          }
-          
-          buffer += decoder.decode(value, { stream: true });
+    const isHealthy = await checkOllamaHealth();
+    if (!isHealthy) {
+      setOllamaError("Cannot connect to Ollama. Make sure it's running.");
+      return;
+    }
 
-          let newlineIndex;
-          while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
-            const line = buffer.slice(0, newlineIndex).trim();
-            buffer = buffer.slice(newlineIndex + 1);
-            
-            if (!line) continue;
-            
-            try {
-              const json = JSON.parse(line);
-              if (json.message?.content) { 
-                fullContent += json.message.content;
-                
-                const now = Date.now();
-                // Update more aggressively for immediate feedback
-                if (now - lastUpdateTime > UPDATE_INTERVAL || fullContent.length % 2 === 0) {
-                  updateMessageContent(fullContent);
-                  lastUpdateTime = now;
-                }
-                
-                // Force a re-render periodically
-                if (fullContent.length % 10 === 0) {
-                  await new Promise(resolve => setTimeout(resolve, 0));
-                }
-              }
-              
-              // Handle error response
-              if (json.error) {
-                console.error("Stream error:", json.error);
-                throw new Error(json.error);
-              }
-            } catch (parseError) {
-              console.warn("Failed to parse JSON line:", line, parseError);
-            }
-          }
-        }
-      } catch (streamError) {
-        console.error("Stream reading error:", streamError);
-        throw streamError;
-      } finally {
-        reader.releaseLock();
-      }
+    const model = target.model || selectedModel;
+    const details = modelDetails[model] || null;
+    const earlier = contextPlan.verbatim.filter(m => messages.indexOf(m) < index);
+    const question = messages.slice(0, index).reverse().find(m => m.role === "user");
 
-      // Final update with complete content
-      updateMessageContent(fullContent);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setOllamaError(null);
+    setIsLoading(true);
+    setMessages(prev => prev.map(m => 
+      m.id === messageId ? { ...m, isStreaming: true, stopped: false } : m
+    ));
 
-      // Parse response AFTER stream completes
-      const parsedResponse = parseLLMResponse(fullContent);
-      
-      // Final update with parsed response
-      setMessages(prev => prev.map(m => 
-        m.id === assistantMessageId ? { 
-          ...m, 
-          content: fullContent,
-          parsedResponse: parsedResponse,
-          isStreaming: false, // Mark as no longer streaming
-          timestamp: new Date().toISOString()
-        } : m
-      ));
+    try {
+      const fileContext = await prepareFileContext(messageId, question?.content || '', EMPTY_CONTEXT_EXCLUSIONS, controller.signal);
+      const promptParts = buildPromptSections({ fileContext, customPrompt: systemPrompt });
+      const apiMessages = [
+        { role: "system", content: composeSystemPrompt(withSummarySection(promptParts, contextPlan.summary)) },
+        ...earlier.map(withoutThinking),
+        { role: "assistant", content: target.content },
+        { role: "user", content: CONTINUE_PROMPT }
+      ];
 
-      // Handle artifacts
-      if (parsedResponse.artifacts.length > 0) {
-        const enhancedArtifacts = parsedResponse.artifacts.map(artifact => {
-          const isDuplicate = currentArtifacts.some(existing => 
-            existing.path === artifact.path || 
-            (existing.content && artifact.content && existing.content === artifact.content)
-          );
-          
-          if (isDuplicate) {
-            return null;
-          }
-          
-          return {
-            ...artifact,
-            id: generateSafeId(`file-${artifact.path}`),
-            type: 'file',
-            createdBy: 'ai',
-            timestamp: new Date().toISOString(),
-            addedToProject: true,
-            source: artifact.source || 'parsed'
-          };
-        }).filter(Boolean);
-      
-        if (enhancedArtifacts.length > 0) {
-          const updatedArtifacts = [...currentArtifacts, ...enhancedArtifacts];
-          
-          handleArtifactUpdate(updatedArtifacts);
-          
-          if (!showArtifacts && enhancedArtifacts.length > 0) {
-            setShowArtifacts(true);
-            localStorage.setItem(APP_CONFIG.STORAGE_KEYS.SHOW_ARTIFACTS, 'true');
-          }
-          
-          setShowEmptyState(false);
-          
-          // Update message with artifact info
-          parsedResponse.artifacts = enhancedArtifacts.map(art => ({
-            ...art,
-            addedToProject: true
-          }));
-        } else {
-          parsedResponse.artifacts = parsedResponse.artifacts.map(artifact => ({
-            ...artifact,
-            addedToProject: false,
-            isDuplicate: true
-          }));
-        }
-      }
-      
-      // Save conversations
-      saveConversations();
-      
+      // JSON can't be resumed under a format constraint, so the rest comes as plain text and
+      // the combined reply is validated
+      await streamAssistantTurn({
+        assistantMessageId: messageId,
+        model,
+        apiMessages,
+        requestOptions: target.options || buildOllamaOptions(generationOptions, details),
+        think: details?.capabilities.includes('thinking') ? false : undefined,
+        outputSchema: target.structured?.schema || null,
+        structured: !!target.structured,
+        signal: controller.signal,
+        previous: target
+      });
     } catch (err) {
-      console.error("❌ Chat error:", err);
-      
-      if (err.name === "AbortError") { 
-        console.log("⚠️ Request was aborted");
-        setMessages(prev => prev.filter(m => m.id !== assistantMessageId));
-      } else {
-        // Update with error message
-        setMessages(prev => prev.map(m => 
-          m.id === assistantMessageId ? { 
-            ...m, 
-            content: `⚠️ Error: ${err.message}`, 
-            isError: true, 
-            isStreaming: false,
-            parsedResponse: null
-          } : m
-        ));
-        
-        setOllamaError(`Failed to get response: ${err.message}`);
-      }
+      // The turn reports its own failures; this is a stop while project files were retrieved
+      setMessages(prev => prev.map(m => m.id === messageId ? { ...m, isStreaming: false, stopped: true, statusText: null } : m));
+      if (err.name !== "AbortError") setOllamaError(`Failed to continue: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+      abortControllerRef.current = null;
+      fetchLoadedModels();
+    }
+  }, [isLoading, messages, checkOllamaHealth, selectedModel, modelDetails, prepareFileContext, systemPrompt, contextPlan, generationOptions, streamAssistantTurn, fetchLoadedModels]);
+
+  // Generates another reply to the user message at `userIndex`. With `assistantId` the reply becomes
+  // a new variant of that turn; otherwise it is inserted as a new message right after the user's.
+  const generateReply = useCallback(async (userIndex, assistantId, { model = selectedModel, options = null } = {}, sourceMessages = messages) => {
+    if (isLoading) return;
+    const userMessage = sourceMessages[userIndex];
+    if (!userMessage || userMessage.role !== "user") return;
+    if (!model) { setOllamaError("Select a model to continue."); return; }
+
+    const details = modelDetails[model] || null;
+    if (getMessageImages(userMessage).length > 0 && !hasCapability(details, 'vision')) {
+      setOllamaError(`${model} does not support images. Pick a vision model to regenerate this reply.`);
+      return;
+    }
+    const { format, outputSchema, error: schemaError } = resolveStructuredFormat(structuredOutput);
+    if (schemaError) { setOllamaError(`Structured output schema is invalid: ${schemaError}`); return; }
+
+    const isHealthy = await checkOllamaHealth();
+    if (!isHealthy) {
+      setOllamaError("Cannot connect to Ollama. Make sure it's running.");
+      return;
+    }
+
+    const think = details?.capabilities.includes('thinking') ? thinkEnabled : undefined;
+    const tools = toolsEnabled && hasCapability(details, 'tools')
+      ? PROJECT_TOOLS.map(toToolSchema)
+      : undefined;
+    const requestOptions = options || buildOllamaOptions(generationOptions, details);
+
+    const existing = assistantId ? sourceMessages.find(m => m.id === assistantId) : null;
+    // Failed attempts aren't worth keeping as variants
+    const variants = existing
+      ? (existing.variants || [snapshotVariant(existing)]).filter(variant => !variant.isError)
+      : [];
+    const assistantMessage = {
+      role: "assistant",
+      content: "",
+      id: assistantId || generateSafeId('msg-assistant'),
+      isStreaming: true,
+      timestamp: new Date().toISOString(),
+      parsedResponse: null,
+      model,
+      options: requestOptions,
+      ...(format && { structured: { mode: structuredOutput.mode, schema: outputSchema } }),
+      ...(variants.length > 0 && { variants, activeVariant: variants.length })
+    };
+
+    setMessages(prev => {
+      if (existing) return prev.map(m => m.id === assistantId ? assistantMessage : m);
+      const index = prev.findIndex(m => m.id === userMessage.id);
+      return [...prev.slice(0, index + 1), assistantMessage, ...prev.slice(index + 1)];
+    });
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setOllamaError(null);
+    setIsLoading(true);
+
+    try {
+      const fileContext = await prepareFileContext(assistantMessage.id, userMessage.content, EMPTY_CONTEXT_EXCLUSIONS, controller.signal);
+      const promptParts = buildPromptSections({ tools: !!tools, fileContext, customPrompt: systemPrompt });
+      const historyBudget = getHistoryBudget({
+        settings: contextSettings,
+        contextSize: requestOptions.num_ctx,
+        systemTokens: estimateTokens(composeSystemPrompt(promptParts)),
+        inputTokens: estimateMessageTokens(userMessage),
+        numPredict: requestOptions.num_predict
+      });
+      // Older turns are summarized when sending; regenerating reuses that summary but never extends it
+      const windowPlan = planContextWindow(sourceMessages.slice(0, userIndex), historyBudget, contextSummary, false);
+      const apiMessages = [
+        { role: "system", content: composeSystemPrompt(withSummarySection(promptParts, windowPlan.summary)) },
+        ...windowPlan.verbatim.map(withoutThinking),
+        userMessage
+      ];
+
+      await streamAssistantTurn({
+        assistantMessageId: assistantMessage.id,
+        model,
+        apiMessages,
+        requestOptions,
+        tools,
+        think,
+        format,
+        outputSchema,
+        structured: !!format,
+        signal: controller.signal,
+        ownedPaths: getVariantFilePaths(variants)
+      });
+    } catch (err) {
+      // The turn reports its own failures; this is a stop while project files were retrieved
+      setMessages(prev => prev.map(m => m.id === assistantMessage.id ? discardActiveVariant(m) : m).filter(Boolean));
+      if (err.name !== "AbortError") setOllamaError(`Failed to get response: ${err.message}`);
     } finally {
       setIsLoading(false);
       abortControllerRef.current = null;
-      setImageFile(null);
-      setImagePreview(null);
-      if (fileInputRef.current) fileInputRef.current.value = '';
-      
-      // Refocus textarea after a delay
-      setTimeout(() => {
-        textareaRef.current?.focus();
-      }, 100);
+      fetchLoadedModels();
     }
-  }, [input, isLoading, messages, selectedModel, systemPrompt, imageFile, imagePreview, currentConversationId, conversations, createNewConversation, showArtifacts, currentArtifacts, handleArtifactUpdate, getCurrentFileContext, parseLLMResponse, saveConversations, checkOllamaHealth]);
+  }, [isLoading, messages, selectedModel, modelDetails, structuredOutput, checkOllamaHealth, thinkEnabled, toolsEnabled, generationOptions, prepareFileContext, systemPrompt, contextSettings, contextSummary, streamAssistantTurn, fetchLoadedModels]);
+
+  // Adds a variant to an assistant turn; without overrides it reuses that reply's model and options
+  const regenerateResponse = useCallback((messageId, overrides) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    const target = messages[index];
+    if (!target || target.role !== "assistant") return;
+    const userIndex = messages.slice(0, index).findLastIndex(m => m.role === "user");
+    generateReply(userIndex, messageId, overrides || { model: target.model || selectedModel, options: target.options });
+  }, [messages, selectedModel, generateReply]);
+
+  // Retrying a user message regenerates its reply, or answers it if the reply is missing
+  const retryMessage = useCallback((messageId) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    if (messages[index]?.role !== "user") return;
+    const reply = messages[index + 1];
+    if (reply?.role === "assistant") regenerateResponse(reply.id);
+    else generateReply(index, null);
+  }, [messages, regenerateResponse, generateReply]);
+
+  // Switching variants also switches the files this turn wrote to that variant's version
+  const selectVariant = useCallback((messageId, index) => {
+    if (isLoading) return;
+    const target = messages.find(m => m.id === messageId);
+    if (!target?.variants?.[index] || index === target.activeVariant) return;
+
+    const next = applyVariant(withVariantSnapshot(target), index);
+    setMessages(prev => prev.map(m => m.id === messageId ? next : m));
+
+    const ownedPaths = getVariantFilePaths(next.variants);
+    const chosenFiles = (next.parsedResponse?.artifacts || []).filter(artifact => ownedPaths.has(artifact.path));
+    if (chosenFiles.length === 0) return;
+
+    const chosenContent = new Map(chosenFiles.map(artifact => [artifact.path, artifact.content]));
+    const missing = chosenFiles.filter(artifact => !currentArtifacts.some(file => file.path === artifact.path));
+    handleArtifactUpdate([
+      ...currentArtifacts.map(file => chosenContent.has(file.path)
+        ? { ...file, content: chosenContent.get(file.path), timestamp: new Date().toISOString() }
+        : file),
+      ...missing.map(toProjectArtifact)
+    ]);
+  }, [isLoading, messages, currentArtifacts, handleArtifactUpdate]);
+
+  // 🎯 CONVERSATION BRANCHES
+  // Moves to another branch. The project goes with it: the files of the branch being left are
+  // parked under its last message and those of the branch entered are restored.
+  const commitBranchChange = useCallback((tree, path, files) => {
+    const leaving = messages[messages.length - 1]?.id;
+    const entering = path[path.length - 1]?.id;
+    const parked = { ...tree.artifacts, ...(leaving && { [leaving]: currentArtifacts }) };
+    const restored = parked[entering] || files;
+    delete parked[entering];
+
+    if (restored !== currentArtifacts) handleArtifactUpdate(restored);
+    setMessages(path);
+    updateConversationMeta(currentConversationId, { branchTree: { ...tree, artifacts: parked } });
+  }, [messages, currentArtifacts, handleArtifactUpdate, updateConversationMeta, currentConversationId]);
+
+  const switchBranch = useCallback((targetId) => {
+    if (isLoading || !branchTree) return;
+    const { tree, path } = activateBranch(branchTree, messages, targetId);
+    if (path !== messages) commitBranchChange(tree, path, currentArtifacts);
+  }, [isLoading, branchTree, messages, commitBranchChange, currentArtifacts]);
+
+  const selectBranch = useCallback((messageId, siblingIndex) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    const target = getBranchSiblings(branchTree, messages, index)[siblingIndex];
+    if (target) switchBranch(target);
+  }, [messages, branchTree, switchBranch]);
+
+  // Editing a sent message starts a new branch from that point and answers the edited version
+  const editMessage = useCallback((messageId, content) => {
+    const index = messages.findIndex(m => m.id === messageId);
+    const original = messages[index];
+    const trimmed = content.trim();
+    if (isLoading || original?.role !== "user" || !trimmed || trimmed === original.content) return;
+
+    // A new branch starts from the project as the edited message found it, so nothing later replies,
+    // applied edits or tool writes changed carries over
+    const createdPaths = getBranchCreatedPaths(messages.slice(index));
+    const files = getProjectSnapshot(projectSnapshots, messageId) ||
+      currentArtifacts.filter(file => !createdPaths.has(file.path));
+    const edited = {
+      role: "user",
+      content: trimmed,
+      id: generateSafeId('msg'),
+      timestamp: new Date().toISOString(),
+      ...(getMessageImages(original).length > 0 && { images: getMessageImages(original) }),
+      ...(getMessageDocuments(original).length > 0 && { attachments: getMessageDocuments(original) })
+    };
+    updateConversationMeta(currentConversationId, { projectSnapshots: addProjectSnapshot(projectSnapshots, edited.id, files) });
+    const { tree, path } = forkBranch(branchTree || createBranchTree(), messages, index, edited);
+    commitBranchChange(tree, path, files);
+    generateReply(index, null, {}, path);
+  }, [isLoading, messages, branchTree, projectSnapshots, commitBranchChange, currentArtifacts, generateReply, updateConversationMeta, currentConversationId]);
+
+  // Where each forked message sits among its siblings, for the switchers in the message list
+  const branchPositions = useMemo(() => {
+    const positions = {};
+    if (!hasBranches(branchTree)) return positions;
+    messages.forEach((msg, index) => {
+      const siblings = getBranchSiblings(branchTree, messages, index);
+      if (siblings.length > 1) positions[msg.id] = { index: siblings.indexOf(msg.id), count: siblings.length };
+    });
+    return positions;
+  }, [branchTree, messages]);
+
+  const branchOutline = useMemo(
+    () => hasBranches(branchTree) ? buildBranchOutline(branchTree, messages) : [],
+    [branchTree, messages]
+  );
+
+  const handleGenerationOptionsChange = useCallback((nextOptions) => {
+    const normalized = normalizeGenerationOptions(nextOptions);
+    setGenerationOptions(normalized);
+    updateConversationMeta(currentConversationId, { generationOptions: normalized });
+  }, [currentConversationId, updateConversationMeta]);
+
+  const resetGenerationOptions = useCallback(() => {
+    handleGenerationOptionsChange(DEFAULT_GENERATION_OPTIONS);
+  }, [handleGenerationOptionsChange]);
+
+  const closeGenerationOptions = useCallback(() => setShowGenerationOptions(false), []);
+
+  const handleStructuredOutputChange = useCallback((nextValue) => {
+    const normalized = normalizeStructuredOutput(nextValue);
+    setStructuredOutput(normalized);
+    updateConversationMeta(currentConversationId, { structuredOutput: normalized });
+  }, [currentConversationId, updateConversationMeta]);
+
+  const closeStructuredOutput = useCallback(() => setShowStructuredOutput(false), []);
 
   const handleKeyDown = useCallback((e) => { 
     if (e.key === "Enter" && e.ctrlKey) { 
@@ -3220,7 +9286,255 @@ const retryMessage = useCallback(async (messageId) => {
     } 
   }, []);
 
-  const canSend = !!((input.trim() || imageFile) && selectedModel && !isLoading && input.length <= APP_CONFIG.LIMITS.MAX_INPUT_LENGTH);
+  const modelNames = useMemo(() => [...models.nonCloud, ...models.cloud], [models]);
+
+  // Arena rounds get the project files and system prompt but no chat history, so every model
+  // answers the same question
+  const streamArenaReply = useCallback(async ({ model, prompt, signal }, onChunk) => {
+    const details = modelDetails[model] || null;
+    // Columns start together, so they share one retrieval instead of embedding the project each
+    if (arenaFileContextRef.current?.prompt !== prompt) {
+      const promise = retrieveFileContext(prompt).finally(() => { arenaFileContextRef.current = null; });
+      arenaFileContextRef.current = { prompt, promise };
+    }
+    const { fileContext } = await arenaFileContextRef.current.promise;
+    const systemContent = composeSystemPrompt(buildPromptSections({ fileContext, customPrompt: systemPrompt }));
+
+    await getProvider(activeProfile).streamChat(activeProfile, {
+      model,
+      messages: [
+        { role: "system", content: systemContent },
+        { role: "user", content: prompt }
+      ],
+      options: buildOllamaOptions(generationOptions, details),
+      keepAlive: toKeepAliveParam(keepAliveSettings[model]),
+      think: details?.capabilities.includes('thinking') ? thinkEnabled : undefined,
+      signal
+    }, onChunk);
+  }, [activeProfile, modelDetails, retrieveFileContext, systemPrompt, generationOptions, keepAliveSettings, thinkEnabled]);
+
+  // Adds an arena answer's files to the project (replacing same-path files) and applies its edits
+  const promoteArenaResult = useCallback((parsed) => {
+    let files = currentArtifactsRef.current;
+    let replaced = 0;
+    let added = 0;
+
+    // A file the promoted reply writes again keeps its old content in its history
+    parsed.artifacts.forEach(artifact => {
+      const existing = files.find(file => file.path === artifact.path);
+      if (existing) {
+        if (existing.content === artifact.content) return;
+        files = files.map(file => file === existing
+          ? { ...withFileHistory(file, 'Replaced by a promoted arena reply'), content: artifact.content, timestamp: new Date().toISOString() }
+          : file);
+        replaced++;
+      } else {
+        files = [...files, toProjectArtifact(artifact)];
+        added++;
+      }
+    });
+
+    let applied = 0;
+    parsed.edits.forEach(edit => {
+      if (edit.type === 'file_ops') {
+        const plan = planFileOperations(files, edit.fileOps);
+        if (plan.errors.length > 0) return;
+        files = plan.files;
+        applied++;
+        return;
+      }
+      const targetFile = edit.action === 'create'
+        ? files.find(file => file.path === edit.path)
+        : findTargetFileForEdit(files, edit.path);
+      if (edit.action === 'delete') {
+        if (!targetFile) return;
+        files = files.filter(file => file.path !== targetFile.path);
+      } else if (!targetFile) {
+        if (edit.action !== 'create') return;
+        files = [...files, toPatchedFile(edit.path, applyEdit('', edit).result)];
+      } else {
+        const { result, appliedCount } = applyEdit(targetFile.content, edit);
+        if (appliedCount === 0) return;
+        // A new-file patch for a path that exists replaces it; the old content stays in its history
+        files = files.map(file => file.path === targetFile.path
+          ? { ...(edit.action === 'create' ? withFileHistory(file, CREATE_PATCH_REPLACED) : file), content: result }
+          : file);
+      }
+      applied++;
+    });
+
+    if (added + replaced + applied > 0) handleArtifactUpdate(files);
+
+    const skipped = parsed.edits.length - applied;
+    return [
+      added > 0 && `${added} added`,
+      replaced > 0 && `${replaced} replaced`,
+      applied > 0 && `${applied} edit${applied === 1 ? '' : 's'} applied`,
+      skipped > 0 && `${skipped} edit${skipped === 1 ? '' : 's'} skipped`
+    ].filter(Boolean).join(', ') || 'Nothing changed';
+  }, [findTargetFileForEdit, applyEdit, handleArtifactUpdate]);
+
+  // Parses one reply again with a higher safety limit; the setting for other replies stays as it is.
+  // Proposed rewrites found when it finished streaming are kept, since they depend on the project
+  // files of that moment, and so is what was already applied or added to the project
+  const reparseWithLimit = useCallback((messageId, maxBlocks) => {
+    setMessages(prev => prev.map(m => {
+      if (m.id !== messageId || !m.parsedResponse) return m;
+      const rewrites = (m.parsedResponse.edits || []).filter(edit => edit.type === 'rewrite');
+      const reparsed = parseLLMResponse(m.content, maxBlocks, m.id);
+      return withVariantSnapshot({
+        ...m,
+        parsedResponse: carryOverParseState(m.parsedResponse, {
+          ...reparsed,
+          artifacts: reparsed.artifacts.filter(artifact => !rewrites.some(edit => edit.path === artifact.path)),
+          edits: [...reparsed.edits, ...rewrites]
+        })
+      });
+    }));
+  }, [parseLLMResponse]);
+
+  // Only the latest reply can be resumed; anything after it would be out of order
+  const canContinue = (message) => !isLoading &&
+    message.role === "assistant" &&
+    !message.isError &&
+    message.id === messages[messages.length - 1]?.id &&
+    (message.stopped || message.stats?.doneReason === 'length');
+
+  const conversationTitles = useMemo(() => Object.fromEntries(
+    conversations.map(conv => [conv.id, conv.title || conv.messages?.[0]?.content?.substring(0, 50) || 'New Conversation'])
+  ), [conversations]);
+
+  // Brings the search index in line with the saved conversations: new or edited messages and files
+  // are embedded, deleted ones dropped. A newer run cancels one still in flight.
+  const syncSearchIndex = useCallback(async () => {
+    const model = searchSettings.model;
+    if (!model) return;
+    searchIndexControllerRef.current?.abort();
+    const controller = new AbortController();
+    searchIndexControllerRef.current = controller;
+
+    const documents = buildSearchDocuments(conversations, artifacts);
+    try {
+      const existing = new Map((await readSearchEntries()).map(entry => [entry.id, entry]));
+      const wanted = new Set(documents.map(doc => doc.id));
+      const removed = [...existing.keys()].filter(id => !wanted.has(id));
+      const stale = documents.filter(doc => {
+        const entry = existing.get(doc.id);
+        return !entry || entry.hash !== doc.hash || entry.model !== model;
+      });
+
+      setSearchIndexStatus({ indexing: stale.length > 0, indexed: documents.length - stale.length, total: documents.length, error: null });
+      if (removed.length > 0) await writeSearchEntries([], removed);
+
+      for (let i = 0; i < stale.length; i += SEARCH_EMBED_BATCH) {
+        const batch = stale.slice(i, i + SEARCH_EMBED_BATCH);
+        const vectors = await getProvider(activeProfile).embed(activeProfile, {
+          model,
+          input: batch.map(doc => doc.text),
+          signal: controller.signal
+        });
+        if (vectors.length !== batch.length) throw new Error(`${model} returned ${vectors.length} embeddings for ${batch.length} inputs`);
+        await writeSearchEntries(batch.map((doc, index) => toSearchEntry(doc, model, vectors[index])));
+        setSearchIndexStatus(prev => ({ ...prev, indexed: prev.indexed + batch.length }));
+      }
+      setSearchIndexStatus(prev => ({ ...prev, indexing: false }));
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Search indexing failed:', error);
+      setSearchIndexStatus(prev => ({ ...prev, indexing: false, error: error.message }));
+    } finally {
+      if (searchIndexControllerRef.current === controller) searchIndexControllerRef.current = null;
+    }
+  }, [searchSettings.model, conversations, artifacts, activeProfile]);
+
+  // Waits for saves to settle so a streaming reply isn't embedded on every update
+  useEffect(() => {
+    if (!searchSettings.model) return;
+    const timer = setTimeout(syncSearchIndex, SEARCH_INDEX_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchSettings.model, syncSearchIndex]);
+
+  useEffect(() => () => searchIndexControllerRef.current?.abort(), []);
+
+  const handleSearchModelChange = useCallback((model) => {
+    const next = { ...searchSettings, model };
+    setSearchSettings(next);
+    setConversationSearch(prev => ({ ...prev, results: null, error: null }));
+    localStorage.setItem(APP_CONFIG.STORAGE_KEYS.SEARCH_SETTINGS, JSON.stringify(next));
+  }, [searchSettings]);
+
+  const rebuildSearchIndex = useCallback(async () => {
+    try {
+      searchIndexControllerRef.current?.abort();
+      await clearSearchEntries();
+      await syncSearchIndex();
+    } catch (error) {
+      setSearchIndexStatus(prev => ({ ...prev, indexing: false, error: error.message }));
+    }
+  }, [syncSearchIndex]);
+
+  const runConversationSearch = useCallback(async (query) => {
+    const text = query.trim();
+    if (!text) {
+      setConversationSearch({ query: '', results: null, isSearching: false, error: null });
+      return;
+    }
+    const model = searchSettings.model;
+    setConversationSearch({ query: text, results: null, isSearching: true, error: null });
+    try {
+      const [queryVector] = await getProvider(activeProfile).embed(activeProfile, { model, input: [text] });
+      if (!queryVector) throw new Error(`${model} returned no embedding`);
+      const results = rankSearchEntries(await readSearchEntries(), queryVector, model);
+      setConversationSearch({ query: text, results, isSearching: false, error: null });
+    } catch (error) {
+      setConversationSearch({ query: text, results: null, isSearching: false, error: `Search failed: ${error.message}` });
+    }
+  }, [searchSettings.model, activeProfile]);
+
+  const openSearchResult = useCallback((hit) => {
+    const conversation = conversations.find(conv => conv.id === hit.conversationId);
+    if (!conversation) return;
+    const isCurrent = conversation.id === currentConversationId;
+    if (isCurrent) setShowSidePanel(false);
+    else selectConversation(conversation);
+
+    if (hit.path) {
+      const files = isCurrent ? currentArtifacts : artifacts[conversation.id] || [];
+      const file = files.find(item => item.path === hit.path);
+      if (file) {
+        setSelectedFile(file);
+        setShowArtifacts(true);
+      }
+      return;
+    }
+    setPinnedMessageId(hit.messageId);
+    setHighlightedMessageId(hit.messageId);
+  }, [conversations, currentConversationId, selectConversation, currentArtifacts, artifacts]);
+
+  // Older messages aren't rendered, so a pinned search hit extends the list back to it
+  const visibleMessages = useMemo(() => {
+    const limit = APP_CONFIG.LIMITS.RENDERED_MESSAGES;
+    const pinnedIndex = pinnedMessageId ? messages.findIndex(m => m.id === pinnedMessageId) : -1;
+    return pinnedIndex >= 0 && pinnedIndex < messages.length - limit
+      ? messages.slice(pinnedIndex)
+      : messages.slice(-limit);
+  }, [messages, pinnedMessageId]);
+
+  // Runs after the scroll-to-bottom that follows loading a conversation
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const scrollTimer = setTimeout(() => {
+      document.getElementById(`message-${highlightedMessageId}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    }, 300);
+    const clearTimer = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => {
+      clearTimeout(scrollTimer);
+      clearTimeout(clearTimer);
+    };
+  }, [highlightedMessageId, currentConversationId]);
+
+  const documentsReading = documentAttachments.some(doc => doc.status === 'reading');
+  const canSend = !!((input.trim() || imageAttachments.length > 0 || documentAttachments.length > 0) && selectedModel && !isLoading && !imageUnsupported && !documentsReading && input.length <= APP_CONFIG.LIMITS.MAX_INPUT_LENGTH);
 
   const toggleArtifactsPanel = useCallback((e) => {
     if (e) {
@@ -3239,6 +9553,17 @@ const retryMessage = useCallback(async (messageId) => {
     setViewingEdit(edit);
   }, []);
 
+  // Hunks unticked in the diff viewer live on the viewed edit, so they survive re-renders
+  const toggleViewingHunk = useCallback((index) => {
+    setViewingEdit(prev => {
+      const skipped = prev.skippedHunks || [];
+      return {
+        ...prev,
+        skippedHunks: skipped.includes(index) ? skipped.filter(item => item !== index) : [...skipped, index]
+      };
+    });
+  }, []);
+
   const handleAddToProject = useCallback((artifact) => {
     handleArtifactUpdate([...currentArtifacts, artifact]);
     setShowArtifacts(true);
@@ -3247,8 +9572,46 @@ const retryMessage = useCallback(async (messageId) => {
 
   const handleApplyEditFromViewer = useCallback((edit) => {
     if (!edit) return;
-    
-    let targetFile = findTargetFileForEdit(currentArtifacts, edit.path);
+
+    // Edits can be applied while their reply still streams, so the live cards are marked as well
+    const markApplied = (targetPath, extra = {}) => {
+      if (!viewingEdit) return;
+      setMessages(prev => prev.map(msg => withEditState(msg, edit.id, { ...extra, applied: true, targetFile: targetPath })));
+    };
+
+    // File operations apply together or not at all; what they replace is kept on the edit for undo
+    if (edit.type === 'file_ops') {
+      const plan = planFileOperations(currentArtifacts, edit.fileOps);
+      if (plan.errors.length > 0) {
+        alert(`⚠️ Nothing was changed:\n${plan.errors.map(error => `• ${error}`).join('\n')}`);
+        return;
+      }
+      if (plan.removed.length > 0 && !confirm(`Delete ${plan.removed.length} file(s) from the project?\n\n${plan.removed.map(file => file.path).join('\n')}`)) return;
+
+      handleArtifactUpdate(plan.files);
+      setSelectedFile(prev => followFileChanges(prev, plan.changes, plan.files));
+      markApplied(edit.path, { undo: { changes: plan.changes, removed: plan.removed } });
+      if (plan.staleImports.length > 0) {
+        alert(`Applied. ${plan.staleImports.length} import(s) still point at old paths:\n${plan.staleImports
+          .map(item => `• ${item.path}:${item.line} ${item.specifier}${item.suggestion ? ` → ${item.suggestion}` : ' (deleted)'}`)
+          .join('\n')}`);
+      }
+      setViewingEdit(null);
+      return;
+    }
+
+    // A new file is only matched by its exact path; a similar name elsewhere is a different file
+    if (edit.action === 'create' && !currentArtifacts.some(art => art.path === edit.path)) {
+      const { result } = applyEdit('', edit, edit.skippedHunks);
+      handleArtifactUpdate([...currentArtifacts, toPatchedFile(edit.path, result)]);
+      markApplied(edit.path);
+      setViewingEdit(null);
+      return;
+    }
+
+    let targetFile = edit.action === 'create'
+      ? currentArtifacts.find(art => art.path === edit.path)
+      : findTargetFileForEdit(currentArtifacts, edit.path);
     
     if (!targetFile) {
       const matchingFiles = currentArtifacts.filter(art => 
@@ -3276,46 +9639,53 @@ const retryMessage = useCallback(async (messageId) => {
       }
     }
     
-    const { result, appliedCount, failedOps } = applySearchReplace(
+    if (edit.action === 'create' && !confirm(`${targetFile.path} already exists. Replace its content with the new file from this patch?`)) return;
+
+    if (edit.action === 'delete') {
+      if (!confirm(`Delete ${targetFile.path} from the project?`)) return;
+      handleArtifactUpdate(currentArtifacts.filter(art => art.path !== targetFile.path));
+      markApplied(targetFile.path);
+      setViewingEdit(null);
+      return;
+    }
+
+    const { result, appliedCount, failedOps, hunkResults } = applyEdit(
       targetFile.content,
-      edit.operations
+      edit,
+      edit.skippedHunks
     );
+    const total = hunkResults
+      ? hunkResults.filter(outcome => outcome.status !== 'skipped').length
+      : edit.operationCount;
     
     if (appliedCount === 0) {
       alert(`⚠️ No operations were applied. Please check that the search patterns match the current file content.`);
       return;
     }
     
+    // Accepting a rewrite keeps the replaced version, so a partial accept can be traced and undone;
+    // so does a new-file patch that replaces a file already there
+    let historySummary = null;
+    if (edit.type === 'rewrite') {
+      historySummary = appliedCount === hunkResults.length
+        ? 'Accepted a proposed rewrite'
+        : `Accepted ${appliedCount} of ${hunkResults.length} hunks of a proposed rewrite`;
+    } else if (edit.action === 'create') {
+      historySummary = CREATE_PATCH_REPLACED;
+    }
     const updatedArtifacts = currentArtifacts.map(art => 
       art.path === targetFile.path 
-        ? { ...art, content: result }
+        ? { ...(historySummary ? withFileHistory(art, historySummary) : art), content: result }
         : art
     );
     
     handleArtifactUpdate(updatedArtifacts);
+    markApplied(targetFile.path);
     
-    if (viewingEdit) {
-      setMessages(prev => prev.map(msg => {
-        if (msg.parsedResponse?.edits) {
-          const updatedEdits = msg.parsedResponse.edits.map(e => 
-            e.id === edit.id ? { ...e, applied: true, targetFile: targetFile.path } : e
-          );
-          return {
-            ...msg,
-            parsedResponse: {
-              ...msg.parsedResponse,
-              edits: updatedEdits
-            }
-          };
-        }
-        return msg;
-      }));
-    }
-    
-    if (appliedCount === edit.operations.length) {
+    if (appliedCount === total) {
       alert(`✅ Successfully applied all ${appliedCount} changes to ${targetFile.path}`);
     } else {
-      let message = `Applied ${appliedCount} of ${edit.operations.length} changes to ${targetFile.path}.`;
+      let message = `Applied ${appliedCount} of ${total} changes to ${targetFile.path}.`;
       
       if (failedOps.length > 0) {
         message += `\n\n${failedOps.length} operation(s) failed:`;
@@ -3331,7 +9701,22 @@ const retryMessage = useCallback(async (messageId) => {
     }
     
     setViewingEdit(null);
-  }, [currentArtifacts, handleArtifactUpdate, findTargetFileForEdit, applySearchReplace, viewingEdit]);
+  }, [currentArtifacts, handleArtifactUpdate, findTargetFileForEdit, applyEdit, viewingEdit]);
+
+  // Moves the files an applied set of file operations moved back and restores the ones it deleted
+  const undoFileOperations = useCallback((edit) => {
+    if (!edit.undo) return;
+    const { files, errors, changes } = revertFileOperations(currentArtifacts, edit.undo.changes, edit.undo.removed);
+    if (errors.length > 0) {
+      alert(`⚠️ Nothing was changed:\n${errors.map(error => `• ${error}`).join('\n')}`);
+      return;
+    }
+
+    handleArtifactUpdate(files);
+    setSelectedFile(prev => followFileChanges(prev, changes, files));
+    setMessages(prev => prev.map(msg => withEditState(msg, edit.id, { applied: false, undo: null })));
+    setViewingEdit(null);
+  }, [currentArtifacts, handleArtifactUpdate]);
 
   const handleSaveFile = useCallback((contentToSave) => {
     if (!selectedFile) return;
@@ -3362,6 +9747,21 @@ const retryMessage = useCallback(async (messageId) => {
     setFileChangeCounter(prev => prev + 1);
   }, [selectedFile, currentArtifacts, currentConversationId, artifacts, saveArtifacts]);
 
+  // Puts back a version from the file's history; the content it replaces is kept there as well
+  const restoreFileVersion = useCallback((filePath, versionId) => {
+    const file = currentArtifacts.find(art => art.path === filePath);
+    const version = file?.history?.find(entry => entry.id === versionId);
+    if (!version) return;
+
+    const restored = {
+      ...withFileHistory(file, `Restored the version from ${new Date(version.timestamp).toLocaleString()}`),
+      content: version.content,
+      timestamp: new Date().toISOString()
+    };
+    handleArtifactUpdate(currentArtifacts.map(art => art.path === filePath ? restored : art));
+    setSelectedFile(prev => prev?.path === filePath ? restored : prev);
+  }, [currentArtifacts, handleArtifactUpdate]);
+
   const handleDeleteFile = useCallback((filePath) => {
     const updatedArtifacts = currentArtifacts.filter(art => art.path !== filePath);
     
@@ -3466,6 +9866,26 @@ const retryMessage = useCallback(async (messageId) => {
               <button onClick={() => { setShowSystemPrompt(true); closeDropdown(); }} className="settings-menu-item" aria-label="Edit system prompt">
                 <Settings size={16} /><span>System Prompt</span>
               </button>
+              <button onClick={() => { setShowGenerationOptions(true); closeDropdown(); }} className="settings-menu-item" aria-label="Generation options">
+                <SlidersHorizontal size={16} /><span>Generation Options</span>
+              </button>
+              <button onClick={() => { setShowStructuredOutput(true); closeDropdown(); }} className="settings-menu-item" aria-label="Structured output">
+                <Braces size={16} /><span>Structured Output</span>
+              </button>
+              <button onClick={() => { setShowContextInspector(true); closeDropdown(); }} className="settings-menu-item" aria-label="Context inspector">
+                <Layers size={16} /><span>Context Inspector</span>
+              </button>
+              <button onClick={() => { setShowArena(true); closeDropdown(); }} className="settings-menu-item" aria-label="Model arena">
+                <Trophy size={16} /><span>Model Arena</span>
+              </button>
+              {canManageModels && (
+                <button onClick={() => { setShowModelManager(true); closeDropdown(); }} className="settings-menu-item" aria-label="Model manager">
+                  <Package size={16} /><span>Model Manager</span>
+                </button>
+              )}
+              <button onClick={() => { setShowServerProfiles(true); closeDropdown(); }} className="settings-menu-item" aria-label="Server profiles">
+                <Server size={16} /><span>Servers</span>
+              </button>
               <button onClick={() => { setShowStorageManagement(true); closeDropdown(); }} className="settings-menu-item" aria-label="Storage management">
                 <HardDrive size={16} /><span>Storage Management</span>
               </button>
@@ -3532,6 +9952,12 @@ const retryMessage = useCallback(async (messageId) => {
               </div>
             ) : (
               <>
+                {selectedModel && (
+                  <span
+                    className={`loaded-indicator ${selectedModelLoadState}`}
+                    title={{ loaded: 'Loaded in memory', warming: 'Loading into memory...', cold: 'Not loaded - first reply will be slower' }[selectedModelLoadState]}
+                  >●</span>
+                )}
                 <span className="model-trigger-text">
                   {selectedModel ? displayName : "Select model"}
                 </span>
@@ -3566,8 +9992,7 @@ const retryMessage = useCallback(async (messageId) => {
                             selectedModel === model ? "selected" : ""
                           }`}
                           onClick={() => {
-                            setSelectedModel(model);
-                            saveSelectedModel(model);
+                            handleModelSelect(model);
                             setIsOpen(false);
                             setInternalShowUnrecommended(false);
                           }}
@@ -3608,8 +10033,7 @@ const retryMessage = useCallback(async (messageId) => {
                             }`}
                             onClick={(e) => {
                               e.preventDefault();
-                              setSelectedModel(model);
-                              saveSelectedModel(model);
+                              handleModelSelect(model);
                               setIsOpen(false);
                               setInternalShowUnrecommended(false);
                             }}
@@ -3640,6 +10064,20 @@ const retryMessage = useCallback(async (messageId) => {
                       </button>
                     </div>
                   )}
+
+                  {canManageModels && (
+                    <button
+                      className="model-menu-group model-manage-button"
+                      onClick={() => {
+                        setIsOpen(false);
+                        setShowModelManager(true);
+                      }}
+                      onMouseDown={(e) => e.preventDefault()}
+                    >
+                      <span>Manage models...</span>
+                      <Package size={14} />
+                    </button>
+                  )}
                 </>
               )}
             </motion.div>
@@ -3817,6 +10255,8 @@ const retryMessage = useCallback(async (messageId) => {
               const activeConv = backupConversations.find(c => c.active) || backupConversations[0];
               setCurrentConversationId(activeConv.id);
               setMessages(activeConv.messages || []);
+              setGenerationOptions(normalizeGenerationOptions(activeConv.generationOptions));
+              setStructuredOutput(normalizeStructuredOutput(activeConv.structuredOutput));
               localStorage.setItem("ollama-chat-history", JSON.stringify(activeConv.messages || []));
             }
           }
@@ -4266,10 +10706,74 @@ const SidePanel = React.memo(() => {
                   <span className="model-info-label">Prompt</span>
                   <span className="model-info-value">{systemPrompt ? 'Custom' : 'Default'}</span>
                 </div>
+                {selectedModelDetails && (
+                  <>
+                    {selectedModelDetails.family && (
+                      <div className="model-info-detail">
+                        <span className="model-info-label">Family</span>
+                        <span className="model-info-value">{selectedModelDetails.family}</span>
+                      </div>
+                    )}
+                    {selectedModelDetails.parameterSize && (
+                      <div className="model-info-detail">
+                        <span className="model-info-label">Parameters</span>
+                        <span className="model-info-value">{selectedModelDetails.parameterSize}</span>
+                      </div>
+                    )}
+                    {selectedModelDetails.quantization && (
+                      <div className="model-info-detail">
+                        <span className="model-info-label">Quantization</span>
+                        <span className="model-info-value">{selectedModelDetails.quantization}</span>
+                      </div>
+                    )}
+                    {selectedModelDetails.contextLength && (
+                      <div className="model-info-detail">
+                        <span className="model-info-label">Max Context</span>
+                        <span className="model-info-value">{selectedModelDetails.contextLength.toLocaleString()} tokens</span>
+                      </div>
+                    )}
+                    <div className="model-info-detail">
+                      <span className="model-info-label">Using Context</span>
+                      <span className="model-info-value">
+                        {(generationOptions.num_ctx ?? getAutoContextSize(selectedModelDetails) ?? 'default').toLocaleString()}
+                      </span>
+                    </div>
+                  </>
+                )}
               </div>
+              {selectedModelDetails?.capabilities?.length > 0 && (
+                <div className="model-capabilities">
+                  {selectedModelDetails.capabilities.map(capability => (
+                    <span key={capability} className={`model-capability-tag ${capability}`}>{capability}</span>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
 
+          <div className="side-panel-section">
+            <h3 className="side-panel-section-title">Context Window</h3>
+            <ContextWindowCard
+              plan={contextPlan}
+              summary={contextSummary}
+              settings={contextSettings}
+              embeddingModel={searchSettings.model}
+              parserSettings={parserSettings}
+              onSettingsChange={handleContextSettingsChange}
+              onParserSettingsChange={handleParserSettingsChange}
+              onResetSummary={handleResetContextSummary}
+            />
+          </div>
+
+          {branchOutline.length > 0 && (
+            <div className="side-panel-section">
+              <h3 className="side-panel-section-title">Branches</h3>
+              <div className="model-info-card">
+                <BranchMinimap outline={branchOutline} onSelect={switchBranch} />
+              </div>
+            </div>
+          )}
+
           <div className="side-panel-section conversation-section">
             <div className="section-header">
               <h3 className="section-title">Conversations</h3>
@@ -4277,6 +10781,18 @@ const SidePanel = React.memo(() => {
                 <Plus size={16} />
               </button>
             </div>
+
+            <ConversationSearch
+              models={modelNames}
+              model={searchSettings.model}
+              status={searchIndexStatus}
+              search={conversationSearch}
+              titles={conversationTitles}
+              onModelChange={handleSearchModelChange}
+              onSearch={runConversationSearch}
+              onRebuild={rebuildSearchIndex}
+              onOpen={openSearchResult}
+            />
             
             <div className="conversation-list">
               {conversations.length === 0 ? (
@@ -4339,8 +10855,20 @@ const SidePanel = React.memo(() => {
       [currentArtifacts, edit.path]
     );
 
+    // Rewrites are diffed against the file as it is now; patches bring their own hunks
+    const hunks = useMemo(() => (
+      edit.type === 'rewrite' ? buildDiffHunks(file.content || '', edit.content) : edit.hunks
+    ), [edit, file.content]);
+
+    // File operations are checked against the project as it is now; once applied they can be undone
+    const filePlan = useMemo(() => (
+      edit.type === 'file_ops' && !edit.applied ? planFileOperations(currentArtifacts, edit.fileOps) : null
+    ), [edit]);
+
   useEffect(() => {
-    if (edit.operations && file.content) {
+    if (edit.type === 'patch' || edit.type === 'rewrite') {
+      setPreviewResult(edit.action === 'delete' ? null : applyEdit(file.content, edit, edit.skippedHunks));
+    } else if (edit.operations && file.content) {
       const { result, appliedCount, failedOps } = applySearchReplace(file.content, edit.operations);
       setPreviewResult({ result, appliedCount, failedOps });
     } else if (!file.content && edit.operations) {
@@ -4355,7 +10883,7 @@ const SidePanel = React.memo(() => {
         }] 
       });
     }
-  }, [edit.operations, file.content]);
+  }, [edit, file.content]);
 
     const handleApply = useCallback(async () => {
       setApplying(true);
@@ -4385,8 +10913,14 @@ const SidePanel = React.memo(() => {
                 <div>
                   <h2 className="diff-viewer-filename">{edit.path}</h2>
                   <p className="diff-viewer-stats">
-                    {edit.operations?.length || 0} search/replace operations
-                    {previewResult && ` • ${previewResult.appliedCount}/${edit.operations.length} will apply`}
+                    {edit.type === 'file_ops'
+                      ? `File operations • ${describeEdit(edit)}${edit.applied ? ' • applied' : ''}`
+                      : edit.type === 'rewrite'
+                      ? `Proposed rewrite • ${hunks.length} hunk${hunks.length === 1 ? '' : 's'}`
+                      : edit.type === 'patch'
+                        ? `Unified diff • ${describeEdit(edit)}`
+                        : `${edit.operations?.length || 0} search/replace operations`}
+                    {previewResult && ` • ${previewResult.appliedCount}/${hunks ? hunks.length - (edit.skippedHunks?.length || 0) : edit.operations.length} will apply`}
                   </p>
                 </div>
               </div>
@@ -4434,6 +10968,107 @@ const SidePanel = React.memo(() => {
             </div>
           )}
 
+          {edit.action === 'create' && currentArtifacts.some(art => art.path === edit.path) && (
+            <div className="diff-viewer-warning">
+              <AlertTriangle size={16} />
+              <div className="warning-text">
+                <strong>{edit.path} already exists.</strong> This patch creates it from scratch, so applying it replaces the current content. The old version is kept in the file's history.
+              </div>
+            </div>
+          )}
+
+          {edit.action === 'delete' && (
+            <div className="diff-viewer-warning">
+              <Trash2 size={16} />
+              <div className="warning-text">
+                <strong>This patch deletes {file.path}.</strong> Applying it removes the file from the project.
+              </div>
+            </div>
+          )}
+
+          {edit.type === 'file_ops' && (
+            <div className="context-operations">
+              <div className="operations-header">
+                <FolderOpen size={16} />
+                <span>File Operations</span>
+              </div>
+              <div className="operations-list">
+                {(filePlan?.results || edit.fileOps).map((op, idx) => (
+                  <div key={`file-op-${idx}`} className={`operation-item file-op ${op.status === 'failed' ? 'operation-failed' : ''}`}>
+                    <span className={`file-op-action ${op.action}`}>{op.action}</span>
+                    <code>{op.from}</code>
+                    {op.to && (
+                      <>
+                        <ArrowRight size={12} />
+                        <code>{op.to}</code>
+                      </>
+                    )}
+                    <span className="file-op-status">
+                      {op.status === 'failed' ? op.reason : op.count > 1 ? `${op.count} files` : ''}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {filePlan?.errors.length > 0 && (
+            <div className="diff-viewer-warning">
+              <Shield size={16} />
+              <div className="warning-text">
+                <strong>{filePlan.errors.length} operation(s) can't be applied.</strong> They are applied all together, so nothing will change until each one can.
+              </div>
+            </div>
+          )}
+
+          {filePlan?.staleImports.length > 0 && (
+            <div className="diff-viewer-warning">
+              <AlertTriangle size={16} />
+              <div className="warning-text">
+                <strong>{filePlan.staleImports.length} import(s) will still point at old paths.</strong> They are not rewritten; update them or ask for the edits.
+                <ul className="stale-imports-list">
+                  {filePlan.staleImports.map((item, idx) => (
+                    <li key={idx}>
+                      <code>{item.path}:{item.line}</code> imports <code>{item.specifier}</code>
+                      {item.suggestion ? <> → <code>{item.suggestion}</code></> : ' (deleted)'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {hunks?.length > 0 && (
+            <div className="context-operations">
+              <div className="operations-header">
+                <Code2 size={16} />
+                <span>Hunks</span>
+              </div>
+              <div className="operations-list">
+                {hunks.map((hunk, idx) => {
+                  const outcome = previewResult?.hunkResults?.[idx];
+                  const skipped = edit.skippedHunks?.includes(idx);
+                  return (
+                    <div key={`hunk-${idx}`} className={`operation-item patch-hunk ${outcome?.status === 'failed' ? 'operation-failed' : ''} ${skipped ? 'skipped' : ''}`}>
+                      <label className="patch-hunk-header">
+                        <input type="checkbox" checked={!skipped} onChange={() => toggleViewingHunk(idx)} disabled={applying} />
+                        <code>{hunk.header}</code>
+                        <span className={`patch-hunk-status ${outcome?.status || ''}`}>{describeHunkOutcome(outcome)}</span>
+                      </label>
+                      <pre className="operation-code patch-hunk-lines">
+                        {hunk.lines.map((line, lineIdx) => (
+                          <span key={lineIdx} className={`patch-line ${line.type === '+' ? 'added' : line.type === '-' ? 'removed' : ''}`}>
+                            {line.type}{line.text}
+                          </span>
+                        ))}
+                      </pre>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {edit.operations?.length > 0 && (
             <div className="context-operations">
               <div className="operations-header">
@@ -4465,22 +11100,34 @@ const SidePanel = React.memo(() => {
               <X size={16} />
               Cancel
             </button>
-            <button 
-              onClick={handleApply} 
-              className="diff-viewer-btn primary"
-              disabled={applying || (previewResult && previewResult.appliedCount === 0)}
-              aria-label="Apply changes"
-              title={previewResult && previewResult.appliedCount === 0 ? 'No operations will apply' : ''}
-            >
-              {applying ? (
-                <>Applying...</>
-              ) : (
-                <>
-                  <Check size={16} />
-                  Apply {previewResult && previewResult.appliedCount > 0 ? `(${previewResult.appliedCount})` : ''} Changes
-                </>
-              )}
-            </button>
+            {edit.type === 'file_ops' && edit.applied ? (
+              <button
+                onClick={() => undoFileOperations(edit)}
+                className="diff-viewer-btn primary"
+                disabled={!edit.undo}
+                title="Move the files back and restore the deleted ones"
+              >
+                <RotateCcw size={16} />
+                Undo
+              </button>
+            ) : (
+              <button 
+                onClick={handleApply} 
+                className="diff-viewer-btn primary"
+                disabled={applying || (previewResult && previewResult.appliedCount === 0) || filePlan?.errors.length > 0}
+                aria-label="Apply changes"
+                title={previewResult && previewResult.appliedCount === 0 ? 'No operations will apply' : ''}
+              >
+                {applying ? (
+                  <>Applying...</>
+                ) : (
+                  <>
+                    <Check size={16} />
+                    Apply {previewResult && previewResult.appliedCount > 0 ? `(${previewResult.appliedCount})` : ''} Changes
+                  </>
+                )}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -4564,6 +11211,9 @@ const SidePanel = React.memo(() => {
           <div className="error-banner">
             <div className="error-banner-content">
               <span className="error-banner-text">{ollamaError}</span>
+              {ollamaError.startsWith("No models found") && canManageModels && (
+                <button onClick={() => setShowModelManager(true)} className="error-banner-retry">Pull a Model</button>
+              )}
               <button onClick={() => fetchModels()} className="error-banner-retry">Retry</button>
             </div>
           </div>
@@ -4574,6 +11224,80 @@ const SidePanel = React.memo(() => {
           onClose={() => setShowSystemPrompt(false)} 
         />
 
+        <GenerationOptionsPanel
+          isOpen={showGenerationOptions}
+          options={generationOptions}
+          autoContext={getAutoContextSize(selectedModelDetails)}
+          onChange={handleGenerationOptionsChange}
+          onReset={resetGenerationOptions}
+          onClose={closeGenerationOptions}
+        />
+
+        <StructuredOutputPanel
+          isOpen={showStructuredOutput}
+          value={structuredOutput}
+          onChange={handleStructuredOutputChange}
+          onClose={closeStructuredOutput}
+        />
+
+        {zoomedImages && (
+          <ImageLightbox images={zoomedImages.images} startIndex={zoomedImages.index} onClose={closeZoomedImages} />
+        )}
+
+        <ContextInspector
+          isOpen={showContextInspector}
+          onClose={closeContextInspector}
+          sections={inspectorSections}
+          messages={historyMessages}
+          states={contextPlan.states}
+          exclusions={contextExclusions}
+          onToggleSection={toggleExcludedSection}
+          onToggleMessage={toggleExcludedMessage}
+          onResetExclusions={resetContextExclusions}
+          estimate={requestEstimate}
+        />
+
+        <ArenaPanel
+          isOpen={showArena}
+          onClose={closeArena}
+          models={modelNames}
+          onStream={streamArenaReply}
+          parseResponse={parseLLMResponse}
+          onPromote={promoteArenaResult}
+        />
+
+        <ModelManager
+          isOpen={showModelManager}
+          onClose={closeModelManager}
+          installedModels={installedModels}
+          selectedModel={selectedModel}
+          isLoadingModels={isLoadingModels}
+          pulls={modelPulls}
+          onPull={pullModel}
+          onCancelPull={cancelPull}
+          onDismissPull={dismissPull}
+          onDeleteModel={deleteModel}
+          onCopyModel={copyModel}
+          onRefresh={refreshModels}
+          loadedModels={loadedModels}
+          keepAliveSettings={keepAliveSettings}
+          onKeepAliveChange={handleKeepAliveChange}
+          onUnloadModel={unloadModel}
+          warmupOnSelect={warmupOnSelect}
+          onToggleWarmup={handleToggleWarmup}
+          onRefreshLoaded={fetchLoadedModels}
+        />
+
+        <ServerProfilesPanel
+          isOpen={showServerProfiles}
+          profiles={serverProfiles}
+          activeProfileId={activeProfile.id}
+          onSave={saveServerProfiles}
+          onActivate={handleServerSwitch}
+          onTest={checkOllamaHealth}
+          onClose={closeServerProfiles}
+        />
+
         <StorageManagement />
         <SidePanel />
 
@@ -4610,6 +11334,7 @@ const SidePanel = React.memo(() => {
                 onDeleteFile={handleDeleteFile}
                 onCreateFile={handleCreateNewFile}
                 onCreateFolder={handleCreateNewFolder}
+                onRestoreVersion={restoreFileVersion}
               />
             </div>
           )}
@@ -4626,15 +11351,28 @@ const SidePanel = React.memo(() => {
                   </div>
                 ) : (
                   <AnimatePresence initial={false}>
-                    {messages.slice(-30).map((m) => (
+                    {visibleMessages.map((m) => (
                       <MessageRow
                         key={m.id}
                         message={m}
+                        highlighted={m.id === highlightedMessageId}
+                        onZoomImage={zoomMessageImage}
                         copied={copied}
                         onCopy={copyToClipboard}
                         onViewEdit={handleViewEdit}
                         onAddToProject={handleAddToProject}
                         currentArtifacts={currentArtifacts}
+                        contextState={contextPlan.states[m.id]}
+                        onContinue={canContinue(m) ? continueMessage : undefined}
+                        onRegenerate={isLoading ? undefined : regenerateResponse}
+                        onRetry={isLoading ? undefined : retryMessage}
+                        onSelectVariant={selectVariant}
+                        models={modelNames}
+                        onEdit={isLoading ? undefined : editMessage}
+                        branchIndex={branchPositions[m.id]?.index}
+                        branchCount={branchPositions[m.id]?.count}
+                        onSelectBranch={selectBranch}
+                        onReparse={isLoading ? undefined : reparseWithLimit}
                       />
                     ))}
                   </AnimatePresence>
@@ -4648,25 +11386,40 @@ const SidePanel = React.memo(() => {
 
         <footer className="input-footer">
           <div className="input-container">
-            {imagePreview && (
-              <div className="image-preview-container">
-                <div className="image-preview">
-                  <img src={imagePreview} alt="Preview" className="image-preview-img" />
-                  <button onClick={removeImage} className="image-remove-button" aria-label="Remove image"><X size={16} /></button>
-                </div>
+            {documentAttachments.length > 0 && (
+              <DocumentAttachmentStrip documents={documentAttachments} onRemove={removeDocument} />
+            )}
+            {imageAttachments.length > 0 && (
+              <div className="image-attachments">
+                <ImageAttachmentStrip
+                  attachments={imageAttachments}
+                  downscale={imageSettings.downscale}
+                  maxDimension={imageSettings.maxDimension}
+                  onToggleDownscale={handleToggleDownscale}
+                  onRemove={removeImage}
+                  onMove={moveImage}
+                  onZoom={zoomComposerImage}
+                />
+                {imageUnsupported && (
+                  <div className="capability-warning" role="alert">
+                    <Shield size={14} />
+                    <span>{selectedModel} has no vision support, so {imageAttachments.length === 1 ? "this image" : "these images"} can't be sent.</span>
+                  </div>
+                )}
               </div>
             )}
             
             <div className={`input-wrapper ${isDragOver ? 'drag-over' : ''}`}
               onDragOver={(e) => { e.preventDefault(); setIsDragOver(true); }}
               onDragLeave={(e) => { e.preventDefault(); setIsDragOver(false); }}
-              onDrop={(e) => { e.preventDefault(); setIsDragOver(false); const file = e.dataTransfer.files[0]; if (file) handleImageSelect(file); }}
+              onDrop={(e) => { e.preventDefault(); setIsDragOver(false); handleAttachFiles(e.dataTransfer.files); }}
             >
               <textarea
                 ref={textareaRef}
                 value={input}
                 onChange={handleInputChange}
                 onKeyDown={handleKeyDown}
+                onPaste={handlePaste}
                 rows={1}
                 placeholder={isLoading ? "Generating..." : "Send a message... (Ctrl+Enter)"}
                 className="input-textarea"
@@ -4677,10 +11430,36 @@ const SidePanel = React.memo(() => {
                 inputMode="text"
               />
               <div className="input-actions">
-                <button onClick={() => fileInputRef.current?.click()} className="image-upload-button" disabled={isLoading} title="Attach image" aria-label="Attach image">
+                <button onClick={() => fileInputRef.current?.click()} className="image-upload-button" disabled={isLoading} title="Attach images (or paste them)" aria-label="Attach images">
                   <ImageIcon className="icon" />
                 </button>
-                <input type="file" ref={fileInputRef} onChange={(e) => { if (e.target.files[0]) handleImageSelect(e.target.files[0]); }} accept="image/*" style={{ display: 'none' }} />
+                <input type="file" ref={fileInputRef} onChange={(e) => handleImageSelect(e.target.files)} accept="image/*" multiple style={{ display: 'none' }} />
+                <button onClick={() => documentInputRef.current?.click()} className="image-upload-button" disabled={isLoading} title="Attach documents: PDF, Word, CSV, JSON or text" aria-label="Attach documents">
+                  <Paperclip className="icon" />
+                </button>
+                <input type="file" ref={documentInputRef} onChange={(e) => handleDocumentSelect(e.target.files)} accept={DOCUMENT_ACCEPT} multiple style={{ display: 'none' }} />
+                {thinkingSupported && (
+                  <button
+                    onClick={handleToggleThink}
+                    className={`image-upload-button tools-toggle-button ${thinkEnabled ? 'active' : ''}`}
+                    disabled={isLoading}
+                    title={thinkEnabled ? "Thinking on: the model reasons before answering" : "Thinking off"}
+                    aria-label="Toggle thinking"
+                    aria-pressed={thinkEnabled}
+                  >
+                    <Brain className="icon" />
+                  </button>
+                )}
+                <button
+                  onClick={handleToggleTools}
+                  className={`image-upload-button tools-toggle-button ${toolsEnabled && toolsSupported ? 'active' : ''}`}
+                  disabled={isLoading || !toolsSupported}
+                  title={!toolsSupported ? `${selectedModel} does not support tool calling` : toolsEnabled ? "Project tools on: the model can read and edit files" : "Project tools off"}
+                  aria-label="Toggle project tools"
+                  aria-pressed={toolsEnabled && toolsSupported}
+                >
+                  <Wrench className="icon" />
+                </button>
                 <button onClick={isLoading ? stopGeneration : sendMessage} disabled={!isLoading && !canSend} className="send-button" title={isLoading ? "Stop" : "Send"} aria-label={isLoading ? "Stop generation" : "Send message"}>
                   {isLoading ? <Square className="icon" /> : <Send className="icon" />}
                 </button>
@@ -4689,10 +11468,47 @@ const SidePanel = React.memo(() => {
             
             <div className="footer-stats">
               <span className="char-count">{input.length}/{APP_CONFIG.LIMITS.MAX_INPUT_LENGTH}</span>
-              {imageFile && <span className="image-info">{imageFile.name} ({(imageFile.size / 1024).toFixed(1)} KB)</span>}
+              <button
+                onClick={() => setShowContextInspector(true)}
+                className={`structured-output-badge composer-token-estimate ${requestEstimate.total > requestEstimate.contextSize ? 'over' : ''}`}
+                title="Estimated tokens for this message and the whole request. Click to inspect."
+              >
+                <Layers size={12} />
+                ~{composerTokens.toLocaleString()} · {requestEstimate.total.toLocaleString()}/{requestEstimate.contextSize.toLocaleString()}
+                {(contextExclusions.sections.length > 0 || contextExclusions.messages.length > 0) && ' · exclusions'}
+              </button>
+              {imageAttachments.length > 0 && (
+                <span className="image-info">
+                  {imageAttachments.length === 1
+                    ? imageAttachments[0].file.name
+                    : `${imageAttachments.length} images`} ({(imageAttachments.reduce((sum, image) => sum + image.file.size, 0) / 1024).toFixed(1)} KB)
+                </span>
+              )}
+              {structuredOutput.mode !== 'off' && (
+                <button onClick={() => setShowStructuredOutput(true)} className="structured-output-badge" title="Replies are constrained to JSON">
+                  <Braces size={12} />
+                  {structuredOutput.mode === 'schema' ? 'JSON schema' : 'JSON'}
+                </button>
+              )}
               <span className="connection-status">
                 <span className={isOnline ? "online-indicator" : "offline-indicator"}>●</span>
-                Connected to Ollama
+                Connected to{' '}
+                {serverProfiles.length > 1 ? (
+                  <select
+                    value={activeProfile.id}
+                    onChange={(e) => handleServerSwitch(e.target.value)}
+                    className="server-switcher"
+                    disabled={isLoading}
+                    title={activeProfile.url}
+                    aria-label="Ollama server"
+                  >
+                    {serverProfiles.map(profile => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span title={activeProfile.url}>{activeProfile.name}</span>
+                )}
               </span>
             </div>
           </div>